@@ -0,0 +1,44 @@
+import * as THREE from 'three';
+
+// Geometría y materiales compartidos por todas las luces de freno: encender o apagar solo cambia el material
+const lightGeometry = new THREE.BoxGeometry(0.28, 0.1, 0.05);
+const offMaterial = new THREE.MeshStandardMaterial({ color: 0x440000, emissive: 0xff0000, emissiveIntensity: 0.15 });
+const onMaterial = new THREE.MeshStandardMaterial({ color: 0x880000, emissive: 0xff1a1a, emissiveIntensity: 3 });
+
+// Pilotos traseros de un vehículo que se iluminan al frenar
+export class BrakeLights {
+  // bounds: caja del modelo en su espacio local (sin escala ni rotación)
+  constructor(model, bounds) {
+    this.model = model;
+    this.braking = false;
+
+    const width = bounds.max.x - bounds.min.x;
+    const height = bounds.max.y - bounds.min.y;
+    const x = width / 2 - 0.25;
+    const y = bounds.min.y + height * 0.45;
+
+    // Los modelos miran hacia Z positivo: la parte trasera es el mínimo en Z
+    const z = bounds.min.z - 0.01;
+
+    this.lights = [-x, x].map(lightX => {
+      const light = new THREE.Mesh(lightGeometry, offMaterial);
+      light.position.set(lightX, y, z);
+      model.add(light);
+      return light;
+    });
+  }
+
+  setBraking(braking) {
+    if (braking === this.braking) return;
+
+    this.braking = braking;
+    for (const light of this.lights) {
+      light.material = braking ? onMaterial : offMaterial;
+    }
+  }
+
+  dispose() {
+    this.model.remove(...this.lights);
+    this.lights = [];
+  }
+}
@@ -10,11 +10,15 @@ export default class CameraController {
     this.targetPosition = new THREE.Vector3();
     this.currentLookAt = new THREE.Vector3();
     this.targetLookAt = new THREE.Vector3();
+    this.trackTarget = new THREE.Vector3(); // Punto auxiliar en el espacio del trazado
     
     // Nuevo sistema de interpolación basado en velocidad
     this.speedTransitionFactor = 0; // 0 = config baja velocidad, 1 = config alta velocidad
     this.speedTransitionTarget = 0;
     
+    // Si es true, la cámara salta directamente a su objetivo en la próxima actualización
+    this.snapToTarget = false;
+    
     // Configuraciones de cámara
     this.lowSpeedConfig = {
       height: 5,
@@ -99,20 +103,22 @@ export default class CameraController {
       this.speedTransitionFactor
     );
     
-    // Coordenadas del coche
-    const carPosition = playerController.carModel.position.clone();
+    // Coordenadas del coche en el trazado: la cámara se coloca por detrás siguiendo la carretera,
+    // de modo que en las curvas y las cuestas mira en la dirección de la calzada
+    const carPosition = playerController.position;
+    const road = playerController.roadManager;
     
     // Calcular la nueva posición objetivo de la cámara
-    this.targetPosition.x = carPosition.x;
-    this.targetPosition.y = carPosition.y + height;
-    this.targetPosition.z = carPosition.z + distance;
+    this.trackTarget.set(carPosition.x, carPosition.y + height, carPosition.z + distance);
+    road.trackToWorld(this.trackTarget, this.targetPosition);
     
     // Calcular punto de mira (siempre 10 unidades adelante del coche)
-    this.targetLookAt.copy(carPosition);
-    this.targetLookAt.z -= 10; // lookAheadDistance fijo en 10
+    this.trackTarget.set(carPosition.x, carPosition.y, carPosition.z - 10); // lookAheadDistance fijo en 10
+    road.trackToWorld(this.trackTarget, this.targetLookAt);
     
-    // Aplicar transición suave a la posición de la cámara
-    const positionTransitionSpeed = 0.05;
+    // Aplicar transición suave a la posición de la cámara (o saltar tras un reinicio)
+    const positionTransitionSpeed = this.snapToTarget ? 1 : 0.05;
+    this.snapToTarget = false;
     this.currentPosition.lerp(this.targetPosition, positionTransitionSpeed);
     this.currentLookAt.lerp(this.targetLookAt, positionTransitionSpeed);
     
@@ -125,6 +131,15 @@ export default class CameraController {
     this.camera.updateProjectionMatrix();
   }
   
+  // Origen flotante: desplazar la cámara junto con el mundo para que la transición suave no lo note
+  rebase(offset) {
+    this.currentPosition.add(offset);
+    this.targetPosition.add(offset);
+    this.currentLookAt.add(offset);
+    this.targetLookAt.add(offset);
+    this.camera.position.add(offset);
+  }
+
   calculateTargetPosition(carPosition, cameraControls) {
     // Este método ya no es necesario, la lógica se ha movido directamente a updateCamera
     // Mantenemos el método para compatibilidad, pero está vacío
@@ -143,4 +158,11 @@ export default class CameraController {
   getCamera() {
     return this.camera;
   }
+
+  reset() {
+    // Volver a la configuración de baja velocidad y colocar la cámara detrás del coche sin transición
+    this.speedTransitionFactor = 0;
+    this.speedTransitionTarget = 0;
+    this.snapToTarget = true;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+
+export default class CollisionManager extends THREE.EventDispatcher {
+  constructor(playerController, trafficManager, obstacleManager = null) {
+    super();
+    this.playerController = playerController;
+    this.trafficManager = trafficManager;
+    this.obstacleManager = obstacleManager;
+    this.enabled = true;
+
+    // Margen para reducir las cajas de colisión y que los roces visuales no cuenten como choque
+    this.collisionMargin = 0.15;
+
+    // Cajas reutilizables para no crear objetos en cada frame
+    this.playerBox = new THREE.Box3();
+    this.carBox = new THREE.Box3();
+    this.otherCarBox = new THREE.Box3();
+  }
+
+  update() {
+    if (!this.enabled) return;
+
+    this.checkPlayerCollisions();
+    this.checkObstacleCollisions();
+    this.checkLaneEnd();
+    this.checkTrafficCollisions();
+  }
+
+  checkPlayerCollisions() {
+    const player = this.playerController;
+    if (!player || !player.carModel || player.crashed) return;
+
+    // Caja de colisión del jugador
+    this.computePlayerBox(this.playerBox);
+
+    // Comprobar el contacto con cada coche de tráfico
+    for (const car of this.trafficManager.getTrafficCars()) {
+      // Descartar rápidamente los coches lejanos antes de calcular su caja
+      if (Math.abs(car.position.z - player.position.z) > 10) continue;
+
+      this.computeCarBox(car, this.carBox);
+
+      if (this.playerBox.intersectsBox(this.carBox)) {
+        this.handlePlayerCrash(car);
+        return;
+      }
+    }
+  }
+
+  checkObstacleCollisions() {
+    const player = this.playerController;
+    if (!this.obstacleManager || !player || !player.carModel || player.crashed) return;
+
+    this.computePlayerBox(this.playerBox);
+
+    for (const obstacle of this.obstacleManager.getObstacles()) {
+      if (Math.abs(obstacle.position.z - player.position.z) > 10) continue;
+
+      // Los obstáculos son pequeños: se usa su caja completa, sin margen
+      if (this.playerBox.intersectsBox(obstacle.bounds)) {
+        this.handleObstacleCrash(obstacle);
+        return;
+      }
+    }
+  }
+
+  // El carril adicional de las incorporaciones termina contra una barrera: el jugador que sigue sobre su
+  // franja cuando se acaba choca con ella
+  checkLaneEnd() {
+    const player = this.playerController;
+    if (!player || !player.carModel || player.crashed) return;
+
+    const roadManager = player.roadManager;
+    this.computePlayerBox(this.playerBox);
+    if (this.playerBox.max.x <= roadManager.getRoadWidth() / 2) return;
+
+    // El frontal del coche es su extremo en -Z
+    if (!roadManager.getLaneSection(-this.playerBox.min.z)) {
+      this.handleBarrierCrash();
+    }
+  }
+
+  checkTrafficCollisions() {
+    const cars = this.trafficManager.getTrafficCars();
+
+    for (let i = 0; i < cars.length; i++) {
+      const car = cars[i];
+
+      for (let j = i + 1; j < cars.length; j++) {
+        const other = cars[j];
+
+        // No se comprueban de nuevo dos coches ya siniestrados
+        if (car.crashed && other.crashed) continue;
+
+        if (car.lane === null || other.lane === null) {
+          // El tráfico transversal y el de las vías de servicio no van por ningún carril: pueden cruzarse
+          // con cualquier coche, así que se descartan solo por la distancia en el plano del trazado
+          const dx = car.position.x - other.position.x;
+          const dz = car.position.z - other.position.z;
+          if (dx * dx + dz * dz > 100) continue;
+        } else if (car.lane !== other.lane || Math.abs(car.position.z - other.position.z) > 10) {
+          // El resto solo puede chocar con los de su mismo carril
+          continue;
+        }
+
+        this.computeCarBox(car, this.carBox);
+        this.computeCarBox(other, this.otherCarBox);
+
+        if (this.carBox.intersectsBox(this.otherCarBox)) {
+          this.handleTrafficCrash(car, other);
+        }
+      }
+    }
+  }
+
+  // Las colisiones se comprueban en el espacio del trazado, donde la carretera es recta y los coches
+  // van alineados con ella: la caja del modelo, escalada y girada media vuelta si circula hacia -Z
+  // (o un cuarto de vuelta si atraviesa un cruce), desplazada a su posición y reducida por el margen de colisión
+  computeBox(bounds, position, rotationY, scale, target) {
+    target.min.copy(bounds.min).multiplyScalar(scale);
+    target.max.copy(bounds.max).multiplyScalar(scale);
+
+    const { min, max } = target;
+    const cos = Math.cos(rotationY);
+    const sin = Math.sin(rotationY);
+    if (Math.abs(sin) > Math.abs(cos)) {
+      // Girada un cuarto de vuelta: el largo del coche queda a lo largo de X
+      [min.x, max.x, min.z, max.z] = sin > 0
+        ? [min.z, max.z, -max.x, -min.x]
+        : [-max.z, -min.z, min.x, max.x];
+    } else if (cos < 0) {
+      [min.x, max.x] = [-max.x, -min.x];
+      [min.z, max.z] = [-max.z, -min.z];
+    }
+
+    target.translate(position);
+    target.expandByScalar(-this.collisionMargin);
+    return target;
+  }
+
+  computePlayerBox(target) {
+    const player = this.playerController;
+    return this.computeBox(player.bounds, player.position, player.rotation.y, 1, target);
+  }
+
+  computeCarBox(car, target) {
+    const bounds = this.trafficManager.carBounds[car.modelType];
+    return this.computeBox(bounds, car.position, car.rotation.y, car.model.scale.x, target);
+  }
+
+  handlePlayerCrash(car) {
+    const player = this.playerController;
+
+    // Velocidad relativa del impacto (jugador respecto al coche de tráfico)
+    const playerVelocity = player.getWorldVelocity();
+    const carVelocity = this.trafficManager.getCarVelocity(car);
+    const impactVelocity = playerVelocity.clone().sub(carVelocity);
+    const position = player.getPosition();
+
+    // Detener al jugador y bloquear los controles
+    player.crash();
+
+    // Detener también el coche contra el que hemos chocado
+    car.speed = 0;
+    car.crashed = true;
+
+    this.dispatchEvent({
+      type: 'crash',
+      car: car,
+      position: position,
+      impactVelocity: impactVelocity
+    });
+  }
+
+  handleObstacleCrash(obstacle) {
+    const player = this.playerController;
+
+    // El obstáculo es estático: la velocidad del impacto es la del jugador
+    const impactVelocity = player.getWorldVelocity();
+    const position = player.getPosition();
+
+    player.crash();
+
+    this.dispatchEvent({
+      type: 'crash',
+      car: null,
+      obstacle: obstacle,
+      position: position,
+      impactVelocity: impactVelocity
+    });
+  }
+
+  handleBarrierCrash() {
+    const player = this.playerController;
+    const impactVelocity = player.getWorldVelocity();
+    const position = player.getPosition();
+
+    player.crash();
+
+    this.dispatchEvent({
+      type: 'crash',
+      car: null,
+      barrier: true,
+      position: position,
+      impactVelocity: impactVelocity
+    });
+  }
+
+  handleTrafficCrash(car, other) {
+    const impactVelocity = this.trafficManager.getCarVelocity(car)
+      .sub(this.trafficManager.getCarVelocity(other));
+    const position = car.model.position.clone().lerp(other.model.position, 0.5);
+
+    // Ambos coches quedan detenidos en el carril
+    car.speed = 0;
+    other.speed = 0;
+    car.crashed = true;
+    other.crashed = true;
+
+    this.dispatchEvent({
+      type: 'trafficcrash',
+      cars: [car, other],
+      position: position,
+      impactVelocity: impactVelocity
+    });
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  reset() {
+    this.enabled = true;
+  }
+}
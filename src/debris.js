@@ -0,0 +1,252 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { SeededRandom } from './seededRandom.js';
+
+export class DebrisEffect {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.enabled = options.enabled ?? true;
+    this.random = new SeededRandom(); // GameInit asigna el flujo de los restos del servicio de semillas
+
+    // Piezas de desguace incluidas en el paquete de modelos
+    this.debrisTypes = [
+      'debris-bolt.glb',
+      'debris-bumper.glb',
+      'debris-door-window.glb',
+      'debris-door.glb',
+      'debris-drivetrain-axle.glb',
+      'debris-drivetrain.glb',
+      'debris-nut.glb',
+      'debris-plate-a.glb',
+      'debris-plate-b.glb',
+      'debris-plate-small-a.glb',
+      'debris-plate-small-b.glb',
+      'debris-spoiler-a.glb',
+      'debris-spoiler-b.glb',
+      'debris-tire.glb'
+    ];
+    this.debrisModels = {};
+
+    // Configuración de la simulación
+    this.minPieces = options.minPieces ?? 6; // Piezas mínimas por impacto
+    this.maxPieces = options.maxPieces ?? 12; // Piezas máximas por impacto
+    this.maxActivePieces = options.maxActivePieces ?? 80; // Límite global de piezas en escena
+    this.gravity = options.gravity ?? 25; // Aceleración de la gravedad (unidades/s²)
+    this.restitution = options.restitution ?? 0.4; // Energía conservada en cada rebote
+    this.groundFriction = options.groundFriction ?? 0.7; // Frenado horizontal al tocar el suelo
+    this.impulseFactor = options.impulseFactor ?? 0.3; // Parte de la velocidad de impacto heredada
+    this.spreadSpeed = options.spreadSpeed ?? 6; // Dispersión aleatoria de las piezas
+    this.upwardImpulse = options.upwardImpulse ?? 8; // Impulso vertical inicial
+    this.maxSpin = options.maxSpin ?? 12; // Velocidad angular máxima (rad/s)
+    this.lifetime = options.lifetime ?? 4; // Segundos antes de desaparecer
+    this.fadeDuration = options.fadeDuration ?? 1; // Segundos de desvanecimiento final
+    this.scale = options.scale ?? 1;
+
+    // Altura de la carretera: un valor fijo o una función (x, z) => altura
+    this.groundHeight = options.groundHeight ?? 0.2;
+
+    // Piezas activas en la simulación
+    this.pieces = [];
+
+    this.init();
+  }
+
+  async init() {
+    await this.preloadDebrisModels();
+  }
+
+  async preloadDebrisModels() {
+    const loader = new GLTFLoader();
+
+    const loadPromises = this.debrisTypes.map(debrisType => {
+      return new Promise((resolve) => {
+        loader.load(`/models/cars/${debrisType}`, (gltf) => {
+          const model = gltf.scene;
+
+          model.traverse((child) => {
+            if (child.isMesh) {
+              child.castShadow = true;
+            }
+          });
+
+          this.debrisModels[debrisType] = model;
+          resolve();
+        });
+      });
+    });
+
+    await Promise.all(loadPromises);
+
+    console.log("Modelos de escombros cargados:", Object.keys(this.debrisModels).length);
+  }
+
+  // Genera un conjunto aleatorio de piezas en una posición con la velocidad del impacto
+  spawn(position, impactVelocity = new THREE.Vector3()) {
+    if (!this.enabled) return;
+
+    const loadedTypes = Object.keys(this.debrisModels);
+    if (loadedTypes.length === 0) return;
+
+    // Más piezas cuanto más fuerte es el impacto
+    const intensity = THREE.MathUtils.clamp(impactVelocity.length() / 40, 0, 1);
+    const count = Math.round(THREE.MathUtils.lerp(this.minPieces, this.maxPieces, intensity));
+
+    for (let i = 0; i < count; i++) {
+      // Respetar el límite global eliminando las piezas más antiguas
+      if (this.pieces.length >= this.maxActivePieces) {
+        this.removePiece(0);
+      }
+
+      const debrisType = this.random.pick(loadedTypes);
+      this.spawnPiece(this.debrisModels[debrisType], position, impactVelocity);
+    }
+  }
+
+  spawnPiece(originalModel, position, impactVelocity) {
+    const model = originalModel.clone();
+
+    // Materiales propios para poder desvanecer cada pieza por separado
+    const materials = [];
+    model.traverse((child) => {
+      if (child.isMesh) {
+        child.material = child.material.clone();
+        child.material.transparent = true;
+        materials.push(child.material);
+      }
+    });
+
+    // Pequeña dispersión alrededor del punto de impacto
+    model.position.set(
+      position.x + this.random.float(-0.6, 0.6),
+      position.y + this.random.float(0.3, 0.8),
+      position.z + this.random.float(-0.6, 0.6)
+    );
+    model.rotation.set(
+      this.random.float(0, Math.PI * 2),
+      this.random.float(0, Math.PI * 2),
+      this.random.float(0, Math.PI * 2)
+    );
+    model.scale.setScalar(this.scale);
+
+    // Impulso inicial: parte de la velocidad del impacto más una dispersión aleatoria
+    const velocity = impactVelocity.clone().multiplyScalar(this.impulseFactor);
+    velocity.x += this.random.float(-1, 1) * this.spreadSpeed;
+    velocity.z += this.random.float(-1, 1) * this.spreadSpeed;
+    velocity.y = this.upwardImpulse * this.random.float(0.5, 1.5);
+
+    const angularVelocity = new THREE.Vector3(
+      this.random.float(-1, 1) * this.maxSpin,
+      this.random.float(-1, 1) * this.maxSpin,
+      this.random.float(-1, 1) * this.maxSpin
+    );
+
+    this.scene.add(model);
+    this.pieces.push({
+      model: model,
+      materials: materials,
+      velocity: velocity,
+      angularVelocity: angularVelocity,
+      age: 0,
+      resting: false
+    });
+  }
+
+  getGroundHeight(x, z) {
+    return typeof this.groundHeight === 'function' ? this.groundHeight(x, z) : this.groundHeight;
+  }
+
+  update(deltaTime) {
+    if (this.pieces.length === 0) return;
+
+    let i = this.pieces.length;
+    while (i--) {
+      const piece = this.pieces[i];
+      piece.age += deltaTime;
+
+      // Eliminar las piezas que han agotado su tiempo de vida
+      if (piece.age >= this.lifetime) {
+        this.removePiece(i);
+        continue;
+      }
+
+      if (!piece.resting) {
+        this.integratePiece(piece, deltaTime);
+      }
+
+      // Desvanecer la pieza durante sus últimos instantes
+      const fadeStart = this.lifetime - this.fadeDuration;
+      if (piece.age > fadeStart) {
+        const opacity = 1 - (piece.age - fadeStart) / this.fadeDuration;
+        for (const material of piece.materials) {
+          material.opacity = opacity;
+        }
+      }
+    }
+  }
+
+  integratePiece(piece, deltaTime) {
+    const { model, velocity, angularVelocity } = piece;
+
+    // Gravedad e integración de la posición
+    velocity.y -= this.gravity * deltaTime;
+    model.position.addScaledVector(velocity, deltaTime);
+
+    // Giro libre de la pieza
+    model.rotation.x += angularVelocity.x * deltaTime;
+    model.rotation.y += angularVelocity.y * deltaTime;
+    model.rotation.z += angularVelocity.z * deltaTime;
+
+    // Rebote contra la superficie de la carretera
+    const groundY = this.getGroundHeight(model.position.x, model.position.z);
+    if (model.position.y <= groundY) {
+      model.position.y = groundY;
+
+      velocity.y = -velocity.y * this.restitution;
+      velocity.x *= this.groundFriction;
+      velocity.z *= this.groundFriction;
+      angularVelocity.multiplyScalar(this.groundFriction);
+
+      // Dejar la pieza en reposo cuando apenas rebota
+      if (Math.abs(velocity.y) < 0.5 && velocity.lengthSq() < 0.5) {
+        piece.resting = true;
+      }
+    }
+  }
+
+  removePiece(index) {
+    const piece = this.pieces[index];
+    this.scene.remove(piece.model);
+
+    // Las geometrías se comparten con el modelo original; solo liberamos los materiales clonados
+    for (const material of piece.materials) {
+      material.dispose();
+    }
+
+    this.pieces.splice(index, 1);
+  }
+
+  // Origen flotante: las piezas se mueven en coordenadas del mundo
+  rebase(offset) {
+    for (const piece of this.pieces) {
+      piece.model.position.add(offset);
+    }
+  }
+
+  toggle() {
+    this.enabled = !this.enabled;
+
+    if (!this.enabled) {
+      this.clear();
+    }
+  }
+
+  clear() {
+    while (this.pieces.length > 0) {
+      this.removePiece(this.pieces.length - 1);
+    }
+  }
+
+  dispose() {
+    this.clear();
+  }
+}
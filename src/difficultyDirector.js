@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import difficultyPresets from './data/difficultyPresets.json';
+
+export default class DifficultyDirector extends THREE.EventDispatcher {
+  constructor(trafficManager, scoreManager, presetName = 'normal') {
+    super();
+    this.trafficManager = trafficManager;
+    this.scoreManager = scoreManager;
+    this.presets = difficultyPresets;
+
+    this.presetName = null;
+    this.preset = null;
+    this.elapsedTime = 0;
+
+    // Valores actuales de cada curva
+    this.values = {};
+
+    // Cambio mínimo de un valor para volver a aplicarlo al tráfico
+    this.applyThreshold = 0.01;
+    this.appliedValues = {};
+
+    this.setPreset(presetName);
+  }
+
+  getPresetNames() {
+    return Object.keys(this.presets);
+  }
+
+  setPreset(presetName) {
+    if (!this.presets[presetName]) {
+      console.warn(`Preset de dificultad desconocido: ${presetName}`);
+      return;
+    }
+
+    this.presetName = presetName;
+    this.preset = this.presets[presetName];
+    this.appliedValues = {};
+    this.evaluate();
+  }
+
+  // Progreso de la partida según el preset: distancia recorrida o tiempo jugado
+  getProgress() {
+    return this.preset.progression === 'time' ? this.elapsedTime : this.scoreManager.getDistance();
+  }
+
+  // Interpolación lineal entre los puntos [progreso, valor] de una curva
+  evaluateCurve(points, progress) {
+    if (progress <= points[0][0]) return points[0][1];
+
+    for (let i = 1; i < points.length; i++) {
+      const [endAt, endValue] = points[i];
+      if (progress <= endAt) {
+        const [startAt, startValue] = points[i - 1];
+        const t = (progress - startAt) / (endAt - startAt);
+        return THREE.MathUtils.lerp(startValue, endValue, t);
+      }
+    }
+
+    return points[points.length - 1][1];
+  }
+
+  update(deltaTime) {
+    this.elapsedTime += deltaTime;
+    this.evaluate();
+  }
+
+  evaluate() {
+    const progress = this.getProgress();
+
+    for (const [curveName, points] of Object.entries(this.preset.curves)) {
+      this.values[curveName] = this.evaluateCurve(points, progress);
+    }
+
+    this.applyToTraffic();
+  }
+
+  applyToTraffic() {
+    const traffic = this.trafficManager;
+    let changed = false;
+
+    const apply = (name, setter) => {
+      const value = this.values[name];
+      if (value === undefined) return;
+
+      const applied = this.appliedValues[name];
+      if (applied !== undefined && Math.abs(value - applied) < this.applyThreshold) return;
+
+      this.appliedValues[name] = value;
+      setter(value);
+      changed = true;
+    };
+
+    apply('incomingDensity', value => traffic.updateIncomingDensity(value));
+    apply('outgoingDensity', value => traffic.updateOutgoingDensity(value));
+    apply('trafficSpeed', value => {
+      traffic.updateIncomingSpeed(value);
+      traffic.updateOutgoingSpeed(value);
+    });
+    apply('heavyVehicleShare', value => traffic.updateHeavyVehicleShare(value));
+    // La frecuencia de obstáculos no se aplica al tráfico: la consultan los generadores de obstáculos
+    apply('obstacleFrequency', () => {});
+
+    if (changed) {
+      this.dispatchEvent({ type: 'change', preset: this.presetName, values: this.getValues() });
+    }
+  }
+
+  getValue(name) {
+    return this.values[name];
+  }
+
+  getValues() {
+    return { ...this.values };
+  }
+
+  reset() {
+    this.elapsedTime = 0;
+    this.appliedValues = {};
+    this.evaluate();
+  }
+}
@@ -45,23 +45,22 @@ export class TireTrailEffect {
     if (this.frameCounter >= this.trailInterval) {
       this.frameCounter = 0;
       
-      // Posición y rotación del vehículo
+      // Posición y rotación del vehículo (incluye la dirección y la pendiente de la carretera)
       const vehiclePosition = vehicle.position.clone();
-      const vehicleRotation = vehicle.rotation.y;
-      const vehicleHeight = vehiclePosition.y;
+      const vehicleRotation = vehicle.quaternion;
       
       // Calcular la posición de las ruedas traseras (las que dejan marca)
       // Vector de desplazamiento hacia atrás desde el centro del vehículo
       const backwardOffset = new THREE.Vector3(0, 0, this.wheelBase/2);
       // Rotar según la orientación del vehículo
-      backwardOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), vehicleRotation);
+      backwardOffset.applyQuaternion(vehicleRotation);
       
       // Posición base de las ruedas traseras
       const rearPosition = vehiclePosition.clone().add(backwardOffset);
       
       // Vector de desplazamiento lateral para las ruedas
       const rightVector = new THREE.Vector3(1, 0, 0);
-      rightVector.applyAxisAngle(new THREE.Vector3(0, 1, 0), vehicleRotation);
+      rightVector.applyQuaternion(vehicleRotation);
       rightVector.multiplyScalar(this.wheelDistance);
       
       // Posiciones finales de las ruedas traseras
@@ -69,8 +68,8 @@ export class TireTrailEffect {
       const rightWheelPos = rearPosition.clone().add(rightVector);
       
       // Ajustar altura para que la marca toque el suelo
-      leftWheelPos.y = vehicleHeight + this.groundOffset;
-      rightWheelPos.y = vehicleHeight + this.groundOffset;
+      leftWheelPos.y += this.groundOffset;
+      rightWheelPos.y += this.groundOffset;
       
       // Crear segmentos de trail si existen puntos previos
       if (this.lastLeftPoint) {
@@ -170,6 +169,16 @@ export class TireTrailEffect {
     }
   }
 
+  // Origen flotante: los vértices de las marcas están en coordenadas del mundo; se desplazan las mallas
+  rebase(offset) {
+    for (const mesh of [...this.leftTrailMeshes, ...this.rightTrailMeshes]) {
+      mesh.position.add(offset);
+    }
+    for (const point of [...this.trailPoints.left, ...this.trailPoints.right]) {
+      point.add(offset);
+    }
+  }
+
   toggle() {
     this.enabled = !this.enabled;
     
@@ -0,0 +1,248 @@
+import * as THREE from 'three';
+import { SirenLights } from './sirenLights.js';
+import { SeededRandom } from './seededRandom.js';
+
+export default class EmergencyVehicleManager extends THREE.EventDispatcher {
+  constructor(scene, trafficManager, playerController, scoreManager) {
+    super();
+    this.scene = scene;
+    this.trafficManager = trafficManager;
+    this.playerController = playerController;
+    this.scoreManager = scoreManager;
+    this.random = new SeededRandom(); // GameInit asigna el flujo de este sistema del servicio de semillas
+
+    // Configuración del comportamiento
+    this.config = {
+      minInterval: 25, // Segundos mínimos entre apariciones
+      maxInterval: 45, // Segundos máximos entre apariciones
+      retryInterval: 3, // Reintento si el jugador no está en un carril de su sentido
+      spawnDistanceBehind: 70, // Distancia por detrás del jugador a la que aparece
+      overtakeSpeed: 14, // Velocidad extra respecto al jugador (unidades/s)
+      minSpeed: 30, // Velocidad mínima del vehículo (unidades/s)
+      yieldLookahead: 60, // Distancia por delante a la que el tráfico se aparta
+      yieldDistance: 14, // Si alcanza al jugador a esta distancia sin que se aparte, penalización
+      blockedDistance: 14, // Distancia a la que frena detrás de un coche que no se aparta
+      yieldBonus: 300, // Puntos por dejar paso a tiempo
+      yieldPenalty: 500, // Puntos que se pierden por no dejar paso
+      maxAcceleration: 10, // Aceleración del vehículo (unidades/s²)
+      timeHeadway: 0.2 // Separación con el vehículo de delante: se pega mucho más que el tráfico normal
+    };
+
+    this.activeVehicle = null;
+    this.spawnTimer = this.getRandomInterval();
+
+    // Luz puntual que ilumina el entorno con el color activo. Se crea una sola vez y permanece en la escena
+    // (apagada cuando no hay vehículo) para no cambiar el número de luces y forzar la recompilación de shaders
+    this.glow = new THREE.PointLight(0xff0000, 0, 12, 2);
+    this.glowIntensity = 6;
+    this.scene.add(this.glow);
+  }
+
+  getRandomInterval() {
+    return this.random.float(this.config.minInterval, this.config.maxInterval);
+  }
+
+  // allowSpawn = false deja terminar al vehículo activo sin generar otros nuevos (fuera de la partida)
+  update(deltaTime, allowSpawn = true) {
+    const player = this.playerController;
+    if (!player || !player.carModel) return;
+
+    if (this.activeVehicle) {
+      // El gestor de tráfico pudo eliminar el vehículo al quedar demasiado lejos
+      if (!this.trafficManager.getTrafficCars().includes(this.activeVehicle)) {
+        this.removeLights(this.activeVehicle);
+        this.activeVehicle = null;
+        this.spawnTimer = this.getRandomInterval();
+        return;
+      }
+
+      this.updateVehicle(this.activeVehicle, deltaTime);
+      return;
+    }
+
+    if (!allowSpawn || player.crashed) return;
+
+    this.spawnTimer -= deltaTime;
+    if (this.spawnTimer <= 0) {
+      this.spawnTimer = this.spawnVehicle() ? this.getRandomInterval() : this.config.retryInterval;
+    }
+  }
+
+  spawnVehicle() {
+    const player = this.playerController;
+    const lane = player.movingLane ? player.targetLane : player.currentLane;
+
+    // Solo aparece por detrás si el jugador circula por un carril de su sentido
+    if (!this.trafficManager.outgoingLanes.includes(lane)) return false;
+
+    const types = this.trafficManager.emergencyVehicleTypes;
+    const modelType = this.random.pick(types);
+    const z = player.position.z + this.config.spawnDistanceBehind;
+
+    if (!this.trafficManager.isLaneGapFree(lane, z)) return false;
+
+    // Aparece ya más rápido que el jugador
+    const playerSpeed = player.getWorldVelocity().length();
+    const speed = this.trafficManager.toConfigSpeed(Math.max(this.config.minSpeed, playerSpeed + this.config.overtakeSpeed));
+    
+    const vehicle = this.trafficManager.addCar(modelType, lane, z, 'outgoing', speed, {
+      emergency: true,
+      yieldResolved: false,
+      desiredSpeed: speed,
+      maxAcceleration: this.config.maxAcceleration,
+      timeHeadway: this.config.timeHeadway
+    });
+    if (!vehicle) return false;
+
+    this.addLights(vehicle);
+    this.activeVehicle = vehicle;
+
+    this.dispatchEvent({ type: 'emergencyspawn', vehicle: vehicle });
+    return true;
+  }
+
+  addLights(vehicle) {
+    vehicle.siren = new SirenLights(vehicle.model, this.trafficManager.carBounds[vehicle.modelType]);
+
+    // Llevar la luz puntual compartida sobre el techo del vehículo
+    this.glow.position.set(0, vehicle.siren.roofY + 0.3, 0);
+    this.glow.intensity = this.glowIntensity;
+    vehicle.model.add(this.glow);
+  }
+
+  removeLights(vehicle) {
+    if (!vehicle.siren) return;
+
+    vehicle.siren.dispose();
+    vehicle.siren = null;
+
+    // Devolver la luz puntual a la escena, apagada
+    this.glow.intensity = 0;
+    this.scene.add(this.glow);
+  }
+
+  updateVehicle(vehicle, deltaTime) {
+    this.updateLights(vehicle, deltaTime);
+    if (vehicle.crashed) return;
+
+    const player = this.playerController;
+    const playerZ = player.position.z;
+    const vehicleZ = vehicle.position.z;
+
+    // Siempre más rápido que el jugador para poder alcanzarlo
+    const playerSpeed = player.crashed ? 0 : player.getWorldVelocity().length();
+    let worldSpeed = Math.max(this.config.minSpeed, playerSpeed + this.config.overtakeSpeed);
+
+    // El tráfico que va por delante en su carril se aparta
+    const blocker = this.yieldTraffic(vehicle);
+
+    // Si alguien no puede apartarse, frenar detrás y buscar otro carril
+    if (blocker) {
+      worldSpeed = Math.min(worldSpeed, this.trafficManager.getCarVelocity(blocker).length());
+      this.trafficManager.moveAside(vehicle);
+    }
+
+    const gapToPlayer = vehicleZ - playerZ;
+    const playerInLane = this.trafficManager.isPlayerInLane(vehicle.lane);
+
+    // Comprobar si el jugador deja paso
+    if (!vehicle.yieldResolved) {
+      if (gapToPlayer < 0) {
+        // Ya ha adelantado al jugador: dejó paso a tiempo
+        this.resolveYield(vehicle, true);
+      } else if (playerInLane && gapToPlayer < this.config.yieldDistance) {
+        // Lo ha alcanzado sin que se aparte: penalización y el vehículo lo esquiva por otro carril
+        this.resolveYield(vehicle, false);
+      }
+    }
+
+    // Mientras el jugador le cierre el paso, no embestirlo: igualar su velocidad y esquivarlo
+    if (gapToPlayer > 0 && playerInLane && gapToPlayer < this.config.yieldDistance * 1.5) {
+      worldSpeed = Math.min(worldSpeed, playerSpeed);
+      this.overtakePlayer(vehicle);
+    }
+
+    // Si un cambio de distribución de carriles lo ha dejado en el sentido contrario, volver a uno de su sentido
+    if (!this.trafficManager.outgoingLanes.includes(vehicle.lane)) {
+      this.returnToOutgoingLane(vehicle);
+    }
+
+    // El gestor de tráfico ajusta la velocidad real para no chocar con el vehículo de delante
+    vehicle.desiredSpeed = this.trafficManager.toConfigSpeed(worldSpeed);
+  }
+
+  returnToOutgoingLane(vehicle) {
+    if (vehicle.laneChange) return;
+
+    const lanes = this.trafficManager.outgoingLanes;
+    const lane = lanes.find(candidate => Math.abs(candidate - vehicle.lane) === 1);
+    if (lane !== undefined && this.trafficManager.isLaneGapFree(lane, vehicle.position.z, vehicle)) {
+      this.trafficManager.startLaneChange(vehicle, lane);
+    }
+  }
+
+  updateLights(vehicle, deltaTime) {
+    if (!vehicle.siren) return;
+
+    vehicle.siren.update(deltaTime);
+    this.glow.color.setHex(vehicle.siren.getActiveColor());
+  }
+
+  // Aparta el tráfico por delante y devuelve el primer coche que no ha podido hacerlo
+  yieldTraffic(vehicle) {
+    const vehicleZ = vehicle.position.z;
+    let blocker = null;
+    let blockerDistance = Infinity;
+
+    for (const car of this.trafficManager.getTrafficCars()) {
+      if (car === vehicle || car.direction !== 'outgoing' || car.lane !== vehicle.lane) continue;
+
+      const distance = vehicleZ - car.position.z;
+      if (distance <= 0 || distance > this.config.yieldLookahead) continue;
+
+      if (!this.trafficManager.moveAside(car) && distance < this.config.blockedDistance &&
+          distance < blockerDistance) {
+        blocker = car;
+        blockerDistance = distance;
+      }
+    }
+
+    return blocker;
+  }
+
+  overtakePlayer(vehicle) {
+    if (vehicle.laneChange) return;
+
+    // Solo sirve un carril contiguo libre de su mismo sentido: por el contrario se encontraría de frente con
+    // el tráfico que se acerca. Si no hay ninguno, sigue detrás del jugador a su velocidad
+    const candidates = [vehicle.lane - 1, vehicle.lane + 1]
+      .filter(lane => this.trafficManager.outgoingLanes.includes(lane));
+
+    for (const lane of candidates) {
+      if (!this.trafficManager.isPlayerInLane(lane) && this.trafficManager.isLaneGapFree(lane, vehicle.position.z, vehicle)) {
+        this.trafficManager.startLaneChange(vehicle, lane);
+        return;
+      }
+    }
+  }
+
+  resolveYield(vehicle, yielded) {
+    vehicle.yieldResolved = true;
+
+    if (yielded) {
+      const points = this.scoreManager.addPoints(this.config.yieldBonus, 'emergency');
+      this.dispatchEvent({ type: 'emergencyyielded', vehicle: vehicle, points: points });
+    } else {
+      this.scoreManager.addPoints(-this.config.yieldPenalty, 'emergency', false);
+      this.dispatchEvent({ type: 'emergencyblocked', vehicle: vehicle, points: -this.config.yieldPenalty });
+    }
+  }
+
+  reset() {
+    if (this.activeVehicle) {
+      this.removeLights(this.activeVehicle);
+      this.activeVehicle = null;
+    }
+    this.spawnTimer = this.getRandomInterval();
+  }
+}
@@ -0,0 +1,32 @@
+import * as THREE from 'three';
+
+// Origen flotante: cuando el jugador se aleja demasiado del origen del mundo, toda la escena se desplaza
+// de vuelta para que las posiciones que llegan a la GPU (en coma flotante de 32 bits) no pierdan precisión.
+// El desplazamiento es solo horizontal y no cambia las distancias a lo largo del trazado: los gestores
+// escuchan 'rebase' (a través de GameInit) y desplazan las posiciones del mundo que tengan guardadas
+export default class FloatingOrigin extends THREE.EventDispatcher {
+  constructor(threshold = 2000) {
+    super();
+    this.threshold = threshold; // Distancia horizontal al origen a partir de la que se recoloca el mundo
+    this.offset = new THREE.Vector3(); // Desplazamiento acumulado desde el inicio de la partida
+    this.rebaseCount = 0;
+  }
+
+  // Comprueba la posición del jugador en el mundo y, si ha superado el umbral, lo devuelve al origen
+  update(focusPosition) {
+    if (Math.hypot(focusPosition.x, focusPosition.z) < this.threshold) return false;
+
+    const offset = new THREE.Vector3(-focusPosition.x, 0, -focusPosition.z);
+    this.offset.add(offset);
+    this.rebaseCount++;
+
+    // offset es lo que hay que sumar a cada posición del mundo guardada
+    this.dispatchEvent({ type: 'rebase', offset: offset, total: this.offset.clone() });
+    return true;
+  }
+
+  reset() {
+    this.offset.set(0, 0, 0);
+    this.rebaseCount = 0;
+  }
+}
@@ -0,0 +1,219 @@
+import * as THREE from 'three';
+
+// Estados posibles de la partida
+export const GameStates = {
+  TITLE: 'title',
+  COUNTDOWN: 'countdown',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  GAME_OVER: 'gameover'
+};
+
+// Sistemas que se actualizan en cada estado
+const STATE_UPDATES = {
+  [GameStates.TITLE]: {
+    road: true, player: false, traffic: true, collision: false, score: false, difficulty: false, effects: true
+  },
+  [GameStates.COUNTDOWN]: {
+    road: true, player: false, traffic: true, collision: false, score: false, difficulty: false, effects: true
+  },
+  [GameStates.PLAYING]: {
+    road: true, player: true, traffic: true, collision: true, score: true, difficulty: true, effects: true
+  },
+  [GameStates.PAUSED]: {
+    road: false, player: false, traffic: false, collision: false, score: false, difficulty: false, effects: false
+  },
+  [GameStates.GAME_OVER]: {
+    road: true, player: true, traffic: true, collision: false, score: false, difficulty: false, effects: true
+  }
+};
+
+// Transiciones permitidas desde cada estado
+const TRANSITIONS = {
+  [GameStates.TITLE]: [GameStates.COUNTDOWN],
+  [GameStates.COUNTDOWN]: [GameStates.PLAYING, GameStates.PAUSED],
+  [GameStates.PLAYING]: [GameStates.PAUSED, GameStates.GAME_OVER],
+  [GameStates.PAUSED]: [GameStates.COUNTDOWN, GameStates.PLAYING, GameStates.TITLE],
+  [GameStates.GAME_OVER]: [GameStates.COUNTDOWN, GameStates.TITLE]
+};
+
+// Modos de juego disponibles y su nombre visible
+export const GameModes = {
+  endless: 'Infinito',
+  pursuit: 'Persecución'
+};
+
+export default class GameStateManager extends THREE.EventDispatcher {
+  constructor() {
+    super();
+    this.state = GameStates.TITLE;
+    this.stateBeforePause = null;
+
+    // Duración de la cuenta atrás antes de empezar a conducir (segundos)
+    this.countdownDuration = 3;
+    this.countdownRemaining = 0;
+
+    // Modo de juego de la próxima partida
+    this.gameMode = 'endless';
+
+    // Las teclas de la partida se ignoran mientras otro modo (el editor de trazados) usa el teclado
+    this.inputEnabled = true;
+
+    this.setupInputs();
+  }
+
+  setupInputs() {
+    document.addEventListener('keydown', (event) => {
+      if (!this.inputEnabled) return;
+
+      switch (event.key) {
+        case 'Escape':
+        case 'p':
+        case 'P':
+          this.togglePause();
+          break;
+        case 'Enter':
+        case ' ':
+          if (this.state === GameStates.TITLE) {
+            this.start();
+          } else if (this.state === GameStates.GAME_OVER) {
+            this.restart();
+          }
+          break;
+        case 'r':
+        case 'R':
+          this.restart();
+          break;
+        case 'm':
+        case 'M':
+          this.cycleGameMode();
+          break;
+      }
+    });
+
+    // Pausar automáticamente al perder el foco de la ventana
+    window.addEventListener('blur', () => this.pause());
+  }
+
+  setInputEnabled(enabled) {
+    this.inputEnabled = enabled;
+  }
+
+  setState(newState) {
+    if (newState === this.state) return false;
+
+    if (!TRANSITIONS[this.state].includes(newState)) {
+      console.warn(`Transición de estado no permitida: ${this.state} -> ${newState}`);
+      return false;
+    }
+
+    const previousState = this.state;
+    this.state = newState;
+
+    if (newState === GameStates.COUNTDOWN) {
+      this.countdownRemaining = this.countdownDuration;
+    }
+
+    this.dispatchEvent({ type: 'statechange', state: newState, previousState: previousState });
+    return true;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  is(state) {
+    return this.state === state;
+  }
+
+  // Indica si un sistema ('road', 'player', 'traffic', ...) debe actualizarse en el estado actual
+  shouldUpdate(system) {
+    return STATE_UPDATES[this.state][system] ?? false;
+  }
+
+  update(deltaTime) {
+    if (this.state !== GameStates.COUNTDOWN) return;
+
+    const previousSecond = Math.ceil(this.countdownRemaining);
+    this.countdownRemaining -= deltaTime;
+    const currentSecond = Math.ceil(this.countdownRemaining);
+
+    if (currentSecond !== previousSecond && currentSecond > 0) {
+      this.dispatchEvent({ type: 'countdown', remaining: currentSecond });
+    }
+
+    if (this.countdownRemaining <= 0) {
+      this.setState(GameStates.PLAYING);
+    }
+  }
+
+  start() {
+    if (this.state !== GameStates.TITLE) return;
+
+    // Empezar siempre desde un estado limpio
+    this.dispatchEvent({ type: 'restart' });
+    this.setState(GameStates.COUNTDOWN);
+  }
+
+  pause() {
+    if (this.state !== GameStates.PLAYING && this.state !== GameStates.COUNTDOWN) return;
+
+    this.stateBeforePause = this.state;
+    this.setState(GameStates.PAUSED);
+  }
+
+  resume() {
+    if (this.state !== GameStates.PAUSED) return;
+
+    this.setState(this.stateBeforePause ?? GameStates.PLAYING);
+    this.stateBeforePause = null;
+  }
+
+  togglePause() {
+    if (this.state === GameStates.PAUSED) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  gameOver() {
+    this.setState(GameStates.GAME_OVER);
+  }
+
+  restart() {
+    if (this.state !== GameStates.GAME_OVER && this.state !== GameStates.PAUSED) return;
+
+    // Los gestores se reinician en respuesta a este evento, antes de la nueva cuenta atrás
+    this.dispatchEvent({ type: 'restart' });
+    this.stateBeforePause = null;
+    this.setState(GameStates.COUNTDOWN);
+  }
+
+  // El modo solo puede cambiarse fuera de la partida; se aplica al empezar la siguiente
+  setGameMode(mode) {
+    if (!GameModes[mode] || mode === this.gameMode) return false;
+    if (this.state !== GameStates.TITLE && this.state !== GameStates.GAME_OVER) return false;
+
+    this.gameMode = mode;
+    this.dispatchEvent({ type: 'modechange', mode: mode });
+    return true;
+  }
+
+  cycleGameMode() {
+    const modes = Object.keys(GameModes);
+    const next = modes[(modes.indexOf(this.gameMode) + 1) % modes.length];
+    return this.setGameMode(next);
+  }
+
+  getGameMode() {
+    return this.gameMode;
+  }
+
+  quitToTitle() {
+    if (this.state !== GameStates.GAME_OVER && this.state !== GameStates.PAUSED) return;
+
+    this.stateBeforePause = null;
+    this.setState(GameStates.TITLE);
+  }
+}
@@ -1,10 +1,26 @@
 import * as THREE from 'three';
 import GuiManager from './guiManager.js';
 import RoadManager from './roadManager.js';
+import SceneryManager from './sceneryManager.js';
 import PlayerController from './playerController.js';
 import TrafficManager from './trafficManager.js';
 import CameraController from './cameraController.js';
+import CollisionManager from './collisionManager.js';
+import { DebrisEffect } from './debris.js';
+import ScoreManager from './scoreManager.js';
+import GameStateManager, { GameStates } from './gameStateManager.js';
+import HudManager from './hudManager.js';
+import HighScoreManager from './highScoreManager.js';
+import DifficultyDirector from './difficultyDirector.js';
+import ObstacleManager from './obstacleManager.js';
+import EmergencyVehicleManager from './emergencyVehicleManager.js';
+import PursuitManager from './pursuitManager.js';
+import RandomService from './randomService.js';
 import PostProcessingManager from './postProcessing.js';
+import FloatingOrigin from './floatingOrigin.js';
+import TrackEditor from './trackEditor.js';
+import GarageScreen from './garageScreen.js';
+import { getTrackFromUrl } from './trackFormat.js';
 
 export default class GameInit {
   constructor(container) {
@@ -21,8 +37,24 @@ export default class GameInit {
     this.roadManager = null;
     this.playerController = null;
     this.trafficManager = null;
+    this.collisionManager = null;
+    this.debrisEffect = null;
+    this.scoreManager = null;
+    this.gameStateManager = null;
+    this.hudManager = null;
+    this.highScoreManager = null;
+    this.difficultyDirector = null;
+    this.obstacleManager = null;
+    this.emergencyVehicleManager = null;
+    this.pursuitManager = null;
     this.postProcessing = null;
+    this.randomService = null;
+    this.trackEditor = null;
+    this.garageScreen = null;
     this.clock = new THREE.Clock();
+    this.fixedTimeStep = 1 / 60; // Duración de cada paso de la simulación
+    this.maxStepsPerFrame = 5; // Pasos máximos por frame para no encadenar retrasos
+    this.stepAccumulator = 0; // Tiempo real pendiente de simular
     this.init();
   }
 
@@ -101,14 +133,155 @@ export default class GameInit {
     // Configurar niebla para dar sensación de profundidad en ambiente nocturno
     this.scene.fog = new THREE.Fog(0x05101a, 50, 250);
     
-    // Inicializar el sistema de carreteras
+    // Semilla de la partida: la de la URL (?seed=...) o una nueva al azar
+    this.randomService = new RandomService(RandomService.getSeedFromUrl() ?? RandomService.generateSeed());
+    
+    // Inicializar el sistema de carreteras (el trazado se genera con su propio flujo de la semilla)
     this.roadManager = new RoadManager(this.scene);
+    this.roadManager.random = this.randomService.getStream('road');
+    
+    // Inicializar el paisaje que acompaña a cada tramo de carretera
+    this.sceneryManager = new SceneryManager(this.scene, this.roadManager);
+    this.sceneryManager.random = this.randomService.getStream('scenery');
     
     // Inicializar el controlador del jugador
     this.playerController = new PlayerController(this.scene, this.roadManager);
     
     // Inicializar el gestor de tráfico
     this.trafficManager = new TrafficManager(this.scene, this.roadManager);
+    this.trafficManager.playerController = this.playerController;
+    this.trafficManager.random = this.randomService.getStream('traffic');
+    
+    // Inicializar el sistema de puntuación
+    this.scoreManager = new ScoreManager(this.playerController, this.trafficManager);
+    
+    // Inicializar el director de dificultad (ajusta el tráfico según la distancia recorrida)
+    this.difficultyDirector = new DifficultyDirector(this.trafficManager, this.scoreManager);
+    
+    // Inicializar los obstáculos y zonas de obras (su frecuencia la marca el director de dificultad)
+    this.obstacleManager = new ObstacleManager(this.scene, this.roadManager, this.difficultyDirector);
+    this.trafficManager.obstacleManager = this.obstacleManager;
+    this.obstacleManager.trafficManager = this.trafficManager;
+    this.obstacleManager.random = this.randomService.getStream('obstacles');
+    
+    // Inicializar los vehículos de emergencia que se acercan por detrás del jugador
+    this.emergencyVehicleManager = new EmergencyVehicleManager(
+      this.scene,
+      this.trafficManager,
+      this.playerController,
+      this.scoreManager
+    );
+    this.emergencyVehicleManager.random = this.randomService.getStream('emergency');
+    
+    // Inicializar las persecuciones policiales del modo persecución
+    this.pursuitManager = new PursuitManager(this.trafficManager, this.playerController, this.scoreManager);
+    this.pursuitManager.random = this.randomService.getStream('pursuit');
+    this.pursuitManager.addEventListener('busted', () => this.onPlayerBusted());
+    
+    // Los carriles pueden cambiar durante la partida
+    this.roadManager.addEventListener('layoutchange', () => this.onLaneLayoutChange());
+    
+    // Trazados creados a mano: cada tramo fija sus carriles, su tráfico y sus puntos de control.
+    // Al cambiar de trazado la partida vuelve a empezar sobre la carretera nueva
+    this.roadManager.addEventListener('stretchchange', (event) => this.onStretchChange(event));
+    this.roadManager.addEventListener('tracksourcechange', () => this.resetGame());
+    
+    // Inicializar la detección de colisiones entre el jugador, el tráfico y los obstáculos
+    this.collisionManager = new CollisionManager(
+      this.playerController,
+      this.trafficManager,
+      this.obstacleManager
+    );
+    this.collisionManager.addEventListener('crash', (event) => this.onPlayerCrash(event));
+    this.collisionManager.addEventListener('trafficcrash', (event) => this.onTrafficCrash(event));
+    
+    // Inicializar el sistema de escombros para los choques
+    this.debrisEffect = new DebrisEffect(this.scene);
+    this.debrisEffect.random = this.randomService.getStream('debris');
+    
+    // Origen flotante: en carreras largas el mundo se recoloca cerca del origen para no perder precisión
+    this.floatingOrigin = new FloatingOrigin();
+    this.floatingOrigin.addEventListener('rebase', (event) => this.onOriginRebase(event));
+    
+    // Inicializar la máquina de estados de la partida (título, cuenta atrás, juego, pausa, fin)
+    this.gameStateManager = new GameStateManager();
+    this.gameStateManager.addEventListener('statechange', (event) => this.onGameStateChange(event));
+    this.gameStateManager.addEventListener('restart', () => this.resetGame());
+    this.playerController.setInputEnabled(false); // Sin control hasta que empiece la partida
+    
+    // Tabla local de récords e historial de partidas
+    this.highScoreManager = new HighScoreManager();
+    
+    // Interfaz superpuesta con la puntuación y los mensajes de estado
+    this.hudManager = new HudManager(
+      this.container,
+      this.gameStateManager,
+      this.scoreManager,
+      this.highScoreManager
+    );
+    
+    // Semilla visible en pantalla para poder repetir la partida
+    this.hudManager.setSeed(this.randomService.getSeed());
+    this.randomService.addEventListener('seedchange', (event) => this.hudManager.setSeed(event.seed));
+    
+    // Avisos de los vehículos de emergencia en la interfaz
+    this.emergencyVehicleManager.addEventListener('emergencyspawn', () => {
+      this.hudManager.showNotice('¡Vehículo de emergencia detrás! Deja paso', '#ff5050', 3000);
+    });
+    this.emergencyVehicleManager.addEventListener('emergencyyielded', (event) => {
+      this.hudManager.showNotice(`Has dejado paso +${Math.round(event.points)}`, '#7dff8a');
+    });
+    this.emergencyVehicleManager.addEventListener('emergencyblocked', (event) => {
+      this.hudManager.showNotice(`No has dejado paso ${event.points}`, '#ff5050');
+    });
+    
+    // Avisos de la persecución policial en la interfaz
+    this.pursuitManager.addEventListener('pursuitstart', (event) => {
+      this.hudManager.showNotice(`¡La policía te persigue! Nivel de búsqueda ${event.heat}`, '#5a8dff', 3000);
+    });
+    this.pursuitManager.addEventListener('heatchange', (event) => {
+      if (this.pursuitManager.pursuing) {
+        this.hudManager.showNotice(`Refuerzos en camino: nivel de búsqueda ${event.heat}`, '#5a8dff');
+      }
+    });
+    this.pursuitManager.addEventListener('escaped', (event) => {
+      this.hudManager.showNotice(`¡Has escapado! +${Math.round(event.points)}`, '#7dff8a', 3000);
+    });
+    
+    // Editor de trazados: congela la partida y permite construir y probar un trazado (tecla E)
+    this.trackEditor = new TrackEditor(this.renderer, this.roadManager);
+    this.trackEditor.addEventListener('testdrive', (event) => this.testDriveTrack(event.track));
+    this.trackEditor.addEventListener('close', () => this.closeEditor());
+    
+    // Garaje: elegir el coche del jugador sobre una plataforma giratoria (tecla G)
+    this.garageScreen = new GarageScreen(this.renderer, this.container);
+    this.garageScreen.addEventListener('select', (event) => {
+      this.changeVehicle(event.vehicle);
+      this.closeGarage();
+    });
+    this.garageScreen.addEventListener('close', () => this.closeGarage());
+    
+    document.addEventListener('keydown', (event) => {
+      if (event.target instanceof HTMLInputElement) return;
+      if ((event.key === 'e' || event.key === 'E') && !this.garageScreen.active) {
+        this.toggleEditor();
+      } else if ((event.key === 'g' || event.key === 'G') && !this.trackEditor.active) {
+        this.toggleGarage();
+      }
+    });
+    
+    // El coche elegido en la visita anterior al garaje
+    this.hudManager.setVehicle(this.playerController.handling.name);
+    const savedVehicle = this.garageScreen.getSavedVehicle();
+    if (savedVehicle) {
+      this.changeVehicle(savedVehicle);
+    }
+    
+    // Trazado pedido en la URL (?track=...): uno de los incluidos o la URL de un archivo
+    const trackFromUrl = getTrackFromUrl();
+    if (trackFromUrl) {
+      this.loadTrack(trackFromUrl);
+    }
     
     // Inicializar el gestor de post-procesamiento
     this.setupPostProcessing();
@@ -154,10 +327,248 @@ export default class GameInit {
         if (this.postProcessing) {
           this.guiManager.setPostProcessing(this.postProcessing);
         }
+        
+        // Pasar referencia de la tabla de récords al GUI
+        this.guiManager.setHighScoreManager(this.highScoreManager);
+        
+        // Pasar referencia de la máquina de estados al GUI (selección del modo de juego)
+        this.guiManager.setGameStateManager(this.gameStateManager);
+        
+        // Pasar referencia del servicio de semillas al GUI
+        this.guiManager.setRandomService(this.randomService);
+        
+        // Pasar referencia del director de dificultad al GUI
+        this.guiManager.setDifficultyDirector(this.difficultyDirector);
+        
+        // Pasar referencia del gestor de tráfico al GUI (mezcla de tráfico)
+        this.guiManager.setTrafficManager(this.trafficManager);
+        
+        // Pasar referencia del gestor del paisaje al GUI (luz de las farolas)
+        this.guiManager.setSceneryManager(this.sceneryManager);
       }
     }, 500);
   }
 
+  onPlayerCrash(event) {
+    // El jugador ha chocado: el coche ya está detenido y sin control
+    // Lanzar escombros desde el punto de impacto
+    this.spawnDebris(event);
+    
+    // El choque rompe el combo de puntuación
+    this.scoreManager.onCollision();
+    
+    // Sin condición de fallo no hay partida: el choque la termina
+    this.endRun();
+  }
+
+  onPlayerBusted() {
+    // La policía ha rodeado al jugador: detener el coche y terminar la partida
+    this.playerController.crash();
+    this.hudManager.showNotice('¡Te han detenido!', '#5a8dff', 3000);
+    this.endRun();
+  }
+
+  endRun() {
+    // Guardar la partida antes de mostrar la pantalla de resultados
+    this.recordRun();
+    this.gameStateManager.gameOver();
+  }
+
+  onLaneLayoutChange() {
+    // Recolocar al jugador, el tráfico y los obstáculos según la nueva distribución de carriles
+    this.playerController.updateLaneLayout();
+    this.trafficManager.updateLaneLayout();
+    this.obstacleManager.updateLaneLayout(this.roadManager.getPlayerZPosition());
+  }
+
+  onOriginRebase(event) {
+    // Desplazar todo lo que guarda posiciones del mundo; lo que vive en el espacio del trazado
+    // (jugador, tráfico, obstáculos) solo necesita recolocarse sobre la carretera desplazada
+    const offset = event.offset;
+    this.roadManager.rebase(offset);
+    this.sceneryManager.rebase(offset);
+    this.playerController.rebase(offset);
+    this.trafficManager.rebase(offset);
+    this.obstacleManager.rebase(offset);
+    this.debrisEffect.rebase(offset);
+    this.cameraController.rebase(offset);
+  }
+
+  loadTrack(track) {
+    const loading = track in this.roadManager.getTrackNames()
+      ? this.roadManager.selectTrack(track)
+      : this.roadManager.loadTrack(track);
+    
+    loading.catch((error) => {
+      console.error('No se pudo cargar el trazado:', error);
+      this.hudManager.showNotice(`Trazado no válido: ${error.message}`, '#ff5050', 6000);
+    });
+  }
+
+  toggleEditor() {
+    if (this.trackEditor.active) {
+      this.closeEditor();
+    } else {
+      this.openEditor();
+    }
+  }
+
+  openEditor() {
+    // La partida queda en pausa y sin teclado mientras se edita
+    this.gameStateManager.pause();
+    this.gameStateManager.setInputEnabled(false);
+    this.playerController.setInputEnabled(false);
+    this.hudManager.setVisible(false);
+    this.guiManager?.gui.hide();
+    this.trackEditor.open();
+  }
+
+  closeEditor() {
+    this.trackEditor.close();
+    this.gameStateManager.setInputEnabled(true);
+    this.hudManager.setVisible(true);
+    this.guiManager?.gui.show();
+  }
+
+  toggleGarage() {
+    if (this.garageScreen.active) {
+      this.closeGarage();
+    } else {
+      this.openGarage();
+    }
+  }
+
+  openGarage() {
+    // Como en el editor, la partida queda en pausa y sin teclado mientras se elige el coche
+    this.gameStateManager.pause();
+    this.gameStateManager.setInputEnabled(false);
+    this.playerController.setInputEnabled(false);
+    this.hudManager.setVisible(false);
+    this.guiManager?.gui.hide();
+    this.garageScreen.open(this.playerController.vehicleName);
+  }
+
+  closeGarage() {
+    this.garageScreen.close();
+    this.gameStateManager.setInputEnabled(true);
+    this.hudManager.setVisible(true);
+    this.guiManager?.gui.show();
+  }
+
+  // Cambia el coche del jugador sin recargar la página, también a mitad de partida
+  changeVehicle(vehicleName) {
+    this.playerController.setVehicle(vehicleName).then((changed) => {
+      if (!changed) return;
+      
+      // El tráfico guarda el largo del coche del jugador para sus distancias de seguridad
+      this.trafficManager.playerLength = null;
+      this.hudManager.setVehicle(this.playerController.handling.name);
+      
+      // El GUI muestra el modelo y los límites de velocidad del coche anterior
+      this.guiManager?.updateVehicle(this.playerController.carModel);
+    }).catch((error) => {
+      console.error('No se pudo cambiar de vehículo:', error);
+      this.hudManager.showNotice(`No se pudo cambiar de vehículo: ${error.message}`, '#ff5050', 6000);
+    });
+  }
+
+  // Prueba el trazado del editor: se convierte en la fuente del trazado y empieza una partida sobre él
+  testDriveTrack(track) {
+    this.roadManager.loadTrack(track).then(() => {
+      this.closeEditor();
+      if (this.gameStateManager.is(GameStates.TITLE)) {
+        this.gameStateManager.start();
+      } else {
+        this.gameStateManager.restart();
+      }
+    }).catch((error) => {
+      console.error('No se pudo probar el trazado:', error);
+      alert(`No se pudo probar el trazado:\n${error.message}`);
+    });
+  }
+
+  onStretchChange(event) {
+    const stretch = event.stretch;
+    if (stretch.layout) {
+      this.roadManager.setLayout(stretch.layout);
+    }
+    if (stretch.traffic) {
+      this.trafficManager.setMix(stretch.traffic);
+    }
+    
+    if (stretch.checkpoint) {
+      const lap = event.lap > 0 ? ` (vuelta ${event.lap + 1})` : '';
+      this.hudManager.showNotice(`Punto de control: ${stretch.checkpoint}${lap}`, '#7dff8a');
+    }
+    
+    // Al cruzar la meta de un trazado que no es un circuito termina la partida
+    if (stretch.finish && this.gameStateManager.is(GameStates.PLAYING)) {
+      this.hudManager.showNotice('¡Meta!', '#7dff8a', 3000);
+      this.endRun();
+    }
+  }
+
+  onTrafficCrash(event) {
+    // Choque entre dos coches de tráfico
+    this.spawnDebris(event);
+  }
+
+  spawnDebris(event) {
+    // Los escombros caen a la altura de la carretera en el punto del choque (puede estar en una cuesta)
+    this.debrisEffect.groundHeight = event.position.y;
+    this.debrisEffect.spawn(event.position, event.impactVelocity);
+  }
+
+  recordRun() {
+    const stats = this.scoreManager.getStats();
+    this.highScoreManager.recordRun({
+      score: stats.score,
+      distance: stats.distance,
+      topSpeed: stats.topSpeed,
+      duration: stats.duration,
+      mode: this.gameStateManager.getGameMode(),
+      vehicle: this.playerController.vehicleName
+    });
+  }
+
+  onGameStateChange(event) {
+    // Congelar el reloj durante la pausa para que el delta no se dispare al reanudar
+    if (event.state === GameStates.PAUSED) {
+      this.clock.stop();
+    } else if (event.previousState === GameStates.PAUSED) {
+      this.clock.start();
+    }
+    
+    // El jugador solo controla el coche mientras se está jugando
+    const canDrive = event.state === GameStates.PLAYING && !this.playerController.crashed;
+    this.playerController.setInputEnabled(canDrive);
+  }
+
+  resetGame() {
+    // Cada partida empieza desde el principio de las secuencias de su semilla
+    this.randomService.reset();
+    this.stepAccumulator = 0;
+    
+    // Reiniciar todos los gestores siempre en el mismo orden:
+    // primero la carretera, después el jugador (que se coloca sobre ella) y por último lo que depende de ambos
+    this.roadManager.reset();
+    this.playerController.reset();
+    this.trafficManager.reset();
+    this.emergencyVehicleManager.reset();
+    this.pursuitManager.reset();
+    this.pursuitManager.setActive(this.gameStateManager.getGameMode() === 'pursuit');
+    this.obstacleManager.reset();
+    this.collisionManager.reset();
+    this.scoreManager.reset();
+    this.difficultyDirector.reset();
+    this.debrisEffect.clear();
+    this.cameraController.reset();
+    this.floatingOrigin.reset();
+    
+    // El reinicio también llega sin cambio de estado (al cambiar de trazado): los controles siguen el estado actual
+    this.playerController.setInputEnabled(this.gameStateManager.is(GameStates.PLAYING));
+  }
+
   onWindowResize() {
     // Usar el controlador de cámara para manejar el cambio de tamaño
     if (this.cameraController) {
@@ -169,56 +580,73 @@ export default class GameInit {
     if (this.postProcessing) {
       this.postProcessing.resize();
     }
+    
+    if (this.trackEditor) {
+      this.trackEditor.onWindowResize();
+    }
+    if (this.garageScreen) {
+      this.garageScreen.onWindowResize();
+    }
   }
 
   animate() {
     requestAnimationFrame(() => this.animate());
     
-    const delta = this.clock.getDelta();
+    // Con el editor abierto la partida está congelada y solo se dibuja la escena del editor
+    if (this.trackEditor && this.trackEditor.active) {
+      this.trackEditor.update();
+      this.renderer.render(this.trackEditor.scene, this.trackEditor.camera);
+      return;
+    }
     
-    // Actualizar sistema de carreteras (ahora gestiona la generación de tramos según la posición del jugador)
-    if (this.roadManager) {
-      this.roadManager.update();
+    // Lo mismo con el garaje: solo se dibuja el coche sobre su plataforma
+    if (this.garageScreen && this.garageScreen.active) {
+      this.garageScreen.update();
+      this.renderer.render(this.garageScreen.scene, this.garageScreen.camera);
+      return;
     }
     
-    // Actualizar controlador del jugador (ahora mueve el coche)
-    if (this.playerController) {
-      this.playerController.update(delta);
+    // Durante la pausa el reloj está detenido y no se consulta
+    const delta = this.gameStateManager.is(GameStates.PAUSED) ? 0 : this.clock.getDelta();
+    
+    // La simulación avanza en pasos fijos, independientes de la tasa de refresco, para que la misma
+    // semilla con las mismas entradas dé la misma partida. Si un frame tarda demasiado se descarta el resto
+    this.stepAccumulator = Math.min(this.stepAccumulator + delta, this.fixedTimeStep * this.maxStepsPerFrame);
+    while (this.stepAccumulator >= this.fixedTimeStep) {
+      this.updateSimulation(this.fixedTimeStep);
+      this.stepAccumulator -= this.fixedTimeStep;
     }
     
-    // Actualizar gestor de tráfico con la posición Z del jugador
-    if (this.trafficManager && this.playerController && this.playerController.carModel) {
-      const playerZPosition = this.playerController.carModel.position.z;
-      this.trafficManager.update(delta, playerZPosition);
+    // Recolocar el mundo antes de renderizar si el jugador se ha alejado demasiado del origen
+    if (this.playerController && this.playerController.carModel) {
+      this.floatingOrigin.update(this.playerController.carModel.position);
     }
     
     // Actualizar la posición de las luces del jugador (faros)
     if (this.playerLightLeft && this.playerLightRight && this.playerController && this.playerController.carModel) {
       const playerPos = this.playerController.carModel.position.clone();
-      const playerRot = this.playerController.carModel.rotation.y;
+      const playerRotation = this.playerController.carModel.quaternion;
       
       // Vector hacia adelante del coche (Z negativo porque el modelo está rotado 180 grados)
-      // Ya que el coche se mueve en dirección Z negativa
+      // El giro del modelo incluye la dirección y la pendiente de la carretera
       const forwardVector = new THREE.Vector3(0, 0, -1);
-      forwardVector.applyAxisAngle(new THREE.Vector3(0, 1, 0), playerRot);
+      forwardVector.applyQuaternion(playerRotation);
       
       // Vector lateral (perpendicular al forward)
       const rightVector = new THREE.Vector3(1, 0, 0);
-      rightVector.applyAxisAngle(new THREE.Vector3(0, 1, 0), playerRot);
+      rightVector.applyQuaternion(playerRotation);
       
-      // Desplazamiento del frontal - el coche mira hacia Z negativo, así que este es el frente real
-      const frontOffset = 1.5; // Ajustado para colocar las luces más adelante
-      const frontPos = playerPos.clone().add(forwardVector.clone().multiplyScalar(-frontOffset));
-      
-      // Separación horizontal de los faros
-      const headlightSpread = 0.6;
+      // Desplazamiento del frontal, separación horizontal y altura de los faros: las del perfil del vehículo
+      // El coche mira hacia Z negativo, así que este es el frente real
+      const headlights = this.playerController.handling.headlights;
+      const frontPos = playerPos.clone().add(forwardVector.clone().multiplyScalar(-headlights.frontOffset));
       
       // Posicionar los faros a la altura y separación correcta
-      const leftHeadlightPos = frontPos.clone().add(rightVector.clone().multiplyScalar(-headlightSpread));
-      leftHeadlightPos.y = playerPos.y + 0.6; // Altura ajustada
+      const leftHeadlightPos = frontPos.clone().add(rightVector.clone().multiplyScalar(-headlights.spread));
+      leftHeadlightPos.y = playerPos.y + headlights.height;
       
-      const rightHeadlightPos = frontPos.clone().add(rightVector.clone().multiplyScalar(headlightSpread));
-      rightHeadlightPos.y = playerPos.y + 0.6; // Altura ajustada
+      const rightHeadlightPos = frontPos.clone().add(rightVector.clone().multiplyScalar(headlights.spread));
+      rightHeadlightPos.y = playerPos.y + headlights.height;
       
       // Asignar posiciones a las luces
       this.playerLightLeft.position.copy(leftHeadlightPos);
@@ -228,7 +656,7 @@ export default class GameInit {
       // Como el coche mira hacia Z negativo, necesitamos usar la dirección correcta
       const targetDistance = 30;
       const targetPos = frontPos.clone().add(forwardVector.clone().multiplyScalar(-targetDistance));
-      targetPos.y = playerPos.y - 0.5; // Apuntar ligeramente hacia abajo
+      targetPos.y -= 0.5; // Apuntar ligeramente hacia abajo
       
       // Asignar posición objetivo a los faros
       this.playerLightLeft.target.position.copy(targetPos);
@@ -240,6 +668,17 @@ export default class GameInit {
       this.cameraController.updateCamera(this.playerController, this.guiManager);
     }
     
+    // Los coches y tramos se dibujan por lotes: copiar sus posiciones finales antes de renderizar
+    if (this.roadManager) {
+      this.roadManager.updateRendering();
+    }
+    if (this.sceneryManager) {
+      this.sceneryManager.updateRendering(this.camera);
+    }
+    if (this.trafficManager) {
+      this.trafficManager.updateRendering(this.camera);
+    }
+    
     // Renderizar con post-procesamiento si está disponible, pasando la referencia del jugador
     // para que el efecto de profundidad de campo pueda hacer el enfoque automático
     if (this.postProcessing) {
@@ -248,4 +687,66 @@ export default class GameInit {
       this.renderer.render(this.scene, this.camera);
     }
   }
-}
\ No newline at end of file
+
+  // Un paso fijo de la simulación de la partida
+  updateSimulation(delta) {
+    const state = this.gameStateManager;
+    
+    // Avanzar la cuenta atrás si está activa
+    state.update(delta);
+    
+    // Actualizar sistema de carreteras (ahora gestiona la generación de tramos según la posición del jugador)
+    if (this.roadManager && state.shouldUpdate('road')) {
+      this.roadManager.update();
+    }
+    
+    // Actualizar controlador del jugador (ahora mueve el coche)
+    if (this.playerController && state.shouldUpdate('player')) {
+      this.playerController.update(delta);
+    }
+    
+    // Actualizar gestor de tráfico con la posición Z del jugador
+    if (this.trafficManager && this.playerController && this.playerController.carModel &&
+        state.shouldUpdate('traffic')) {
+      const playerZPosition = this.playerController.position.z;
+      this.trafficManager.update(delta, playerZPosition);
+    }
+    
+    // Actualizar los vehículos de emergencia (solo aparecen nuevos durante la partida y fuera de las persecuciones)
+    if (this.emergencyVehicleManager && state.shouldUpdate('traffic')) {
+      const allowEmergencies = state.is(GameStates.PLAYING) && !this.pursuitManager.active;
+      this.emergencyVehicleManager.update(delta, allowEmergencies);
+    }
+    
+    // Actualizar las unidades de policía del modo persecución
+    if (this.pursuitManager && state.shouldUpdate('traffic')) {
+      this.pursuitManager.update(delta, state.is(GameStates.PLAYING));
+    }
+    
+    // Actualizar obstáculos y zonas de obras por delante del jugador
+    if (this.obstacleManager && this.playerController && this.playerController.carModel &&
+        state.shouldUpdate('road')) {
+      this.obstacleManager.update(delta, this.playerController.position.z);
+    }
+    
+    // Comprobar colisiones entre el jugador, el tráfico y los obstáculos
+    if (this.collisionManager && state.shouldUpdate('collision')) {
+      this.collisionManager.update();
+    }
+    
+    // Actualizar la puntuación (distancia, adelantamientos y roces)
+    if (this.scoreManager && state.shouldUpdate('score')) {
+      this.scoreManager.update(delta);
+    }
+    
+    // Ajustar la dificultad según el progreso de la partida
+    if (this.difficultyDirector && state.shouldUpdate('difficulty')) {
+      this.difficultyDirector.update(delta);
+    }
+    
+    // Actualizar la simulación de escombros
+    if (this.debrisEffect && state.shouldUpdate('effects')) {
+      this.debrisEffect.update(delta);
+    }
+  }
+}
@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import playerVehicles from './data/playerVehicles.json';
+
+// Datos del perfil de manejo que se comparan en el garaje (la barra llena es el mejor de todos los vehículos)
+const HANDLING_STATS = [
+  { key: 'maxSpeed', name: 'Velocidad máxima' },
+  { key: 'acceleration', name: 'Aceleración' },
+  { key: 'laneChangeSpeed', name: 'Cambio de carril' },
+  { key: 'steeringAngle', name: 'Giro' }
+];
+
+// Garaje: elige el coche del jugador entre los de playerVehicles.json sobre una plataforma giratoria,
+// con las barras de su manejo. Tiene escena y cámara propias como el editor de trazados; GameInit congela
+// la partida mientras está abierto y escucha 'select' (vehículo elegido) y 'close' (volver sin cambiarlo)
+export default class GarageScreen extends THREE.EventDispatcher {
+  constructor(renderer, container) {
+    super();
+    this.renderer = renderer;
+    this.container = container;
+    this.active = false;
+    this.storageKey = 'lowpolycars.vehicle'; // Último vehículo elegido, para la próxima visita
+
+    this.vehicles = playerVehicles;
+    this.vehicleNames = Object.keys(this.vehicles);
+    this.index = 0;
+    this.turntableSpeed = 0.6; // Radianes por segundo
+
+    // Escena propia: plataforma iluminada sobre fondo oscuro
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x0b1620);
+    this.scene.add(new THREE.HemisphereLight(0xdde8ff, 0x1a1a22, 1.5));
+    const keyLight = new THREE.DirectionalLight(0xffffff, 2);
+    keyLight.position.set(4, 8, 6);
+    this.scene.add(keyLight);
+    const rimLight = new THREE.DirectionalLight(0x8ebbff, 1);
+    rimLight.position.set(-6, 3, -6);
+    this.scene.add(rimLight);
+
+    const platform = new THREE.Mesh(
+      new THREE.CylinderGeometry(2.6, 2.8, 0.2, 48),
+      new THREE.MeshStandardMaterial({ color: 0x26323d, roughness: 0.6, metalness: 0.3 })
+    );
+    platform.position.y = -0.1;
+    this.turntable = new THREE.Group();
+    this.turntable.add(platform);
+    this.scene.add(this.turntable);
+
+    // Grupo del vehículo mostrado, encima de la plataforma
+    this.display = new THREE.Group();
+    this.turntable.add(this.display);
+
+    this.camera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.1, 100);
+    this.camera.position.set(5, 2.6, 5.5);
+    this.camera.lookAt(0, 0.5, 0);
+    this.clock = new THREE.Clock(false);
+
+    // Modelos cargados (por vehículo)
+    this.loader = new GLTFLoader();
+    this.models = new Map();
+
+    // Elementos del DOM (se crean al abrir el garaje por primera vez)
+    this.root = null;
+    this.nameLabel = null;
+    this.statBars = {};
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  open(vehicleName) {
+    if (this.active) return;
+    this.active = true;
+
+    if (!this.root) {
+      this.createElements();
+    }
+    this.root.style.display = 'flex';
+    document.addEventListener('keydown', this.onKeyDown);
+    this.clock.start();
+
+    this.index = Math.max(0, this.vehicleNames.indexOf(vehicleName));
+    this.showVehicle();
+  }
+
+  close() {
+    if (!this.active) return;
+    this.active = false;
+    this.root.style.display = 'none';
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.clock.stop();
+  }
+
+  update() {
+    this.turntable.rotation.y += this.turntableSpeed * this.clock.getDelta();
+  }
+
+  onWindowResize() {
+    this.camera.aspect = window.innerWidth / window.innerHeight;
+    this.camera.updateProjectionMatrix();
+  }
+
+  createElements() {
+    // Panel inferior con el nombre, el manejo y los controles del garaje (con el estilo del HUD)
+    this.root = document.createElement('div');
+    this.root.style.cssText = `
+      position: absolute; left: 0; right: 0; bottom: 32px; display: none;
+      flex-direction: column; align-items: center; pointer-events: none;
+      font-family: 'Trebuchet MS', sans-serif; color: #fff;
+      text-shadow: 0 2px 4px rgba(0, 0, 0, 0.8);
+    `;
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size: 20px; letter-spacing: 4px; opacity: 0.7;';
+    title.textContent = 'GARAJE';
+
+    this.nameLabel = document.createElement('div');
+    this.nameLabel.style.cssText = 'font-size: 40px; font-weight: bold; margin: 4px 0 12px;';
+
+    const stats = document.createElement('div');
+    stats.style.cssText = `
+      display: grid; grid-template-columns: auto 220px; gap: 6px 14px; align-items: center;
+      padding: 12px 18px; background: rgba(5, 16, 26, 0.75); font-size: 15px;
+    `;
+    for (const stat of HANDLING_STATS) {
+      const label = document.createElement('div');
+      label.textContent = stat.name;
+      label.style.textAlign = 'right';
+
+      const track = document.createElement('div');
+      track.style.cssText = 'height: 10px; background: rgba(255, 255, 255, 0.15);';
+      const bar = document.createElement('div');
+      bar.style.cssText = 'height: 100%; background: #ffd34d; transition: width 0.2s;';
+      track.appendChild(bar);
+
+      stats.append(label, track);
+      this.statBars[stat.key] = bar;
+    }
+
+    // Botones para elegir con el ratón además de con el teclado
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 10px; margin-top: 14px; pointer-events: auto;';
+    buttons.append(
+      this.createButton('◀', () => this.browse(-1)),
+      this.createButton('Elegir (Enter)', () => this.select()),
+      this.createButton('▶', () => this.browse(1)),
+      this.createButton('Volver (Esc)', () => this.dispatchEvent({ type: 'close' }))
+    );
+
+    this.root.append(title, this.nameLabel, stats, buttons);
+    this.container.appendChild(this.root);
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `
+      padding: 8px 16px; font: inherit; font-size: 16px; color: #fff; cursor: pointer;
+      background: rgba(5, 16, 26, 0.85); border: 1px solid rgba(255, 255, 255, 0.4);
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  onKeyDown(event) {
+    switch (event.key) {
+      case 'ArrowLeft':
+        this.browse(-1);
+        break;
+      case 'ArrowRight':
+        this.browse(1);
+        break;
+      case 'Enter':
+        this.select();
+        break;
+      case 'Escape':
+        this.dispatchEvent({ type: 'close' });
+        break;
+    }
+  }
+
+  browse(step) {
+    const count = this.vehicleNames.length;
+    this.index = (this.index + step + count) % count;
+    this.showVehicle();
+  }
+
+  select() {
+    const vehicleName = this.vehicleNames[this.index];
+    this.saveVehicle(vehicleName);
+    this.dispatchEvent({ type: 'select', vehicle: vehicleName });
+  }
+
+  // Muestra el nombre y el manejo del vehículo actual y, en cuanto está cargado, su modelo
+  showVehicle() {
+    const vehicleName = this.vehicleNames[this.index];
+    const handling = this.vehicles[vehicleName];
+
+    this.nameLabel.textContent = handling.name;
+    for (const stat of HANDLING_STATS) {
+      const best = Math.max(...Object.values(this.vehicles).map(vehicle => vehicle[stat.key]));
+      this.statBars[stat.key].style.width = `${Math.round(handling[stat.key] / best * 100)}%`;
+    }
+
+    this.loadModel(vehicleName).then((model) => {
+      // Mientras cargaba se ha pasado a otro vehículo
+      if (this.vehicleNames[this.index] !== vehicleName) return;
+      this.display.clear();
+      this.display.add(model);
+    }).catch((error) => console.warn(error.message));
+  }
+
+  // Carga un modelo una sola vez y lo deja centrado sobre la plataforma
+  loadModel(vehicleName) {
+    if (!this.models.has(vehicleName)) {
+      this.models.set(vehicleName, new Promise((resolve, reject) => {
+        this.loader.load(`/models/cars/${vehicleName}.glb`, (gltf) => {
+          const model = gltf.scene;
+          const bounds = new THREE.Box3().setFromObject(model);
+          const center = bounds.getCenter(new THREE.Vector3());
+          model.position.set(-center.x, -bounds.min.y, -center.z);
+          resolve(model);
+        }, undefined, () => reject(new Error(`No se encuentra el modelo del vehículo ${vehicleName}`)));
+      }));
+    }
+    return this.models.get(vehicleName);
+  }
+
+  // Vehículo elegido en una visita anterior (null si no hay ninguno o ya no existe)
+  getSavedVehicle() {
+    try {
+      const vehicleName = localStorage.getItem(this.storageKey);
+      return this.vehicles[vehicleName] ? vehicleName : null;
+    } catch (error) {
+      console.warn('No se pudo leer el vehículo guardado:', error);
+      return null;
+    }
+  }
+
+  saveVehicle(vehicleName) {
+    try {
+      localStorage.setItem(this.storageKey, vehicleName);
+    } catch (error) {
+      console.warn('No se pudo guardar el vehículo elegido:', error);
+    }
+  }
+}
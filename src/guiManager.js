@@ -1,5 +1,8 @@
 import GUI from 'lil-gui';
 import * as THREE from 'three';
+import { GameModes } from './gameStateManager.js';
+import RandomService from './randomService.js';
+import { readTrackText } from './trackFormat.js';
 
 export default class GuiManager {
   constructor(scene, car, directionalLight, ambientLight, roadManager, playerController) {
@@ -14,6 +17,9 @@ export default class GuiManager {
     this.cameraControls = null; // Referencia para acceder desde otros archivos
     this.cameraPresets = {}; // Para almacenar configuraciones guardadas
     this.postProcessing = null; // Referencia al gestor de post-procesamiento
+    this.highScoreManager = null; // Referencia a la tabla de récords
+    this.difficultyDirector = null; // Referencia al director de dificultad
+    this.randomService = null; // Referencia al servicio de semillas
     this.init();
   }
 
@@ -27,6 +33,42 @@ export default class GuiManager {
     this.setupPostProcessingFolder();
   }
 
+  setHighScoreManager(highScoreManager) {
+    this.highScoreManager = highScoreManager;
+    // Configurar controles de récords una vez que esté disponible
+    this.setupHighScoreFolder();
+  }
+
+  setGameStateManager(gameStateManager) {
+    this.gameStateManager = gameStateManager;
+    // Configurar la selección del modo de juego una vez que esté disponible
+    this.setupGameModeFolder();
+  }
+
+  setRandomService(randomService) {
+    this.randomService = randomService;
+    // Configurar la semilla de la partida una vez que esté disponible
+    this.setupSeedFolder();
+  }
+
+  setTrafficManager(trafficManager) {
+    this.trafficManager = trafficManager;
+    // Configurar la mezcla de tráfico una vez que esté disponible
+    this.setupTrafficFolder();
+  }
+
+  setSceneryManager(sceneryManager) {
+    this.sceneryManager = sceneryManager;
+    // Configurar las opciones del paisaje una vez que esté disponible
+    this.setupSceneryFolder();
+  }
+
+  setDifficultyDirector(difficultyDirector) {
+    this.difficultyDirector = difficultyDirector;
+    // Configurar controles de dificultad una vez que esté disponible
+    this.setupDifficultyFolder();
+  }
+
   init() {
     this.setupCameraFolder();
     this.setupRoadFolder();
@@ -130,15 +172,14 @@ export default class GuiManager {
       speedFolder.open();
     }
     
-    // Configuración para el tamaño y rotación de los bloques de carretera
+    // Configuración para el tamaño de las piezas de carretera (la orientación la decide el trazado)
     const roadDimensionsFolder = roadFolder.addFolder('Dimensiones de Carretera');
     
     // Tamaño del bloque con nombres más descriptivos
     const roadBlockSettings = {
       width: 20,     // Ancho de carretera (eje X)
       height: 20,    // Altura/grosor (eje Y)
-      length: 20,    // Largo del segmento (eje Z)
-      rotationDeg: 90  // Rotación en grados (más intuitivo que radianes)
+      length: 20     // Largo del segmento (eje Z)
     };
     
     // Ancho de la carretera (eje X)
@@ -168,17 +209,6 @@ export default class GuiManager {
         }
       });
     
-    // Rotación del bloque en grados (más intuitivo que radianes)
-    roadDimensionsFolder.add(roadBlockSettings, 'rotationDeg', 0, 360)
-      .name('Rotación (grados) - 90° = carretera recta')
-      .onChange(value => {
-        if (this.roadManager && this.roadManager.roadModel) {
-          // Convertir grados a radianes
-          const radians = (value * Math.PI) / 180;
-          this.updateRoadBlockRotation(radians);
-        }
-      });
-    
     // Control para el porcentaje de carretera usado para los carriles
     roadDimensionsFolder.add(this.roadManager, 'laneAreaPercentage', 0.5, 1, 0.05)
       .name('% Área para carriles')
@@ -196,6 +226,45 @@ export default class GuiManager {
         this.roadManager.reset();
       });
     
+    // Trazado: el sin fin o uno creado a mano; al cambiarlo la partida vuelve a empezar
+    const trackOptions = {};
+    for (const [trackName, title] of Object.entries(this.roadManager.getTrackNames())) {
+      trackOptions[title] = trackName;
+    }
+    // Un trazado que no está en la lista (de un archivo o del editor) se muestra por su título
+    const getCurrentTrack = () => this.roadManager.getTrackName() ?? this.roadManager.trackSource.title;
+    this.trackControls = {
+      track: getCurrentTrack(),
+      loadFile: () => this.loadTrackFile()
+    };
+    const trackController = roadFolder.add(this.trackControls, 'track', trackOptions)
+      .name('Trazado')
+      .onChange(value => {
+        this.roadManager.selectTrack(value)
+          .catch(error => alert(`No se pudo cargar el trazado:\n${error.message}`));
+      });
+    
+    // Mantener el selector sincronizado con los trazados cargados desde fuera (?track=, archivo, editor)
+    // sin pasar por onChange, que volvería a cargarlo
+    this.roadManager.addEventListener('tracksourcechange', () => {
+      this.trackControls.track = getCurrentTrack();
+      trackController.updateDisplay();
+    });
+    roadFolder.add(this.trackControls, 'loadFile')
+      .name('Cargar trazado (JSON)');
+    
+    // Distribución de carriles (número y sentido); se aplica en caliente
+    const layoutOptions = {};
+    for (const layoutName of this.roadManager.getLayoutNames()) {
+      layoutOptions[this.roadManager.roadLayouts[layoutName].name] = layoutName;
+    }
+    this.laneLayoutControls = { layout: this.roadManager.layoutName };
+    roadFolder.add(this.laneLayoutControls, 'layout', layoutOptions)
+      .name('Carriles')
+      .onChange(value => {
+        this.roadManager.setLayout(value);
+      });
+    
     // Botón para reiniciar
     roadFolder.add({ resetRoad: () => this.roadManager.reset() }, 'resetRoad')
       .name('Reiniciar carretera');
@@ -205,6 +274,25 @@ export default class GuiManager {
     roadDimensionsFolder.open();
   }
 
+  // Abre un archivo de trazado del disco y lo carga; los errores de formato se muestran tal cual
+  loadTrackFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+      
+      try {
+        const data = readTrackText(await file.text(), file.name);
+        await this.roadManager.loadTrack(data);
+      } catch (error) {
+        alert(`No se pudo cargar el trazado:\n${error.message}`);
+      }
+    });
+    input.click();
+  }
+
   setupInstructions() {
     const instructionsFolder = this.gui.addFolder('Instrucciones');
     
@@ -214,7 +302,12 @@ export default class GuiManager {
               "- Flecha Izquierda: Mover a carril izquierdo\n" +
               "- Flecha Derecha: Mover a carril derecho\n" +
               "- Flecha Arriba: Aumentar velocidad\n" +
-              "- Flecha Abajo: Reducir velocidad");
+              "- Flecha Abajo: Reducir velocidad\n" +
+              "- Enter: Empezar / reiniciar tras el fin de la partida\n" +
+              "- Esc / P: Pausar y continuar\n" +
+              "- R: Reiniciar (en pausa)\n" +
+              "- M: Cambiar modo de juego (infinito / persecución)\n" +
+              "- E: Abrir y cerrar el editor de trazados");
       }
     };
     
@@ -222,31 +315,6 @@ export default class GuiManager {
       .name('Mostrar controles');
   }
 
-  updateRoadBlockScale(value, axis) {
-    // Actualizar el modelo de referencia
-    this.roadManager.roadModel.scale[axis] = value;
-    
-    // Actualizar todos los segmentos existentes
-    for (const segment of this.roadManager.roadSegments) {
-      segment.model.scale[axis] = value;
-    }
-  }
-
-  updateRoadBlockRotation(value) {
-    // Actualizar el modelo de referencia
-    this.roadManager.roadModel.rotation.y = value;
-    
-    // Actualizar todos los segmentos existentes
-    for (const segment of this.roadManager.roadSegments) {
-      segment.model.rotation.y = value;
-    }
-    
-    // Actualizar el valor en grados en la interfaz
-    if (this.roadBlockSettings) {
-      this.roadBlockSettings.rotationDeg = (value * 180 / Math.PI) % 360;
-    }
-  }
-
   setupEnvironmentFolder() {
     const environmentFolder = this.gui.addFolder('Ambiente');
     
@@ -347,6 +415,182 @@ export default class GuiManager {
     postProcessingFolder.open();
   }
 
+  setupGameModeFolder() {
+    if (!this.gameStateManager) return;
+    
+    const gameModeFolder = this.gui.addFolder('Modo de juego');
+    
+    // Mapa nombre visible -> clave del modo
+    const modeOptions = {};
+    for (const [mode, name] of Object.entries(GameModes)) {
+      modeOptions[name] = mode;
+    }
+    
+    // Objeto intermedio: el modo solo cambia si la máquina de estados lo permite
+    this.gameModeControls = { mode: this.gameStateManager.getGameMode() };
+    
+    const controller = gameModeFolder.add(this.gameModeControls, 'mode', modeOptions)
+      .name('Modo')
+      .onChange(value => {
+        if (!this.gameStateManager.setGameMode(value)) {
+          this.gameModeControls.mode = this.gameStateManager.getGameMode();
+          controller.updateDisplay();
+        }
+      });
+    
+    // Mantener el selector sincronizado con la tecla M
+    this.gameStateManager.addEventListener('modechange', (event) => {
+      this.gameModeControls.mode = event.mode;
+      controller.updateDisplay();
+    });
+    
+    gameModeFolder.open();
+  }
+
+  setupSeedFolder() {
+    if (!this.randomService) return;
+    
+    const seedFolder = this.gui.addFolder('Semilla');
+    
+    // La semilla nueva se aplica desde la siguiente partida; la actual sigue con la suya
+    this.seedControls = {
+      seed: this.randomService.getSeed(),
+      randomSeed: () => this.randomService.setSeed(RandomService.generateSeed())
+    };
+    
+    const controller = seedFolder.add(this.seedControls, 'seed')
+      .name('Semilla (siguiente partida)')
+      .onFinishChange(value => {
+        const seed = String(value).trim();
+        if (seed) {
+          this.randomService.setSeed(seed);
+        } else {
+          this.seedControls.seed = this.randomService.getSeed();
+          controller.updateDisplay();
+        }
+      });
+    
+    seedFolder.add(this.seedControls, 'randomSeed').name('Semilla aleatoria');
+    
+    this.randomService.addEventListener('seedchange', (event) => {
+      this.seedControls.seed = event.seed;
+      controller.updateDisplay();
+    });
+  }
+
+  setupSceneryFolder() {
+    if (!this.sceneryManager) return;
+    
+    const sceneryFolder = this.gui.addFolder('Paisaje');
+    
+    // Luz de las farolas sobre la carretera: manchas simuladas (baratas) o focos reales
+    const lightOptions = { 'Sin luz': 'off', 'Simulada': 'fake', 'Focos reales': 'real' };
+    this.sceneryControls = { lightPools: this.sceneryManager.config.lightPools };
+    sceneryFolder.add(this.sceneryControls, 'lightPools', lightOptions)
+      .name('Luz de farolas')
+      .onChange(value => {
+        this.sceneryManager.setLightPoolMode(value);
+      });
+    
+    // Se aplica a los tramos que se generen a partir de ahora
+    sceneryFolder.add(this.sceneryManager.config, 'lampSpacing', 20, 150, 5)
+      .name('Distancia entre farolas');
+    
+    sceneryFolder.close();
+  }
+
+  setupTrafficFolder() {
+    if (!this.trafficManager) return;
+    
+    const trafficFolder = this.gui.addFolder('Tráfico');
+    
+    // Mapa nombre visible -> clave de la mezcla
+    const mixOptions = {};
+    for (const mixName of this.trafficManager.getMixNames()) {
+      mixOptions[this.trafficManager.trafficMixes[mixName].name] = mixName;
+    }
+    
+    trafficFolder.add(this.trafficManager, 'mixName', mixOptions)
+      .name('Mezcla')
+      .onChange(value => {
+        this.trafficManager.setMix(value);
+      });
+    
+    // Distancia a partir de la que los coches se dibujan como una caja simplificada
+    trafficFolder.add(this.trafficManager, 'lodDistance', 30, 400, 10)
+      .name('Distancia LOD')
+      .onChange(value => {
+        this.trafficManager.setLodDistance(value);
+      });
+    
+    // Uso de los pools de instancias de coches y tramos de carretera
+    const poolActions = {
+      showPoolStats: () => {
+        const pools = { 'Tráfico': this.trafficManager.getPoolStats(), 'Carretera': this.roadManager.getPoolStats() };
+        for (const [name, stats] of Object.entries(pools)) {
+          console.log(`Pool de ${name}: ${stats.totals.active} activas, ${stats.totals.idle} ocultas (máx. ${stats.maxInstances})`);
+          console.table(stats.types);
+        }
+      }
+    };
+    trafficFolder.add(poolActions, 'showPoolStats').name('Estadísticas de pools');
+    
+    trafficFolder.open();
+  }
+
+  setupDifficultyFolder() {
+    if (!this.difficultyDirector) return;
+    
+    const difficultyFolder = this.gui.addFolder('Dificultad');
+    
+    // Mapa nombre visible -> clave del preset
+    const presetOptions = {};
+    for (const presetName of this.difficultyDirector.getPresetNames()) {
+      presetOptions[this.difficultyDirector.presets[presetName].name] = presetName;
+    }
+    
+    difficultyFolder.add(this.difficultyDirector, 'presetName', presetOptions)
+      .name('Nivel')
+      .onChange(value => {
+        this.difficultyDirector.setPreset(value);
+      });
+    
+    difficultyFolder.open();
+  }
+
+  setupHighScoreFolder() {
+    if (!this.highScoreManager) return;
+    
+    const highScoreFolder = this.gui.addFolder('Récords');
+    
+    const actions = {
+      exportScores: () => this.highScoreManager.downloadExport(),
+      importScores: () => this.highScoreManager.promptImport(),
+      clearScores: () => {
+        if (confirm('¿Borrar todos los récords guardados?')) {
+          this.highScoreManager.clear();
+        }
+      }
+    };
+    
+    highScoreFolder.add(actions, 'exportScores').name('Exportar récords (JSON)');
+    highScoreFolder.add(actions, 'importScores').name('Importar récords (JSON)');
+    highScoreFolder.add(actions, 'clearScores').name('Borrar récords');
+    
+    highScoreFolder.close();
+  }
+
+  // Tras cambiar el coche del jugador: el rango de la velocidad actual y los valores del nuevo perfil
+  updateVehicle(car) {
+    this.car = car;
+    for (const controller of this.gui.controllersRecursive()) {
+      if (controller._name === 'Velocidad actual') {
+        controller.min(this.playerController.minSpeed).max(this.playerController.maxSpeed);
+      }
+      controller.updateDisplay();
+    }
+  }
+
   setupPlayerFolder() {
     if (!this.playerController) return;
     
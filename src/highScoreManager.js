@@ -0,0 +1,216 @@
+// Versión actual del esquema guardado en localStorage
+const SCHEMA_VERSION = 2;
+
+// Migraciones entre versiones del esquema: cada una recibe los datos de la versión N y devuelve la N + 1
+const MIGRATIONS = {
+  // v0: array de partidas sin versionar → v1: objeto con tabla de récords e historial
+  0: (data) => ({
+    version: 1,
+    highScores: Array.isArray(data) ? data : [],
+    history: []
+  }),
+  // v1 → v2: las partidas indican el modo de juego (todas las anteriores eran del modo infinito)
+  1: (data) => ({
+    version: 2,
+    highScores: data.highScores.map(run => ({ ...run, mode: 'endless' })),
+    history: data.history.map(run => ({ ...run, mode: 'endless' }))
+  })
+};
+
+export default class HighScoreManager {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey ?? 'lowpolycars.highscores';
+    this.maxHighScores = options.maxHighScores ?? 10; // Partidas guardadas en la tabla de récords
+    this.maxHistory = options.maxHistory ?? 20; // Últimas partidas guardadas en el historial
+
+    this.highScores = [];
+    this.history = [];
+    this.lastRank = -1; // Posición de la última partida en la tabla (-1 si no entró)
+
+    this.load();
+  }
+
+  load() {
+    let data = null;
+
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      data = raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn('No se pudieron leer los récords guardados:', error);
+    }
+
+    if (!data) return;
+
+    try {
+      const migrated = this.migrate(data);
+      this.highScores = migrated.highScores.map(run => this.normalizeRun(run)).filter(Boolean);
+      this.history = migrated.history.map(run => this.normalizeRun(run)).filter(Boolean);
+      this.sortHighScores();
+    } catch (error) {
+      console.warn('Los récords guardados no son válidos y se descartan:', error);
+      this.highScores = [];
+      this.history = [];
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.serialize()));
+    } catch (error) {
+      console.warn('No se pudieron guardar los récords:', error);
+    }
+  }
+
+  serialize() {
+    return {
+      version: SCHEMA_VERSION,
+      highScores: this.highScores,
+      history: this.history
+    };
+  }
+
+  // Lleva unos datos de cualquier versión anterior a la versión actual del esquema
+  migrate(data) {
+    let version = Array.isArray(data) ? 0 : data.version;
+
+    if (!Number.isInteger(version)) {
+      throw new Error('Falta la versión del esquema de récords');
+    }
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`Versión de récords ${version} más reciente que la soportada (${SCHEMA_VERSION})`);
+    }
+
+    let migrated = data;
+    while (version < SCHEMA_VERSION) {
+      migrated = MIGRATIONS[version](migrated);
+      version = migrated.version;
+    }
+
+    if (!Array.isArray(migrated.highScores) || !Array.isArray(migrated.history)) {
+      throw new Error('Formato de récords no válido');
+    }
+
+    return migrated;
+  }
+
+  // Garantiza que una partida tiene todos los campos con el tipo correcto
+  normalizeRun(run) {
+    if (!run || typeof run !== 'object' || !Number.isFinite(Number(run.score))) return null;
+
+    return {
+      score: Math.floor(Number(run.score)),
+      distance: Number(run.distance) || 0,
+      topSpeed: Number(run.topSpeed) || 0,
+      duration: Number(run.duration) || 0,
+      mode: typeof run.mode === 'string' ? run.mode : 'endless',
+      vehicle: typeof run.vehicle === 'string' ? run.vehicle : 'desconocido',
+      date: typeof run.date === 'string' ? run.date : new Date(0).toISOString()
+    };
+  }
+
+  sortHighScores() {
+    this.highScores.sort((a, b) => b.score - a.score);
+    this.highScores.length = Math.min(this.highScores.length, this.maxHighScores);
+  }
+
+  // Registra una partida terminada y devuelve su posición en la tabla (-1 si no entró)
+  recordRun(stats) {
+    const run = this.normalizeRun({ ...stats, date: stats.date ?? new Date().toISOString() });
+    if (!run) return -1;
+
+    // Historial de las últimas partidas, de la más reciente a la más antigua
+    this.history.unshift(run);
+    this.history.length = Math.min(this.history.length, this.maxHistory);
+
+    this.highScores.push(run);
+    this.sortHighScores();
+    this.lastRank = this.highScores.indexOf(run);
+
+    this.save();
+    return this.lastRank;
+  }
+
+  isHighScore(score) {
+    if (this.highScores.length < this.maxHighScores) return true;
+    return score > this.highScores[this.highScores.length - 1].score;
+  }
+
+  getHighScores() {
+    return this.highScores;
+  }
+
+  getHistory() {
+    return this.history;
+  }
+
+  getBestScore() {
+    return this.highScores.length > 0 ? this.highScores[0].score : 0;
+  }
+
+  // Exporta la tabla como texto JSON para llevarla a otra máquina
+  exportJSON() {
+    return JSON.stringify(this.serialize(), null, 2);
+  }
+
+  // Importa una tabla exportada y la combina con la actual
+  importJSON(json) {
+    const data = this.migrate(JSON.parse(json));
+
+    const imported = data.highScores.map(run => this.normalizeRun(run)).filter(Boolean);
+    const importedHistory = data.history.map(run => this.normalizeRun(run)).filter(Boolean);
+
+    // Evitar duplicados si se importa dos veces el mismo archivo
+    const key = run => `${run.date}|${run.score}|${run.mode}|${run.vehicle}`;
+    const existing = new Set(this.highScores.map(key));
+    const existingHistory = new Set(this.history.map(key));
+
+    this.highScores.push(...imported.filter(run => !existing.has(key(run))));
+    this.sortHighScores();
+
+    this.history.push(...importedHistory.filter(run => !existingHistory.has(key(run))));
+    this.history.sort((a, b) => b.date.localeCompare(a.date));
+    this.history.length = Math.min(this.history.length, this.maxHistory);
+
+    this.lastRank = -1;
+    this.save();
+    return imported.length;
+  }
+
+  // Descarga la tabla como archivo .json
+  downloadExport() {
+    const blob = new Blob([this.exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'lowpolycars-records.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Abre un selector de archivos y combina los récords del archivo elegido
+  promptImport() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      try {
+        const count = this.importJSON(await file.text());
+        alert(`Récords importados: ${count}`);
+      } catch (error) {
+        alert(`No se pudo importar el archivo de récords:\n${error.message}`);
+      }
+    });
+    input.click();
+  }
+
+  clear() {
+    this.highScores = [];
+    this.history = [];
+    this.lastRank = -1;
+    this.save();
+  }
+}
@@ -0,0 +1,289 @@
+import { GameStates, GameModes } from './gameStateManager.js';
+
+export default class HudManager {
+  constructor(container, gameStateManager, scoreManager, highScoreManager) {
+    this.container = container;
+    this.gameStateManager = gameStateManager;
+    this.scoreManager = scoreManager;
+    this.highScoreManager = highScoreManager;
+
+    // Elementos del DOM
+    this.root = null;
+    this.scorePanel = null;
+    this.scoreLabel = null;
+    this.multiplierLabel = null;
+    this.distanceLabel = null;
+    this.overlay = null;
+    this.overlayTitle = null;
+    this.overlaySubtitle = null;
+    this.resultsTable = null;
+    this.historyTable = null;
+    this.historyRows = 5; // Partidas recientes que se muestran bajo los récords
+    this.noticeLabel = null;
+    this.noticeTimeout = null;
+    this.seedLabel = null;
+    this.vehicleName = ''; // Nombre del coche del jugador para los mensajes del título y del final
+
+    this.init();
+  }
+
+  init() {
+    this.createElements();
+    this.setupListeners();
+    this.showState(this.gameStateManager.getState());
+  }
+
+  createElements() {
+    // Capa que cubre el juego sin bloquear la interacción con el canvas
+    this.root = document.createElement('div');
+    this.root.style.cssText = `
+      position: absolute; inset: 0; pointer-events: none;
+      font-family: 'Trebuchet MS', sans-serif; color: #fff;
+      text-shadow: 0 2px 4px rgba(0, 0, 0, 0.8);
+    `;
+
+    // Panel de puntuación (esquina superior izquierda)
+    this.scorePanel = document.createElement('div');
+    this.scorePanel.style.cssText = 'position: absolute; top: 16px; left: 20px; line-height: 1.3;';
+
+    this.scoreLabel = document.createElement('div');
+    this.scoreLabel.style.cssText = 'font-size: 32px; font-weight: bold;';
+
+    this.multiplierLabel = document.createElement('div');
+    this.multiplierLabel.style.cssText = 'font-size: 20px; color: #ffd34d;';
+
+    this.distanceLabel = document.createElement('div');
+    this.distanceLabel.style.cssText = 'font-size: 16px; opacity: 0.8;';
+
+    this.scorePanel.append(this.scoreLabel, this.multiplierLabel, this.distanceLabel);
+
+    // Mensajes centrales (título, cuenta atrás, pausa, fin de partida)
+    this.overlay = document.createElement('div');
+    this.overlay.style.cssText = `
+      position: absolute; inset: 0; display: flex; flex-direction: column;
+      align-items: center; justify-content: center; text-align: center;
+    `;
+
+    this.overlayTitle = document.createElement('div');
+    this.overlayTitle.style.cssText = 'font-size: 64px; font-weight: bold; letter-spacing: 2px;';
+
+    this.overlaySubtitle = document.createElement('div');
+    this.overlaySubtitle.style.cssText = 'font-size: 20px; margin-top: 12px; white-space: pre-line;';
+
+    // Tabla de récords de la pantalla de resultados
+    this.resultsTable = document.createElement('table');
+    this.resultsTable.style.cssText = `
+      margin-top: 24px; border-collapse: collapse; font-size: 15px;
+      background: rgba(5, 16, 26, 0.75); display: none;
+    `;
+
+    // Últimas partidas del historial, con el mismo estilo que los récords
+    this.historyTable = document.createElement('table');
+    this.historyTable.style.cssText = this.resultsTable.style.cssText;
+    this.historyTable.style.marginTop = '16px';
+
+    this.overlay.append(this.overlayTitle, this.overlaySubtitle, this.resultsTable, this.historyTable);
+
+    // Avisos breves durante la partida (vehículos de emergencia, bonificaciones...)
+    this.noticeLabel = document.createElement('div');
+    this.noticeLabel.style.cssText = `
+      position: absolute; top: 18%; left: 0; right: 0; text-align: center;
+      font-size: 26px; font-weight: bold; display: none;
+    `;
+
+    // Semilla de la partida (esquina inferior izquierda) para poder repetirla
+    this.seedLabel = document.createElement('div');
+    this.seedLabel.style.cssText = 'position: absolute; bottom: 12px; left: 20px; font-size: 14px; opacity: 0.7;';
+
+    this.root.append(this.scorePanel, this.noticeLabel, this.seedLabel, this.overlay);
+    this.container.appendChild(this.root);
+
+    this.updateScore();
+  }
+
+  setupListeners() {
+    this.gameStateManager.addEventListener('statechange', (event) => this.showState(event.state));
+    this.gameStateManager.addEventListener('modechange', () => this.showState(this.gameStateManager.getState()));
+    this.gameStateManager.addEventListener('countdown', (event) => {
+      this.overlayTitle.textContent = String(event.remaining);
+    });
+
+    this.scoreManager.addEventListener('scorechange', () => this.updateScore());
+    this.scoreManager.addEventListener('combochange', () => this.updateScore());
+  }
+
+  updateScore() {
+    this.scoreLabel.textContent = this.scoreManager.getScore().toLocaleString();
+    this.multiplierLabel.textContent = `x${this.scoreManager.getMultiplier().toFixed(1)}`;
+    this.distanceLabel.textContent = `${Math.floor(this.scoreManager.getDistance())} m`;
+  }
+
+  setSeed(seed) {
+    this.seedLabel.textContent = `Semilla: ${seed}`;
+  }
+
+  setVehicle(name) {
+    this.vehicleName = name;
+
+    // Actualizar el mensaje si está a la vista
+    const state = this.gameStateManager.getState();
+    if (state === GameStates.TITLE || state === GameStates.GAME_OVER) {
+      this.showState(state);
+    }
+  }
+
+  showMessage(title, subtitle = '') {
+    this.overlay.style.display = 'flex';
+    this.overlayTitle.textContent = title;
+    this.overlaySubtitle.textContent = subtitle;
+    this.resultsTable.style.display = 'none';
+    this.historyTable.style.display = 'none';
+  }
+
+  showResults() {
+    const runs = this.highScoreManager.getHighScores();
+    const lastRank = this.highScoreManager.lastRank;
+
+    this.resultsTable.replaceChildren();
+    this.resultsTable.appendChild(this.createCaption('Récords'));
+
+    const header = ['#', 'Puntos', 'Distancia', 'Vel. máx.', 'Tiempo', 'Modo', 'Vehículo', 'Fecha'];
+    this.resultsTable.appendChild(this.createRow(header, 'th'));
+
+    runs.forEach((run, index) => {
+      const row = this.createRow([index + 1, ...this.getRunValues(run)]);
+
+      // Resaltar la partida que se acaba de jugar
+      if (index === lastRank) {
+        this.highlightRow(row);
+      }
+
+      this.resultsTable.appendChild(row);
+    });
+
+    this.resultsTable.style.display = runs.length > 0 ? 'table' : 'none';
+    this.showHistory();
+  }
+
+  // Últimas partidas de la más reciente a la más antigua; la primera es la que se acaba de jugar
+  showHistory() {
+    const runs = this.highScoreManager.getHistory().slice(0, this.historyRows);
+
+    this.historyTable.replaceChildren();
+    this.historyTable.appendChild(this.createCaption('Últimas partidas'));
+
+    const header = ['Puntos', 'Distancia', 'Vel. máx.', 'Tiempo', 'Modo', 'Vehículo', 'Fecha'];
+    this.historyTable.appendChild(this.createRow(header, 'th'));
+
+    runs.forEach((run, index) => {
+      const row = this.createRow(this.getRunValues(run));
+      if (index === 0) {
+        this.highlightRow(row);
+      }
+      this.historyTable.appendChild(row);
+    });
+
+    this.historyTable.style.display = runs.length > 0 ? 'table' : 'none';
+  }
+
+  getRunValues(run) {
+    return [
+      run.score.toLocaleString(),
+      `${Math.floor(run.distance)} m`,
+      Math.round(run.topSpeed),
+      this.formatDuration(run.duration),
+      GameModes[run.mode] ?? run.mode,
+      run.vehicle,
+      new Date(run.date).toLocaleDateString()
+    ];
+  }
+
+  highlightRow(row) {
+    row.style.color = '#ffd34d';
+    row.style.fontWeight = 'bold';
+  }
+
+  createCaption(text) {
+    const caption = document.createElement('caption');
+    caption.textContent = text;
+    caption.style.cssText = 'padding: 6px 12px; font-size: 16px; font-weight: bold; text-align: left; background: rgba(5, 16, 26, 0.75);';
+    return caption;
+  }
+
+  createRow(values, cellTag = 'td') {
+    const row = document.createElement('tr');
+    for (const value of values) {
+      const cell = document.createElement(cellTag);
+      cell.textContent = String(value);
+      cell.style.cssText = 'padding: 4px 12px; text-align: right;';
+      row.appendChild(cell);
+    }
+    return row;
+  }
+
+  formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = Math.floor(seconds % 60);
+    return `${minutes}:${String(remainder).padStart(2, '0')}`;
+  }
+
+  showNotice(text, color = '#ffffff', duration = 2000) {
+    this.noticeLabel.textContent = text;
+    this.noticeLabel.style.color = color;
+    this.noticeLabel.style.display = 'block';
+
+    clearTimeout(this.noticeTimeout);
+    this.noticeTimeout = setTimeout(() => {
+      this.noticeLabel.style.display = 'none';
+    }, duration);
+  }
+
+  // Oculta toda la interfaz (por ejemplo, en el editor de trazados)
+  setVisible(visible) {
+    this.root.style.display = visible ? 'block' : 'none';
+  }
+
+  hideMessage() {
+    this.overlay.style.display = 'none';
+  }
+
+  getModeHint() {
+    const mode = GameModes[this.gameStateManager.getGameMode()];
+    return `Modo: ${mode} (M para cambiar)`;
+  }
+
+  getVehicleHint() {
+    return `Vehículo: ${this.vehicleName} (G para el garaje)`;
+  }
+
+  showState(state) {
+    this.scorePanel.style.display = state === GameStates.TITLE ? 'none' : 'block';
+
+    switch (state) {
+      case GameStates.TITLE:
+        this.showMessage('LOW POLY CARS', `Pulsa Enter para empezar\n${this.getModeHint()}\n${this.getVehicleHint()}`);
+        break;
+      case GameStates.COUNTDOWN:
+        this.showMessage(String(Math.ceil(this.gameStateManager.countdownRemaining)));
+        break;
+      case GameStates.PLAYING:
+        this.hideMessage();
+        break;
+      case GameStates.PAUSED:
+        this.showMessage('PAUSA', 'Esc / P para continuar\nR para reiniciar\nG para cambiar de vehículo');
+        break;
+      case GameStates.GAME_OVER:
+        this.showMessage(
+          'FIN DE LA PARTIDA',
+          `Puntuación: ${this.scoreManager.getScore().toLocaleString()}\n` +
+          `Pulsa Enter para reiniciar\n${this.getModeHint()}\n${this.getVehicleHint()}`
+        );
+        this.showResults();
+        break;
+    }
+  }
+
+  destroy() {
+    if (this.root) this.root.remove();
+  }
+}
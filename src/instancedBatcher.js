@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+
+const _instanceMatrix = new THREE.Matrix4();
+const _worldPosition = new THREE.Vector3();
+
+// Dibuja todas las instancias de un mismo modelo con un InstancedMesh por cada sub-malla, en lugar de
+// una llamada de dibujo por malla y por instancia. Las instancias siguen existiendo en la escena como
+// objetos lógicos (posición, colisiones, luces añadidas...), pero sus mallas originales no se dibujan.
+// Opcionalmente, las instancias lejanas se sustituyen por una caja simplificada (impostor); las mallas que
+// se les añaden después de clonarlas (pilotos de freno, sirenas) no van en el lote y se ocultan con él.
+export class InstancedBatcher {
+  constructor(parent, options = {}) {
+    this.parent = parent;
+    this.lodDistance = options.lodDistance ?? Infinity; // Distancia a la cámara a partir de la que se usa el impostor
+    this.impostorColor = options.impostorColor ?? 0x5a6270;
+    this.maxInstances = options.maxInstances ?? 200; // Instancias máximas por modelo y en total para el impostor
+
+    this.batches = new Map();
+    this.impostor = null;
+  }
+
+  // Crea los InstancedMesh de un modelo: uno por sub-malla, con la geometría y el material del original
+  addType(type, template) {
+    if (this.batches.has(type)) return;
+
+    template.updateMatrixWorld(true);
+    const rootInverse = template.matrixWorld.clone().invert();
+
+    const parts = [];
+    template.traverse((child) => {
+      if (!child.isMesh) return;
+
+      const mesh = new THREE.InstancedMesh(child.geometry, child.material, this.maxInstances);
+      mesh.castShadow = child.castShadow;
+      mesh.receiveShadow = child.receiveShadow;
+      mesh.count = 0;
+      mesh.frustumCulled = false; // Las instancias se mueven cada frame; su esfera envolvente quedaría obsoleta
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      this.parent.add(mesh);
+
+      // Transformación de la sub-malla relativa a la raíz del modelo
+      parts.push({
+        mesh: mesh,
+        offset: rootInverse.clone().multiply(child.matrixWorld)
+      });
+    });
+
+    // Caja del modelo en su propio espacio, para escalar el impostor
+    const bounds = new THREE.Box3().setFromObject(template).applyMatrix4(rootInverse);
+    const size = bounds.getSize(new THREE.Vector3());
+    const center = bounds.getCenter(new THREE.Vector3());
+    const impostorOffset = new THREE.Matrix4().compose(center, new THREE.Quaternion(), size);
+
+    this.batches.set(type, { parts, impostorOffset });
+
+    if (this.lodDistance !== Infinity) {
+      this.createImpostor();
+    }
+  }
+
+  // Un único InstancedMesh de cajas compartido por todos los modelos lejanos
+  createImpostor() {
+    if (this.impostor) return;
+
+    this.impostorGeometry = new THREE.BoxGeometry(1, 1, 1);
+    this.impostorMaterial = new THREE.MeshLambertMaterial({ color: this.impostorColor });
+
+    this.impostor = new THREE.InstancedMesh(this.impostorGeometry, this.impostorMaterial, this.maxInstances);
+    this.impostor.count = 0;
+    this.impostor.frustumCulled = false;
+    this.impostor.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.parent.add(this.impostor);
+  }
+
+  // Oculta las mallas originales de una instancia recién clonada: las dibuja el lote de su modelo
+  hideSourceMeshes(instance) {
+    instance.traverse((child) => {
+      if (child.isMesh) {
+        child.visible = false;
+        child.userData.batched = true;
+      }
+    });
+  }
+
+  // Muestra u oculta las mallas añadidas a una instancia cuando pasa a dibujarse o deja de dibujarse como impostor
+  setImpostor(instance, impostor) {
+    if ((instance.userData.impostor ?? false) === impostor) return;
+
+    instance.userData.impostor = impostor;
+    instance.traverse((child) => {
+      if (child.isMesh && !child.userData.batched) {
+        child.visible = !impostor;
+      }
+    });
+  }
+
+  setLodDistance(distance) {
+    this.lodDistance = distance;
+    if (distance !== Infinity) {
+      this.createImpostor();
+    }
+  }
+
+  // Copia las transformaciones de las instancias activas de cada modelo a sus InstancedMesh
+  update(instancesByType, camera = null) {
+    let impostorCount = 0;
+    const lodDistanceSq = this.lodDistance * this.lodDistance;
+
+    for (const [type, batch] of this.batches) {
+      const instances = instancesByType.get(type) ?? [];
+      let count = 0;
+
+      for (const instance of instances) {
+        instance.updateWorldMatrix(true, false);
+
+        // Instancias lejanas: una caja con las medidas del modelo
+        let far = false;
+        if (this.impostor && camera) {
+          _worldPosition.setFromMatrixPosition(instance.matrixWorld);
+          far = _worldPosition.distanceToSquared(camera.position) > lodDistanceSq;
+        }
+        this.setImpostor(instance, far);
+        if (far) {
+          _instanceMatrix.multiplyMatrices(instance.matrixWorld, batch.impostorOffset);
+          this.impostor.setMatrixAt(impostorCount++, _instanceMatrix);
+          continue;
+        }
+
+        for (const part of batch.parts) {
+          _instanceMatrix.multiplyMatrices(instance.matrixWorld, part.offset);
+          part.mesh.setMatrixAt(count, _instanceMatrix);
+        }
+        count++;
+      }
+
+      for (const part of batch.parts) {
+        part.mesh.count = count;
+        part.mesh.instanceMatrix.needsUpdate = true;
+      }
+    }
+
+    if (this.impostor) {
+      this.impostor.count = impostorCount;
+      this.impostor.instanceMatrix.needsUpdate = true;
+    }
+  }
+
+  // Elimina los InstancedMesh (la geometría y los materiales de los modelos los libera su propietario)
+  dispose() {
+    for (const batch of this.batches.values()) {
+      for (const part of batch.parts) {
+        this.parent.remove(part.mesh);
+        part.mesh.dispose();
+      }
+    }
+    this.batches.clear();
+
+    if (this.impostor) {
+      this.parent.remove(this.impostor);
+      this.impostor.dispose();
+      this.impostorGeometry.dispose();
+      this.impostorMaterial.dispose();
+      this.impostor = null;
+    }
+  }
+}
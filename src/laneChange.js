@@ -0,0 +1,21 @@
+// Curva de giro del volante durante un cambio de carril, común al jugador y al tráfico.
+// Primero giramos hacia el lado que vamos a cambiar, luego volvemos a la posición recta,
+// finalmente giramos ligeramente en dirección contraria para "enderezar" el coche
+export function getLaneChangeSteering(phase) {
+  if (phase < 0.3) {
+    // Fase inicial: girar hacia el lado que vamos a cambiar (0% a 100% del giro)
+    return phase / 0.3;
+  }
+  if (phase < 0.7) {
+    // Fase intermedia: volver gradualmente a la posición recta (100% a 0% del giro)
+    return 1 - ((phase - 0.3) / 0.4);
+  }
+  // Fase final: girar ligeramente en dirección contraria (0% a -30% y vuelta a 0%)
+  const endPhase = (phase - 0.7) / 0.3;
+  return -0.3 * Math.sin(endPhase * Math.PI);
+}
+
+// Inclinación lateral de la carrocería (máxima a mitad de la maniobra)
+export function getLaneChangeTilt(phase, maxTilt = 0.1) {
+  return maxTilt * Math.sin(phase * Math.PI);
+}
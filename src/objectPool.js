@@ -0,0 +1,222 @@
+import { InstancedBatcher } from './instancedBatcher.js';
+
+// Libera en la GPU las geometrías, materiales y texturas de un objeto.
+// Si el objeto vuelve a dibujarse, three.js los sube de nuevo automáticamente.
+export function disposeObjectResources(object) {
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+
+    child.geometry.dispose();
+
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    for (const material of materials) {
+      for (const value of Object.values(material)) {
+        if (value && value.isTexture) {
+          value.dispose();
+        }
+      }
+      material.dispose();
+    }
+  });
+}
+
+// Pool de instancias de modelos reutilizables, agrupadas por tipo de modelo.
+// Las instancias liberadas se ocultan y se guardan para la siguiente petición del mismo tipo
+// en lugar de clonar el modelo y dejar el anterior al recolector de basura.
+export class ObjectPool {
+  constructor(parent, options = {}) {
+    this.parent = parent; // Objeto al que se añaden las instancias (normalmente la escena)
+    this.maxIdlePerType = options.maxIdlePerType ?? 10; // Instancias ocultas que se conservan de cada tipo
+    this.maxInstances = options.maxInstances ?? 200; // Límite total de instancias (activas + ocultas)
+
+    this.pools = new Map();
+    this.activeInstances = new Map(); // Instancias en uso de cada tipo
+
+    // Dibujo por lotes: todas las instancias de un tipo se dibujan con InstancedMesh
+    this.batcher = options.instanced
+      ? new InstancedBatcher(parent, { lodDistance: options.lodDistance, maxInstances: this.maxInstances })
+      : null;
+  }
+
+  // Registra el modelo original de un tipo; las instancias son clones que comparten geometría y materiales
+  register(type, template) {
+    if (this.pools.has(type)) return;
+
+    this.pools.set(type, {
+      template: template,
+      idle: [],
+      active: 0,
+      created: 0,
+      reused: 0,
+      disposed: 0,
+      resourcesDisposed: false
+    });
+    this.activeInstances.set(type, []);
+
+    if (this.batcher) {
+      this.batcher.addType(type, template);
+    }
+  }
+
+  has(type) {
+    return this.pools.has(type);
+  }
+
+  getTemplate(type) {
+    const pool = this.pools.get(type);
+    return pool ? pool.template : null;
+  }
+
+  // Devuelve una instancia visible del tipo pedido, o null si no hay modelo o se ha alcanzado el límite
+  acquire(type) {
+    const pool = this.pools.get(type);
+    if (!pool) return null;
+
+    let instance = pool.idle.pop();
+
+    if (instance) {
+      pool.reused++;
+    } else {
+      // Hacer sitio descartando instancias ocultas de otros tipos antes de crear una nueva
+      if (this.getInstanceCount() >= this.maxInstances) {
+        this.shrinkLargestIdle();
+        if (this.getInstanceCount() >= this.maxInstances) return null;
+      }
+
+      instance = pool.template.clone();
+      instance.userData.poolType = type;
+      this.parent.add(instance);
+      pool.created++;
+
+      if (this.batcher) {
+        this.batcher.hideSourceMeshes(instance);
+      }
+    }
+
+    pool.active++;
+    pool.resourcesDisposed = false;
+    instance.userData.pooled = false;
+    instance.visible = true;
+    this.activeInstances.get(type).push(instance);
+    return instance;
+  }
+
+  // Oculta la instancia y la guarda para reutilizarla
+  release(instance) {
+    const pool = this.pools.get(instance.userData.poolType);
+    if (!pool || instance.userData.pooled) return;
+
+    instance.userData.pooled = true;
+    instance.visible = false;
+    pool.active--;
+    pool.idle.push(instance);
+
+    const active = this.activeInstances.get(instance.userData.poolType);
+    active.splice(active.indexOf(instance), 1);
+
+    if (pool.idle.length > this.maxIdlePerType) {
+      this.shrink(instance.userData.poolType, this.maxIdlePerType);
+    }
+  }
+
+  // Descarta instancias ocultas de un tipo hasta dejar como mucho keepIdle. Si el tipo se queda sin
+  // instancias, libera también sus recursos en la GPU (el modelo original se conserva en memoria)
+  shrink(type, keepIdle = 0) {
+    const pool = this.pools.get(type);
+    if (!pool) return;
+
+    while (pool.idle.length > keepIdle) {
+      const instance = pool.idle.shift();
+      this.parent.remove(instance);
+      pool.disposed++;
+    }
+
+    if (pool.active === 0 && pool.idle.length === 0 && !pool.resourcesDisposed) {
+      disposeObjectResources(pool.template);
+      pool.resourcesDisposed = true;
+    }
+  }
+
+  shrinkLargestIdle() {
+    let largestType = null;
+    let largestIdle = 0;
+
+    for (const [type, pool] of this.pools) {
+      if (pool.idle.length > largestIdle) {
+        largestType = type;
+        largestIdle = pool.idle.length;
+      }
+    }
+
+    if (largestType !== null) {
+      this.shrink(largestType, Math.floor(largestIdle / 2));
+    }
+  }
+
+  // Descarta todas las instancias ocultas de todos los tipos
+  trim(keepIdle = 0) {
+    for (const type of this.pools.keys()) {
+      this.shrink(type, keepIdle);
+    }
+  }
+
+  // Actualiza los lotes de dibujo con la posición actual de las instancias activas (antes de renderizar)
+  update(camera = null) {
+    if (this.batcher) {
+      this.batcher.update(this.activeInstances, camera);
+    }
+  }
+
+  setLodDistance(distance) {
+    if (this.batcher) {
+      this.batcher.setLodDistance(distance);
+    }
+  }
+
+  getInstanceCount() {
+    let count = 0;
+    for (const pool of this.pools.values()) {
+      count += pool.active + pool.idle.length;
+    }
+    return count;
+  }
+
+  // Estadísticas de uso por tipo y totales
+  getStats() {
+    const types = {};
+    const totals = { active: 0, idle: 0, created: 0, reused: 0, disposed: 0 };
+
+    for (const [type, pool] of this.pools) {
+      const stats = {
+        active: pool.active,
+        idle: pool.idle.length,
+        created: pool.created,
+        reused: pool.reused,
+        disposed: pool.disposed
+      };
+      types[type] = stats;
+
+      for (const key of Object.keys(totals)) {
+        totals[key] += stats[key];
+      }
+    }
+
+    return { types, totals, maxInstances: this.maxInstances };
+  }
+
+  // Elimina todas las instancias y libera los recursos de todos los modelos
+  dispose() {
+    for (const pool of this.pools.values()) {
+      for (const instance of pool.idle) {
+        this.parent.remove(instance);
+      }
+      disposeObjectResources(pool.template);
+    }
+    this.pools.clear();
+    this.activeInstances.clear();
+
+    if (this.batcher) {
+      this.batcher.dispose();
+    }
+  }
+}
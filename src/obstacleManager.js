@@ -0,0 +1,396 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { SeededRandom } from './seededRandom.js';
+
+// Modelos de obstáculos disponibles: ruta y escala (los del paquete de carreteras son mucho más pequeños)
+export const OBSTACLE_MODELS = {
+  'cone': { path: '/models/cars/cone.glb', scale: 1.5 },
+  'cone-flat': { path: '/models/cars/cone-flat.glb', scale: 1.5 },
+  'box': { path: '/models/cars/box.glb', scale: 1.6 },
+  'construction-cone': { path: '/models/roads/construction-cone.glb', scale: 10 },
+  'construction-barrier': { path: '/models/roads/construction-barrier.glb', scale: 10 },
+  'construction-light': { path: '/models/roads/construction-light.glb', scale: 10 }
+};
+
+// Obstáculos sueltos que pueden aparecer en un carril
+const HAZARD_TYPES = ['cone', 'cone-flat', 'box', 'construction-barrier'];
+
+export default class ObstacleManager {
+  constructor(scene, roadManager, difficultyDirector = null) {
+    this.scene = scene;
+    this.roadManager = roadManager;
+    this.difficultyDirector = difficultyDirector;
+    this.trafficManager = null; // Se asigna desde GameInit para retirar el tráfico de los cierres nuevos
+    this.random = new SeededRandom(); // GameInit asigna el flujo de obstáculos del servicio de semillas
+    this.obstacleModels = {};
+
+    // Obstáculos en escena y zonas de obras activas
+    this.obstacles = [];
+    this.zones = [];
+
+    // Configuración de generación
+    this.config = {
+      spawnDistance: 400, // Distancia por delante del jugador a la que se generan
+      despawnDistance: 60, // Distancia por detrás del jugador a la que se eliminan
+      startDistance: 150, // Distancia libre de obstáculos al empezar la partida
+      minGap: 120, // Separación mínima entre obstáculos (frecuencia máxima)
+      maxGap: 600, // Separación máxima entre obstáculos (frecuencia mínima)
+      defaultFrequency: 0.25, // Frecuencia si no hay director de dificultad
+      zoneChance: 0.35, // Probabilidad de que un hueco se convierta en una zona de obras
+      minZoneSegments: 2, // Longitud mínima de una zona de obras (en segmentos de carretera)
+      maxZoneSegments: 5, // Longitud máxima de una zona de obras (en segmentos de carretera)
+      taperLength: 40, // Longitud de la cuña de conos que avisa del cierre de carril
+      taperCones: 7, // Conos en la cuña de aviso
+      zoneConeSpacing: 8, // Separación de los conos a lo largo de la zona
+      zoneLightSpacing: 30, // Separación de las luces de obra a lo largo de la zona
+      hazardLength: 4 // Longitud del tramo de carril que ocupa un obstáculo suelto
+    };
+
+    // Próxima posición Z en la que toca generar un obstáculo
+    this.nextSpawnZ = -this.config.startDistance;
+
+    // Piezas de un trazado creado a mano cuyos obstáculos ya están colocados
+    this.propPieces = new WeakSet();
+
+    this.init();
+  }
+
+  async init() {
+    await this.preloadObstacleModels();
+  }
+
+  async preloadObstacleModels() {
+    const loader = new GLTFLoader();
+
+    const loadPromises = Object.entries(OBSTACLE_MODELS).map(([type, definition]) => {
+      return new Promise((resolve) => {
+        loader.load(definition.path, (gltf) => {
+          const model = gltf.scene;
+
+          model.traverse((child) => {
+            if (child.isMesh) {
+              child.castShadow = true;
+              child.receiveShadow = true;
+            }
+          });
+
+          model.scale.setScalar(definition.scale);
+          this.obstacleModels[type] = model;
+          resolve();
+        });
+      });
+    });
+
+    await Promise.all(loadPromises);
+
+    console.log("Modelos de obstáculos cargados:", Object.keys(this.obstacleModels).length);
+  }
+
+  getFrequency(zPosition) {
+    // Los tramos de un trazado creado a mano pueden fijar su propia frecuencia
+    const stretchFrequency = this.getStretchObstacles(zPosition)?.frequency;
+    if (stretchFrequency !== undefined) return stretchFrequency;
+
+    if (!this.difficultyDirector) return this.config.defaultFrequency;
+    return this.difficultyDirector.getValue('obstacleFrequency') ?? this.config.defaultFrequency;
+  }
+
+  getZoneChance(zPosition) {
+    return this.getStretchObstacles(zPosition)?.zoneChance ?? this.config.zoneChance;
+  }
+
+  // Configuración de obstáculos del tramo del trazado en una posición (null si no la fija)
+  getStretchObstacles(zPosition) {
+    const stretch = this.roadManager.getStretchAt(-zPosition);
+    return stretch ? stretch.obstacles : null;
+  }
+
+  update(deltaTime, playerZPosition) {
+    if (Object.keys(this.obstacleModels).length === 0) return;
+
+    // Generar obstáculos hasta cubrir la distancia de generación por delante del jugador. Solo donde el
+    // trazado ya está generado para toda la zona de obras más larga, para saber si pisaría un cruce
+    const spawnLimitZ = Math.max(
+      playerZPosition - this.config.spawnDistance,
+      -this.roadManager.track.endDistance + this.getMaxZoneLength()
+    );
+    while (this.nextSpawnZ > spawnLimitZ) {
+      const frequency = this.getFrequency(this.nextSpawnZ);
+      const gap = THREE.MathUtils.lerp(this.config.maxGap, this.config.minGap, frequency);
+
+      if (frequency > 0) {
+        if (this.random.chance(this.getZoneChance(this.nextSpawnZ))) {
+          const zoneLength = this.createConstructionZone(this.nextSpawnZ);
+          this.nextSpawnZ -= zoneLength;
+        } else {
+          this.spawnHazard(this.nextSpawnZ);
+        }
+      }
+
+      // Añadir algo de aleatoriedad a la separación
+      this.nextSpawnZ -= gap * this.random.float(0.75, 1.25);
+    }
+
+    this.spawnTrackProps(playerZPosition);
+    this.cleanup(playerZPosition);
+    this.placeObstacles();
+  }
+
+  // Obstáculos colocados a mano sobre las piezas de un trazado creado a mano; se añaden cuando la pieza
+  // aparece en la carretera y cierran su carril como un obstáculo suelto
+  spawnTrackProps(playerZPosition) {
+    const scale = this.roadManager.scaleFactor.x;
+    const halfLane = this.roadManager.getLaneWidth() / 2;
+
+    for (const { piece } of this.roadManager.roadSegments) {
+      if (piece.props.length === 0 || this.propPieces.has(piece)) continue;
+      this.propPieces.add(piece);
+
+      for (const prop of piece.props) {
+        const z = -(piece.startDistance + prop.along * piece.length);
+        if (prop.kind !== 'obstacle' || z > playerZPosition) continue;
+
+        const x = prop.x * scale;
+        const lane = this.getLaneAt(x, halfLane);
+        const obstacle = this.addObstacle(prop.type, x, z, THREE.MathUtils.degToRad(prop.rotation), lane);
+
+        const halfLength = this.config.hazardLength / 2;
+        this.addZone({
+          lanes: lane === null ? [] : [lane],
+          minZ: z - halfLength,
+          maxZ: z + halfLength,
+          obstacles: [obstacle]
+        });
+      }
+    }
+  }
+
+  // Carril que ocupa una posición lateral (null si queda fuera de los carriles)
+  getLaneAt(x, halfLane) {
+    for (let lane = 0; lane < this.roadManager.getLaneCount(); lane++) {
+      if (Math.abs(this.roadManager.getLaneOffset(lane) - x) <= halfLane) return lane;
+    }
+    return null;
+  }
+
+  // Coloca los obstáculos sobre la carretera. Los que se generan más allá del último tramo se
+  // recolocan cuando el trazado llega hasta ellos
+  placeObstacles() {
+    for (const obstacle of this.obstacles) {
+      this.roadManager.placeOnTrack(obstacle.model, obstacle.position, obstacle.rotation);
+    }
+  }
+
+  getMaxZoneLength() {
+    const segmentLength = this.roadManager.actualSegmentLength || 20;
+    return this.config.taperLength + this.config.maxZoneSegments * segmentLength;
+  }
+
+  // Los cruces quedan libres de obstáculos: su tráfico transversal no podría esquivarlos
+  overlapsJunction(minZ, maxZ) {
+    return this.roadManager.getJunctions(-maxZ, -minZ).length > 0;
+  }
+
+  // Obstáculo estático suelto en un carril aleatorio
+  spawnHazard(zPosition) {
+    const halfLength = this.config.hazardLength / 2;
+    if (this.overlapsJunction(zPosition - halfLength, zPosition + halfLength)) return;
+
+    const laneCount = this.roadManager.getLaneCount();
+    const lane = this.random.int(0, laneCount - 1);
+    const type = this.random.pick(HAZARD_TYPES);
+
+    const x = this.roadManager.getLaneOffset(lane);
+    const rotation = type === 'construction-barrier' ? Math.PI / 2 : this.random.float(0, Math.PI * 2);
+    const obstacle = this.addObstacle(type, x, zPosition, rotation, lane);
+
+    // Un obstáculo suelto cierra un tramo corto de su carril para el tráfico
+    this.addZone({
+      lanes: [lane],
+      minZ: zPosition - halfLength,
+      maxZ: zPosition + halfLength,
+      obstacles: [obstacle]
+    });
+  }
+
+  // Zona de obras de varios segmentos que cierra uno o más carriles desde un borde de la carretera.
+  // Devuelve la longitud total ocupada (cuña de aviso incluida).
+  createConstructionZone(startZ) {
+    const lanes = this.pickClosedLanes();
+    if (lanes.length === 0) return 0;
+
+    const segmentLength = this.roadManager.actualSegmentLength || 20;
+    const segments = this.random.int(this.config.minZoneSegments, this.config.maxZoneSegments);
+    const zoneLength = segments * segmentLength;
+
+    // La cuña empieza en startZ y la zona cerrada sigue a continuación
+    const closedStartZ = startZ - this.config.taperLength;
+    const endZ = closedStartZ - zoneLength;
+    if (this.overlapsJunction(endZ, startZ)) return 0;
+
+    // Bordes lateral exterior e interior de los carriles cerrados
+    const laneCount = this.roadManager.getLaneCount();
+    const fromLeft = lanes.includes(0);
+    const halfLane = this.roadManager.getLaneWidth() / 2;
+    const outerX = fromLeft
+      ? this.roadManager.getLaneOffset(0) - halfLane
+      : this.roadManager.getLaneOffset(laneCount - 1) + halfLane;
+    const innerLane = fromLeft ? Math.max(...lanes) : Math.min(...lanes);
+    const innerX = this.roadManager.getLaneOffset(innerLane) + (fromLeft ? halfLane : -halfLane);
+
+    const obstacles = [];
+
+    // Cuña de conos: diagonal desde el borde exterior hasta el límite interior del cierre
+    for (let i = 0; i < this.config.taperCones; i++) {
+      const t = i / (this.config.taperCones - 1);
+      const x = THREE.MathUtils.lerp(outerX, innerX, t);
+      const z = THREE.MathUtils.lerp(startZ, closedStartZ, t);
+      obstacles.push(this.addObstacle('construction-cone', x, z, 0, null));
+    }
+
+    // Barreras atravesadas en cada carril cerrado al inicio de la zona
+    for (const lane of lanes) {
+      const x = this.roadManager.getLaneOffset(lane);
+      obstacles.push(this.addObstacle('construction-barrier', x, closedStartZ, Math.PI / 2, lane));
+    }
+
+    // Línea de conos y luces de obra a lo largo del límite interior
+    for (let z = closedStartZ - this.config.zoneConeSpacing; z > endZ; z -= this.config.zoneConeSpacing) {
+      obstacles.push(this.addObstacle('construction-cone', innerX, z, 0, null));
+    }
+    for (let z = closedStartZ; z > endZ; z -= this.config.zoneLightSpacing) {
+      const lightX = (outerX + innerX) / 2;
+      obstacles.push(this.addObstacle('construction-light', lightX, z, 0, null));
+    }
+
+    this.addZone({
+      lanes: lanes,
+      minZ: endZ,
+      maxZ: startZ,
+      obstacles: obstacles
+    });
+
+    return startZ - endZ;
+  }
+
+  // Registra un cierre y retira el tráfico que ya circulaba por él
+  addZone(zone) {
+    this.zones.push(zone);
+    if (this.trafficManager && zone.lanes.length > 0) {
+      this.trafficManager.removeCarsInSpan(zone.lanes, zone.minZ, zone.maxZ);
+    }
+  }
+
+  // Elige carriles contiguos desde un borde, dejando siempre abierto un carril del mismo sentido
+  pickClosedLanes() {
+    const laneCount = this.roadManager.getLaneCount();
+    const fromLeft = this.random.chance(0.5);
+    const edgeLane = fromLeft ? 0 : laneCount - 1;
+    const direction = this.roadManager.getLaneDirection(edgeLane);
+
+    // Carriles contiguos desde el borde con el mismo sentido que el carril exterior
+    const ordered = [];
+    for (let lane = edgeLane; lane >= 0 && lane < laneCount; lane += fromLeft ? 1 : -1) {
+      if (this.roadManager.getLaneDirection(lane) !== direction) break;
+      ordered.push(lane);
+    }
+    if (ordered.length < 2) return [];
+
+    const count = this.random.int(1, ordered.length - 1);
+    return ordered.slice(0, count);
+  }
+
+  // Añade un obstáculo en una posición del trazado (X lateral, Z negativo = distancia recorrida)
+  addObstacle(type, x, z, rotationY, lane) {
+    const original = this.obstacleModels[type];
+    const model = original.clone();
+
+    // Caja de colisión en el espacio del trazado, calculada con el modelo girado y sin colocar
+    model.rotation.y = rotationY;
+    const position = new THREE.Vector3(x, this.roadManager.getSurfaceHeight(), z);
+    const bounds = new THREE.Box3().setFromObject(model).translate(position);
+
+    const rotation = model.rotation.clone();
+    this.roadManager.placeOnTrack(model, position, rotation);
+    this.scene.add(model);
+
+    const obstacle = { model: model, type: type, lane: lane, position: position, rotation: rotation, bounds: bounds };
+    this.obstacles.push(obstacle);
+    return obstacle;
+  }
+
+  cleanup(playerZPosition) {
+    const limitZ = playerZPosition + this.config.despawnDistance;
+
+    let i = this.zones.length;
+    while (i--) {
+      const zone = this.zones[i];
+
+      // Eliminar la zona cuando ha quedado entera por detrás del jugador
+      if (zone.minZ > limitZ) {
+        for (const obstacle of zone.obstacles) {
+          this.removeObstacle(obstacle);
+        }
+        this.zones.splice(i, 1);
+      }
+    }
+  }
+
+  removeObstacle(obstacle) {
+    this.scene.remove(obstacle.model);
+    const index = this.obstacles.indexOf(obstacle);
+    if (index >= 0) {
+      this.obstacles.splice(index, 1);
+    }
+  }
+
+  // Indica si un carril está cerrado en una posición Z
+  isLaneClosed(lane, z) {
+    return this.zones.some(zone => zone.lanes.includes(lane) && z >= zone.minZ && z <= zone.maxZ);
+  }
+
+  // Distancia hasta el próximo cierre del carril en el sentido de la marcha
+  // (zDirection = -1 para el tráfico que avanza como el jugador, +1 para el que viene de frente)
+  getClosureDistance(lane, z, zDirection) {
+    let closest = Infinity;
+
+    for (const zone of this.zones) {
+      if (!zone.lanes.includes(lane)) continue;
+
+      if (z >= zone.minZ && z <= zone.maxZ) return 0;
+
+      const distance = zDirection < 0 ? z - zone.maxZ : zone.minZ - z;
+      if (distance > 0 && distance < closest) {
+        closest = distance;
+      }
+    }
+
+    return closest;
+  }
+
+  // Origen flotante: los obstáculos se guardan en el espacio del trazado; basta con recolocarlos
+  rebase() {
+    this.placeObstacles();
+  }
+
+  getObstacles() {
+    return this.obstacles;
+  }
+
+  // Con otra distribución de carriles las zonas actuales quedan mal colocadas: se eliminan y se vuelve
+  // a generar a partir de la distancia libre por delante del jugador
+  updateLaneLayout(playerZPosition) {
+    this.reset();
+    this.nextSpawnZ = playerZPosition - this.config.startDistance;
+  }
+
+  reset() {
+    for (const obstacle of this.obstacles) {
+      this.scene.remove(obstacle.model);
+    }
+    this.obstacles = [];
+    this.zones = [];
+    this.nextSpawnZ = -this.config.startDistance;
+    this.propPieces = new WeakSet();
+  }
+}
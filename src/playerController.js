@@ -1,34 +1,46 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { TireTrailEffect } from './effects.js';
+import { getLaneChangeSteering, getLaneChangeTilt } from './laneChange.js';
+import playerVehicles from './data/playerVehicles.json';
 
 export default class PlayerController {
   constructor(scene, roadManager) {
     this.scene = scene;
     this.roadManager = roadManager;
     this.carModel = null;
-    this.currentLane = 2; // Empezamos en el segundo carril (0-3)
-    this.targetLane = 1;
-    this.laneChangeSpeed = 0.2; // Aumentado para ser proporcional a la nueva velocidad
+    this.bounds = null; // Caja del modelo sin girar ni colocar
+    this.vehicleName = 'sedan-sports'; // Modelo del coche del jugador
+    this.vehicles = playerVehicles; // Vehículos que puede conducir el jugador y su manejo
+    this.handling = null; // Perfil de manejo del vehículo actual (se aplica más abajo)
+    this.loadingVehicle = null; // Último vehículo pedido mientras se carga su modelo
+    this.currentLane = roadManager.getStartLane(); // Carril inicial según la distribución de la carretera
+    this.targetLane = this.currentLane;
+    this.extraLane = roadManager.getExtraLane(); // Índice del carril adicional con la distribución actual
     this.movingLane = false;
-    this.carHeight = 0.2; // Altura del coche sobre la carretera
+    this.carHeight = roadManager.getSurfaceHeight(); // Altura del coche sobre la calzada (la altura de la carretera la añade el trazado)
     
-    // Parámetros de velocidad del coche
-    this.defaultSpeed = 400; // Velocidad predeterminada 10x más alta
+    // Posición y giro del coche en el espacio del trazado (X lateral, Z negativo = distancia recorrida).
+    // El modelo se coloca en el mundo a partir de ellos siguiendo las curvas y pendientes de la carretera
+    this.position = new THREE.Vector3(0, this.carHeight, 0);
+    this.rotation = new THREE.Euler(0, Math.PI, 0);
+    
+    // Parámetros de velocidad y giro del coche: los de su perfil de manejo
+    this.applyHandling(this.vehicles[this.vehicleName]);
     this.velocity = this.defaultSpeed; // Iniciar con la velocidad predeterminada
-    this.minSpeed = 200;    // Velocidad mínima 10x más alta
-    this.maxSpeed = 800;    // Velocidad máxima 10x más alta
-    this.speedDelta = 50;   // Incremento/decremento de velocidad aumentado 10x
     this.speedFactor = 0.05; // Mantenemos el mismo factor de conversión
     
     // Parámetros para el giro del coche
     this.forwardDirection = Math.PI;  // Dirección "adelante" (PI = 180 grados)
-    this.steeringAngle = Math.PI / 8; // Ángulo máximo de giro (22.5 grados)
     this.changeLanePhase = 0;         // Fase de la animación (0 a 1)
     
     // Control de entrada
     this.increaseSpeed = false;
     this.decreaseSpeed = false;
+    this.inputEnabled = true;
+    
+    // Estado de choque (el coche queda detenido y sin control)
+    this.crashed = false;
     
     // Inicializar efectos
     this.tireTrail = new TireTrailEffect(scene, {
@@ -40,46 +52,124 @@ export default class PlayerController {
     // Configurar inputs
     this.setupInputs();
     
-    // Cargar el modelo
-    this.init();
+    // Cargar el modelo (los cambios de vehículo esperan a que termine)
+    this.ready = this.init();
   }
 
   async init() {
-    await this.loadCarModel();
+    this.setCarModel(await this.loadCarModel(this.vehicleName));
     this.positionCar();
   }
 
-  async loadCarModel() {
-    return new Promise((resolve) => {
+  async loadCarModel(vehicleName) {
+    return new Promise((resolve, reject) => {
       const loader = new GLTFLoader();
-      loader.load('/models/cars/sedan-sports.glb', (gltf) => {
-        this.carModel = gltf.scene;
+      loader.load(`/models/cars/${vehicleName}.glb`, (gltf) => {
+        const model = gltf.scene;
         
         // Configurar el modelo para que proyecte sombras
-        this.carModel.traverse((child) => {
+        model.traverse((child) => {
           if (child.isMesh) {
             child.castShadow = true;
             child.receiveShadow = true;
           }
         });
         
-        // Rotar el coche para que mire hacia el camino
-        this.carModel.rotation.y = Math.PI;
-        
         // Ajustar escala si es necesario
-        this.carModel.scale.set(1, 1, 1);
-        
-        // Añadir el coche a la escena
-        this.scene.add(this.carModel);
+        model.scale.set(1, 1, 1);
         
-        resolve();
-      });
+        resolve(model);
+      }, undefined, () => reject(new Error(`No se encuentra el modelo del vehículo ${vehicleName}`)));
+    });
+  }
+
+  setCarModel(model) {
+    this.carModel = model;
+    
+    // Medidas del coche en su propio espacio (colisiones y distancias con el tráfico)
+    this.bounds = new THREE.Box3().setFromObject(this.carModel);
+    
+    // Rotar el coche para que mire hacia el camino
+    this.rotation.set(0, this.forwardDirection, 0);
+    
+    // Añadir el coche a la escena
+    this.scene.add(this.carModel);
+  }
+
+  // Copia el perfil de manejo de un vehículo en los parámetros que usa el controlador
+  applyHandling(handling) {
+    this.handling = handling;
+    this.defaultSpeed = handling.defaultSpeed;
+    this.minSpeed = handling.minSpeed;
+    this.maxSpeed = handling.maxSpeed;
+    this.speedDelta = handling.acceleration; // Incremento/decremento de velocidad por paso con la tecla pulsada
+    this.laneChangeSpeed = handling.laneChangeSpeed;
+    this.steeringAngle = THREE.MathUtils.degToRad(handling.steeringAngle); // Ángulo máximo de giro
+  }
+
+  // Cambia el coche del jugador sin detener la partida: el modelo nuevo ocupa el sitio del anterior,
+  // en su carril, y la velocidad actual se ajusta al rango del nuevo perfil
+  async setVehicle(vehicleName) {
+    if (!this.vehicles[vehicleName]) {
+      throw new Error(`Vehículo desconocido: ${vehicleName}`);
+    }
+    if (vehicleName === this.vehicleName && !this.loadingVehicle) return false;
+    
+    // Si se piden varios cambios seguidos, solo cuenta el último
+    this.loadingVehicle = vehicleName;
+    let model;
+    try {
+      await this.ready;
+      model = await this.loadCarModel(vehicleName);
+    } catch (error) {
+      // Si la carga falla, el coche actual sigue siendo el bueno y se puede volver a pedir
+      if (this.loadingVehicle === vehicleName) {
+        this.loadingVehicle = null;
+      }
+      throw error;
+    }
+    if (this.loadingVehicle !== vehicleName) {
+      this.disposeModel(model);
+      return false;
+    }
+    this.loadingVehicle = null;
+    
+    if (this.carModel) {
+      this.disposeModel(this.carModel);
+    }
+    this.vehicleName = vehicleName;
+    this.applyHandling(this.vehicles[vehicleName]);
+    this.velocity = THREE.MathUtils.clamp(this.velocity, this.minSpeed, this.maxSpeed);
+    
+    this.setCarModel(model);
+    if (this.movingLane) {
+      this.currentLane = this.targetLane;
+      this.movingLane = false;
+      this.changeLanePhase = 0;
+    }
+    this.position.x = this.roadManager.getLaneOffset(this.currentLane);
+    this.rotation.z = 0;
+    this.placeCar();
+    return true;
+  }
+
+  // Saca un modelo de la escena y libera su memoria en la GPU
+  disposeModel(model) {
+    this.scene.remove(model);
+    model.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        for (const material of [].concat(child.material)) {
+          material.dispose();
+        }
+      }
     });
   }
 
   setupInputs() {
     // Escuchar eventos de teclado para cambiar de carril y controlar velocidad
     document.addEventListener('keydown', (event) => {
+      if (!this.inputEnabled) return; // Controles bloqueados (por ejemplo, tras un choque)
       if (this.movingLane && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) return; // No permitir cambios de carril mientras está en movimiento
 
       switch (event.key) {
@@ -87,7 +177,8 @@ export default class PlayerController {
           this.changeToLane(Math.max(0, this.currentLane - 1));
           break;
         case 'ArrowRight':
-          this.changeToLane(Math.min(3, this.currentLane + 1));
+          // El carril adicional de las incorporaciones y salidas solo existe en su tramo
+          this.changeToLane(Math.min(this.roadManager.getLaneCountAt(-this.position.z) - 1, this.currentLane + 1));
           break;
         case 'ArrowUp':
           this.increaseSpeed = true;
@@ -122,20 +213,30 @@ export default class PlayerController {
     if (!this.carModel) return;
     
     // Obtener posición X basada en el carril actual
-    const xPos = this.roadManager.getLanePosition(this.currentLane);
+    const xPos = this.roadManager.getLaneOffset(this.currentLane);
     
     // Actualizar posición del coche
-    this.carModel.position.x = xPos;
-    this.carModel.position.y = this.carHeight;
-    this.carModel.position.z = 0; // Inicialmente en la posición 0
+    this.position.x = xPos;
+    this.position.y = this.carHeight;
+    this.position.z = 0; // Inicialmente en la posición 0
     
     // Informar al roadManager de la posición inicial del jugador
     this.roadManager.setPlayerZPosition(0);
+    this.placeCar();
+  }
+
+  // Coloca el modelo en el mundo según su posición en el trazado
+  placeCar() {
+    if (!this.carModel) return;
+    this.roadManager.placeOnTrack(this.carModel, this.position, this.rotation);
   }
 
   update(deltaTime) {
     if (!this.carModel) return;
     
+    // Tras un choque el coche permanece detenido
+    if (this.crashed) return;
+    
     // Actualizar velocidad según controles de aceleración y frenado
     this.updateVelocity(deltaTime);
     
@@ -145,6 +246,9 @@ export default class PlayerController {
     // Actualizar la posición del coche según el carril
     this.updateLanePosition(deltaTime);
     
+    // Seguir la carretera
+    this.placeCar();
+    
     // Actualizar el trail del coche
     this.updateTrail();
   }
@@ -163,69 +267,54 @@ export default class PlayerController {
     const moveAmount = this.velocity * this.speedFactor * deltaTime;
     
     // Actualizar la posición Z del coche
-    this.carModel.position.z -= moveAmount; // Restamos porque el eje Z negativo es "adelante"
+    this.position.z -= moveAmount; // Restamos porque el eje Z negativo es "adelante"
     
     // Informar al roadManager de la nueva posición del jugador
-    this.roadManager.setPlayerZPosition(this.carModel.position.z);
+    this.roadManager.setPlayerZPosition(this.position.z);
   }
   
   updateLanePosition(deltaTime) {
     if (this.movingLane) {
       // Calcular la posición X objetivo
-      const targetX = this.roadManager.getLanePosition(this.targetLane);
-      const currentX = this.carModel.position.x;
+      const targetX = this.roadManager.getLaneOffset(this.targetLane);
+      const currentX = this.position.x;
       
       // Determinar la dirección del cambio de carril
       const direction = targetX > currentX ? 1 : -1;
       const moveAmount = this.laneChangeSpeed * deltaTime * 60; // Normalizar por frame rate
       
       // Actualizar la fase de la animación (0 a 1)
-      this.changeLanePhase += moveAmount / Math.abs(targetX - this.roadManager.getLanePosition(this.currentLane));
+      this.changeLanePhase += moveAmount / Math.abs(targetX - this.roadManager.getLaneOffset(this.currentLane));
       this.changeLanePhase = Math.min(this.changeLanePhase, 1); // Asegurar que no pase de 1
       
       if (Math.abs(targetX - currentX) <= moveAmount) {
         // Llegó al objetivo
-        this.carModel.position.x = targetX;
+        this.position.x = targetX;
         this.currentLane = this.targetLane;
         this.movingLane = false;
         this.changeLanePhase = 0;
         
         // Restaurar la rotación normal
-        this.carModel.rotation.y = this.forwardDirection;
-        this.carModel.rotation.z = 0;
+        this.rotation.y = this.forwardDirection;
+        this.rotation.z = 0;
       } else {
         // Seguir moviendo
-        this.carModel.position.x += direction * moveAmount;
+        this.position.x += direction * moveAmount;
         
         // Aplicar el giro del coche en función de la fase de la animación
-        // Primero giramos hacia el lado que vamos a cambiar, luego volvemos a la posición recta,
-        // finalmente giramos ligeramente en dirección contraria para "enderezar" el coche
-        let steeringFactor = 0;
-        
-        if (this.changeLanePhase < 0.3) {
-          // Fase inicial: girar hacia el lado que vamos a cambiar (0% a 100% del giro)
-          steeringFactor = this.changeLanePhase / 0.3;
-        } else if (this.changeLanePhase < 0.7) {
-          // Fase intermedia: volver gradualmente a la posición recta (100% a 0% del giro)
-          steeringFactor = 1 - ((this.changeLanePhase - 0.3) / 0.4);
-        } else {
-          // Fase final: girar ligeramente en dirección contraria (0% a -30% y vuelta a 0%)
-          const endPhase = (this.changeLanePhase - 0.7) / 0.3;
-          steeringFactor = -0.3 * Math.sin(endPhase * Math.PI);
-        }
+        const steeringFactor = getLaneChangeSteering(this.changeLanePhase);
         
         // Aplicar rotación en Y (volante)
-        this.carModel.rotation.y = this.forwardDirection - (direction * this.steeringAngle * steeringFactor);
+        this.rotation.y = this.forwardDirection - (direction * this.steeringAngle * steeringFactor);
         
         // Añadir inclinación lateral (rotación en Z)
-        const tiltAmount = direction * 0.1 * Math.sin(this.changeLanePhase * Math.PI);
-        this.carModel.rotation.z = tiltAmount;
+        this.rotation.z = direction * getLaneChangeTilt(this.changeLanePhase);
       }
     } else {
       // Asegurarnos de que el coche vuelva gradualmente a su rotación normal cuando no está cambiando de carril
-      if (this.carModel.rotation.z !== 0 || this.carModel.rotation.y !== this.forwardDirection) {
-        this.carModel.rotation.z = THREE.MathUtils.lerp(this.carModel.rotation.z, 0, 0.1);
-        this.carModel.rotation.y = THREE.MathUtils.lerp(this.carModel.rotation.y, this.forwardDirection, 0.1);
+      if (this.rotation.z !== 0 || this.rotation.y !== this.forwardDirection) {
+        this.rotation.z = THREE.MathUtils.lerp(this.rotation.z, 0, 0.1);
+        this.rotation.y = THREE.MathUtils.lerp(this.rotation.y, this.forwardDirection, 0.1);
       }
     }
   }
@@ -236,10 +325,17 @@ export default class PlayerController {
     }
   }
 
+  // Origen flotante: recolocar el coche sobre la carretera desplazada y mover sus marcas
+  rebase(offset) {
+    this.placeCar();
+    this.tireTrail.rebase(offset);
+  }
+
   toggleTrail() {
     this.tireTrail.toggle();
   }
 
+  // Posición del coche en el mundo
   getPosition() {
     return this.carModel ? this.carModel.position.clone() : new THREE.Vector3(0, 0, 0);
   }
@@ -248,14 +344,66 @@ export default class PlayerController {
     return this.velocity;
   }
 
+  // Velocidad del coche en unidades de mundo por segundo (avanza en la dirección de la carretera)
+  getWorldVelocity() {
+    const pose = this.roadManager.getTrackPose(-this.position.z);
+    return pose.tangent.multiplyScalar(this.velocity * this.speedFactor);
+  }
+
+  setInputEnabled(enabled) {
+    this.inputEnabled = enabled;
+    
+    // Soltar los controles para que no quede ninguna tecla "pegada"
+    if (!enabled) {
+      this.increaseSpeed = false;
+      this.decreaseSpeed = false;
+    }
+  }
+
+  crash() {
+    if (this.crashed) return;
+    
+    this.crashed = true;
+    this.velocity = 0;
+    this.movingLane = false;
+    this.changeLanePhase = 0;
+    this.setInputEnabled(false);
+  }
+
+  // Ajusta el coche a una nueva distribución de carriles sin detener la partida
+  updateLaneLayout() {
+    // El carril adicional sigue siendo el siguiente al último; fuera de su tramo no existe
+    const previousExtraLane = this.extraLane;
+    this.extraLane = this.roadManager.getExtraLane();
+    if (this.currentLane === previousExtraLane) {
+      this.currentLane = this.extraLane;
+    }
+    const lastLane = this.roadManager.getLaneCountAt(-this.position.z) - 1;
+    this.currentLane = Math.min(this.currentLane, lastLane);
+    this.targetLane = this.currentLane;
+    this.movingLane = false;
+    this.changeLanePhase = 0;
+    
+    this.position.x = this.roadManager.getLaneOffset(this.currentLane);
+    this.rotation.y = this.forwardDirection;
+    this.rotation.z = 0;
+    this.placeCar();
+  }
+
   reset() {
     // Reiniciar posición del coche
-    this.currentLane = 1;
-    this.targetLane = 1;
+    this.currentLane = this.roadManager.getStartLane();
+    this.targetLane = this.currentLane;
+    this.extraLane = this.roadManager.getExtraLane();
     this.movingLane = false;
     this.velocity = this.defaultSpeed;
     this.increaseSpeed = false;
     this.decreaseSpeed = false;
+    this.crashed = false;
+    
+    // Restaurar la orientación del coche
+    this.rotation.y = this.forwardDirection;
+    this.rotation.z = 0;
     
     // Limpiar el trail
     this.tireTrail.clear();
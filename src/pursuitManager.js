@@ -0,0 +1,313 @@
+import * as THREE from 'three';
+import { SirenLights } from './sirenLights.js';
+import { SeededRandom } from './seededRandom.js';
+
+export default class PursuitManager extends THREE.EventDispatcher {
+  constructor(trafficManager, playerController, scoreManager) {
+    super();
+    this.trafficManager = trafficManager;
+    this.playerController = playerController;
+    this.scoreManager = scoreManager;
+    this.random = new SeededRandom(); // GameInit asigna el flujo de este sistema del servicio de semillas
+
+    // Modelos de las unidades de policía
+    this.unitTypes = ['police.glb', 'tractor-police.glb'];
+
+    // Configuración de la persecución
+    this.config = {
+      startDelay: 3, // Segundos hasta que aparece la primera oleada
+      waveCooldown: 8, // Segundos de calma tras escapar antes de la siguiente oleada
+      spawnDistanceBehind: 90, // Distancia por detrás del jugador a la que aparecen las unidades
+      spawnSpacing: 18, // Separación entre unidades de una misma oleada
+      baseUnits: 2, // Unidades con nivel de búsqueda 1
+      unitsPerHeat: 1, // Unidades extra por cada nivel de búsqueda
+      maxUnits: 7, // Unidades máximas a la vez
+      maxHeat: 5, // Nivel de búsqueda máximo
+      heatInterval: 30, // Segundos de persecución para subir un nivel de búsqueda
+      chaseSpeed: 10, // Velocidad extra sobre el jugador con nivel 1 (unidades/s)
+      chaseSpeedPerHeat: 3, // Velocidad extra por cada nivel de búsqueda
+      minSpeed: 28, // Velocidad mínima de las unidades (unidades/s)
+      blockedDistance: 16, // Distancia a la que una unidad frena detrás de un coche de tráfico
+      boxDistance: 35, // Distancia al jugador a la que las unidades intentan encerrarlo
+      catchDistance: 5, // Distancia longitudinal a la que una unidad está a la altura del jugador
+      rearCatchDistance: 14, // Distancia a la que una unidad cierra al jugador por detrás
+      catchTime: 2, // Segundos rodeado para que detengan al jugador
+      escapeDistance: 150, // Distancia a la que hay que mantener a todas las unidades
+      escapeTime: 10, // Segundos manteniendo la distancia para escapar
+      escapeBonus: 1000, // Puntos por escapar, multiplicados por el nivel de búsqueda
+      maxAcceleration: 12, // Aceleración de las unidades (unidades/s²)
+      timeHeadway: 0.2 // Separación con el vehículo de delante: se pegan mucho más que el tráfico normal
+    };
+
+    this.active = false;
+    this.reset();
+  }
+
+  setActive(active) {
+    this.active = active;
+    if (!active) {
+      this.removeUnits();
+    }
+  }
+
+  update(deltaTime, allowSpawn = true) {
+    if (!this.active) return;
+
+    const player = this.playerController;
+    if (!player || !player.carModel) return;
+
+    // Descartar las unidades que el gestor de tráfico haya eliminado por quedar muy atrás
+    const trafficCars = this.trafficManager.getTrafficCars();
+    this.units = this.units.filter(unit => {
+      if (trafficCars.includes(unit)) return true;
+      unit.siren.dispose();
+      return false;
+    });
+
+    for (const unit of this.units) {
+      unit.siren.update(deltaTime);
+      this.updateUnit(unit);
+    }
+
+    if (!allowSpawn || player.crashed) return;
+
+    // Entre oleadas
+    if (this.units.length === 0 && !this.pursuing) {
+      this.waveTimer -= deltaTime;
+      if (this.waveTimer <= 0) {
+        this.startWave();
+      }
+      return;
+    }
+
+    this.pursuitTime += deltaTime;
+
+    // El nivel de búsqueda sube con el tiempo de persecución y se añaden refuerzos
+    if (this.pursuitTime >= this.heat * this.config.heatInterval && this.heat < this.config.maxHeat) {
+      this.setHeat(this.heat + 1);
+      this.spawnUnits(this.getTargetUnitCount() - this.units.length);
+    }
+
+    this.updateEscape(deltaTime);
+    this.updateCatch(deltaTime);
+  }
+
+  getTargetUnitCount() {
+    const count = this.config.baseUnits + (this.heat - 1) * this.config.unitsPerHeat;
+    return Math.min(count, this.config.maxUnits);
+  }
+
+  setHeat(heat) {
+    this.heat = heat;
+    this.dispatchEvent({ type: 'heatchange', heat: this.heat });
+  }
+
+  startWave() {
+    this.pursuing = true;
+    this.pursuitTime = 0;
+    this.escapeTimer = 0;
+    this.catchTimer = 0;
+    this.spawnUnits(this.getTargetUnitCount());
+
+    this.dispatchEvent({ type: 'pursuitstart', heat: this.heat, units: this.units.length });
+  }
+
+  spawnUnits(count) {
+    const player = this.playerController;
+
+    for (let i = 0; i < count; i++) {
+      const z = player.position.z + this.config.spawnDistanceBehind + i * this.config.spawnSpacing;
+      const lanes = this.trafficManager.outgoingLanes.filter(lane => this.trafficManager.isLaneGapFree(lane, z));
+      if (lanes.length === 0) continue;
+
+      const lane = this.random.pick(lanes);
+      const modelType = this.random.pick(this.unitTypes);
+      const speed = this.trafficManager.toConfigSpeed(this.getChaseSpeed());
+      const unit = this.trafficManager.addCar(modelType, lane, z, 'outgoing', speed, {
+        police: true,
+        desiredSpeed: speed,
+        maxAcceleration: this.config.maxAcceleration,
+        timeHeadway: this.config.timeHeadway
+      });
+      if (!unit) continue;
+
+      unit.siren = new SirenLights(unit.model, this.trafficManager.carBounds[unit.modelType]);
+      this.units.push(unit);
+    }
+  }
+
+  updateUnit(unit) {
+    if (unit.crashed) return;
+
+    const player = this.playerController;
+    const playerZ = player.position.z;
+    const unitZ = unit.position.z;
+    const playerSpeed = player.crashed ? 0 : player.getWorldVelocity().length();
+
+    // Intentar alcanzar al jugador, más rápido cuanto mayor es el nivel de búsqueda
+    let worldSpeed = this.getChaseSpeed();
+
+    // Frenar detrás del tráfico que bloquea el carril y buscar un hueco en otro
+    const blocker = this.findBlocker(unit);
+    if (blocker) {
+      worldSpeed = Math.min(worldSpeed, this.trafficManager.getCarVelocity(blocker).length());
+      this.changeUnitLane(unit, this.pickFreeAdjacentLane(unit));
+    }
+
+    // Cerca del jugador: repartirse los carriles para encerrarlo
+    const gapToPlayer = unitZ - playerZ;
+    if (Math.abs(gapToPlayer) < this.config.boxDistance) {
+      this.changeUnitLane(unit, this.getBoxLane(unit));
+
+      // No embestir por detrás: igualar la velocidad al llegar a su altura en el mismo carril
+      if (unit.lane === this.getPlayerLane() && gapToPlayer > 0 && gapToPlayer < this.config.rearCatchDistance) {
+        worldSpeed = Math.min(worldSpeed, playerSpeed);
+      }
+    }
+
+    // Mantenerse a la altura del jugador en lugar de adelantarlo
+    if (gapToPlayer < 0) {
+      worldSpeed = Math.min(worldSpeed, Math.max(playerSpeed - 2, 0));
+    }
+
+    // El gestor de tráfico ajusta la velocidad real para no chocar con el vehículo de delante
+    unit.desiredSpeed = this.trafficManager.toConfigSpeed(worldSpeed);
+  }
+
+  getChaseSpeed() {
+    const player = this.playerController;
+    const playerSpeed = player.crashed ? 0 : player.getWorldVelocity().length();
+    const chaseSpeed = this.config.chaseSpeed + (this.heat - 1) * this.config.chaseSpeedPerHeat;
+    return Math.max(this.config.minSpeed, playerSpeed + chaseSpeed);
+  }
+
+  findBlocker(unit) {
+    const unitZ = unit.position.z;
+
+    for (const car of this.trafficManager.getTrafficCars()) {
+      if (car === unit || car.police || car.lane !== unit.lane) continue;
+
+      // Distancia hacia delante (Z negativo)
+      const distance = unitZ - car.position.z;
+      if (distance > 0 && distance < this.config.blockedDistance) return car;
+    }
+
+    return null;
+  }
+
+  getPlayerLane() {
+    const player = this.playerController;
+    return player.movingLane ? player.targetLane : player.currentLane;
+  }
+
+  // Carril objetivo de cada unidad para cerrar al jugador: detrás, a su izquierda y a su derecha.
+  // Las unidades circulan en el sentido de avance: solo cuentan los carriles de ese sentido
+  getBoxLane(unit) {
+    const playerLane = this.getPlayerLane();
+    const slots = [playerLane, playerLane - 1, playerLane + 1]
+      .filter(lane => this.trafficManager.outgoingLanes.includes(lane));
+
+    const index = this.units.indexOf(unit);
+    return slots[index % slots.length];
+  }
+
+  pickFreeAdjacentLane(unit) {
+    const candidates = [unit.lane - 1, unit.lane + 1]
+      .filter(lane => this.trafficManager.outgoingLanes.includes(lane));
+    return candidates.find(lane => this.trafficManager.isLaneGapFree(lane, unit.position.z, unit));
+  }
+
+  // Cambia la unidad un carril hacia el objetivo si hay hueco. Nunca pasa a un carril del sentido
+  // contrario: el tráfico que viene de frente no la vería como vehículo de delante y chocaría con ella
+  changeUnitLane(unit, targetLane) {
+    if (targetLane === undefined || unit.laneChange || targetLane === unit.lane) return;
+
+    const nextLane = unit.lane + Math.sign(targetLane - unit.lane);
+    if (this.trafficManager.outgoingLanes.includes(nextLane) &&
+        this.trafficManager.isLaneGapFree(nextLane, unit.position.z, unit)) {
+      this.trafficManager.startLaneChange(unit, nextLane);
+    }
+  }
+
+  updateEscape(deltaTime) {
+    const playerZ = this.playerController.position.z;
+    const allFarBehind = this.units.every(unit => unit.position.z - playerZ > this.config.escapeDistance);
+
+    if (!allFarBehind) {
+      this.escapeTimer = 0;
+      return;
+    }
+
+    this.escapeTimer += deltaTime;
+    if (this.escapeTimer >= this.config.escapeTime) {
+      this.escape();
+    }
+  }
+
+  escape() {
+    const points = this.scoreManager.addPoints(this.config.escapeBonus * this.heat, 'escape');
+    this.dispatchEvent({ type: 'escaped', heat: this.heat, points: points });
+
+    // La siguiente oleada llega con más nivel de búsqueda
+    this.removeUnits();
+    this.pursuing = false;
+    this.waveTimer = this.config.waveCooldown;
+    this.setHeat(Math.min(this.heat + 1, this.config.maxHeat));
+  }
+
+  // El jugador queda detenido si tiene una unidad pegada detrás en su carril y otra a cada lado
+  // (o el borde de los carriles de su sentido) durante el tiempo configurado
+  updateCatch(deltaTime) {
+    const playerZ = this.playerController.position.z;
+    const playerLane = this.getPlayerLane();
+    const lanes = this.trafficManager.outgoingLanes;
+
+    const rearBlocked = this.units.some(unit => {
+      const gap = unit.position.z - playerZ;
+      return unit.lane === playerLane && gap > 0 && gap < this.config.rearCatchDistance;
+    });
+
+    const sideLanes = new Set(
+      this.units
+        .filter(unit => Math.abs(unit.position.z - playerZ) < this.config.catchDistance)
+        .map(unit => unit.lane)
+    );
+    // Los bordes son los de los carriles de su sentido: las unidades no pasan al contrario
+    const leftBlocked = playerLane === Math.min(...lanes) || sideLanes.has(playerLane - 1);
+    const rightBlocked = playerLane === Math.max(...lanes) || sideLanes.has(playerLane + 1);
+
+    this.catchTimer = rearBlocked && leftBlocked && rightBlocked ? this.catchTimer + deltaTime : 0;
+
+    if (this.catchTimer >= this.config.catchTime) {
+      this.catchTimer = 0;
+      this.dispatchEvent({ type: 'busted', heat: this.heat });
+    }
+  }
+
+  getHeat() {
+    return this.heat;
+  }
+
+  removeUnits() {
+    for (const unit of this.units) {
+      unit.siren.dispose();
+      this.trafficManager.removeCar(unit);
+    }
+    this.units = [];
+  }
+
+  reset() {
+    if (this.units) {
+      for (const unit of this.units) {
+        unit.siren.dispose();
+      }
+    }
+    this.units = [];
+    this.heat = 1;
+    this.pursuing = false;
+    this.pursuitTime = 0;
+    this.waveTimer = this.config.startDelay;
+    this.escapeTimer = 0;
+    this.catchTimer = 0;
+  }
+}
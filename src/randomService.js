@@ -0,0 +1,53 @@
+import * as THREE from 'three';
+import { SeededRandom } from './seededRandom.js';
+
+// Servicio de aleatoriedad de la partida: a partir de una única semilla crea un flujo independiente
+// por sistema (tráfico, obstáculos, carretera...). Así lo que consume un sistema no altera la secuencia
+// de los demás, y la misma semilla con las mismas entradas reproduce la misma partida.
+export default class RandomService extends THREE.EventDispatcher {
+  constructor(seed = RandomService.generateSeed()) {
+    super();
+    this.seed = String(seed);
+    this.streams = new Map();
+  }
+
+  // Semilla nueva cuando no se indica ninguna. Fuera de aquí, Math.random solo queda en lo que no afecta
+  // a la partida (desfase de las sirenas, registro de depuración)
+  static generateSeed() {
+    return String(Math.floor(Math.random() * 1000000));
+  }
+
+  // Semilla pasada en la URL (?seed=...), o null si no hay
+  static getSeedFromUrl() {
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    return seed && seed.trim() ? seed.trim() : null;
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  // Flujo de números de un sistema; se crea la primera vez que se pide
+  getStream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new SeededRandom(`${this.seed}:${name}`));
+    }
+    return this.streams.get(name);
+  }
+
+  // Cambia la semilla; los flujos vuelven a empezar con la nueva
+  setSeed(seed) {
+    this.seed = String(seed);
+    for (const [name, stream] of this.streams) {
+      stream.setSeed(`${this.seed}:${name}`);
+    }
+    this.dispatchEvent({ type: 'seedchange', seed: this.seed });
+  }
+
+  // Reinicia todos los flujos al principio de su secuencia (al empezar cada partida)
+  reset() {
+    for (const stream of this.streams.values()) {
+      stream.reset();
+    }
+  }
+}
@@ -1,17 +1,90 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { ObjectPool } from './objectPool.js';
+import { TrackPath, createTrackPose, createModelCenterline } from './trackPath.js';
+import { SeededRandom } from './seededRandom.js';
+import { EndlessTrackSource, AuthoredTrackSource } from './trackSources.js';
+import { parseTrack, fetchTrack, TrackFormatError } from './trackFormat.js';
+import roadLayouts from './data/roadLayouts.json';
+import roadPieces from './data/roadPieces.json';
+import coastRoad from './data/tracks/coastRoad.json';
 
-export default class RoadManager {
+// Pilares que sostienen los tramos elevados (miden 0.5 de alto en unidades del modelo)
+const SUPPORT_MODELS = {
+  'bridge-pillar': 'bridge-pillar.glb',
+  'bridge-pillar-wide': 'bridge-pillar-wide.glb'
+};
+const SUPPORT_MODEL_HEIGHT = 0.5;
+
+// Trazados creados a mano incluidos con el juego (el sin fin no necesita archivo)
+const TRACKS = {
+  coastRoad: coastRoad
+};
+
+const _pose = createTrackPose();
+const _offset = new THREE.Vector3();
+const _localQuaternion = new THREE.Quaternion();
+
+export default class RoadManager extends THREE.EventDispatcher {
   constructor(scene) {
+    super();
     this.scene = scene;
     this.roadSegments = [];
-    this.roadModel = null;
+    this.roadModel = null; // Modelo de la recta (referencia de escala y longitud de los tramos)
     this.visibleSegments = 30; // Número de segmentos visibles a la vez
-    this.roadWidth = 1; // Ancho base total de la carretera (4 carriles)
-    this.laneWidth = this.roadWidth / 4; // Ancho base de cada carril
-    this.playerZPosition = 0; // La posición Z actual del jugador (reemplaza roadPosition)
     
-    // Factor de escala para los modelos de carretera
+    // Piezas de carretera disponibles: modelo y línea central en el espacio local del modelo.
+    // Los trazados creados a mano pueden añadir otros modelos de public/models/roads
+    this.roadPieces = { ...roadPieces };
+    this.pieceModels = {};
+    
+    // Trazado de la carretera: las piezas se encadenan y su línea central define la posición y la
+    // dirección de todo lo que circula por ella. Las piezas las decide la fuente del trazado: el
+    // generador sin fin (con el flujo de la semilla) o un trazado creado a mano
+    this.track = new TrackPath();
+    this.random = new SeededRandom(); // GameInit asigna el flujo de la carretera del servicio de semillas
+    this.trackSource = new EndlessTrackSource();
+    this.pendingPieces = []; // Piezas ya decididas a la espera de añadirse al trazado (con su altura sobre el suelo)
+    this.currentStretch = null; // Tramo del trazado en el que está el jugador
+    this.currentLap = 0;
+    
+    // Pilares bajo los tramos elevados
+    this.supportConfig = {
+      minPillarHeight: 0.2, // Altura mínima bajo la calzada para poner pilares (unidades del modelo)
+      pillarOffsets: [-0.3, 0.3] // Posición lateral de los pilares respecto al ancho de la carretera
+    };
+    
+    // Cruces: la carretera transversal sale de la pieza por los lados que indica su "branches" en el
+    // catálogo (eje Z del modelo) y se prolonga con rectas hasta el borde del paisaje
+    this.junctionConfig = {
+      branchPieces: 3 // Rectas de la carretera transversal a cada lado del cruce
+    };
+    
+    // Carril adicional: las piezas con "extraLane" en el catálogo ensanchan la calzada a la izquierda de su
+    // línea central. Recorridas al revés quedan a la derecha y añaden un carril al sentido de avance, que sigue
+    // a través de un cruce en T por la derecha (la entrada o la salida de una vía de servicio). En la
+    // bifurcación recorrida al revés la franja es la segunda carretera, que se une a la principal y cierra el carril
+    this.extraLaneConfig = {
+      offset: 0.62, // Posición lateral del centro del carril adicional respecto al ancho de la carretera
+      width: 0.31 // Ancho de la franja añadida (unidades del modelo)
+    };
+    this.laneSections = []; // Tramos del trazado con carril adicional: { startDistance, endDistance, junction }
+    
+    // Tramos reutilizables: los que quedan atrás se ocultan y se recolocan por delante.
+    // Se conservan tantos ocultos como tramos visibles para que un reinicio no cree ninguno nuevo.
+    // Todos los tramos (y los pilares de los tramos elevados) se dibujan juntos con un InstancedMesh por sub-malla
+    this.pool = new ObjectPool(scene, { maxIdlePerType: this.visibleSegments, maxInstances: this.visibleSegments * 5, instanced: true });
+    this.roadWidth = 1; // Ancho base total de la carretera
+    
+    // Distribución de carriles: número de carriles y sentido de cada uno (de izquierda a derecha).
+    // Todo lo que depende de los carriles (posiciones, límites del jugador, tráfico) se deriva de ella
+    this.roadLayouts = roadLayouts;
+    this.layoutName = 'highway';
+    this.applyLayout(this.layoutName);
+    this.surfaceHeight = 0.2; // Altura a la que se apoyan los vehículos y objetos sobre la calzada, en cualquier punto del trazado
+    this.playerZPosition = 0; // Posición del jugador en el trazado (Z negativo = distancia recorrida)
+    
+    // Factor de escala para los modelos de carretera (X = ancho, Z = largo de cada pieza)
     this.scaleFactor = {
       x: 20,
       y: 20, 
@@ -28,50 +101,64 @@ export default class RoadManager {
   }
 
   async init() {
-    // Cargar el modelo de la carretera
-    await this.loadRoadModel();
+    // Cargar los modelos de las piezas de carretera
+    await this.loadRoadModels();
     // Inicializar los segmentos iniciales
     this.createInitialRoad();
   }
 
-  async loadRoadModel() {
-    return new Promise((resolve) => {
-      const loader = new GLTFLoader();
-      loader.load('/models/roads/road-straight.glb', (gltf) => {
-        this.roadModel = gltf.scene;
+  async loadRoadModels() {
+    const loader = new GLTFLoader();
+    
+    // Las piezas con "barrier" llevan superpuesto el modelo de sus guardarraíles
+    const models = {
+      ...Object.fromEntries(Object.entries(this.roadPieces).map(([type, definition]) => [type, definition.model])),
+      ...Object.fromEntries(Object.entries(this.roadPieces)
+        .filter(([, definition]) => definition.barrier)
+        .map(([type, definition]) => [`${type}-barrier`, definition.barrier])),
+      ...SUPPORT_MODELS
+    };
+    
+    const loadPromises = Object.entries(models).map(([type, file]) => this.loadPieceModel(loader, type, file));
+    
+    await Promise.all(loadPromises);
+    
+    this.roadModel = this.pieceModels.straight;
+    this.updateSegmentLength();
+    console.log("Longitud real del segmento:", this.actualSegmentLength);
+  }
+
+  // Carga un modelo de public/models/roads y lo registra en el pool con su tipo de pieza
+  loadPieceModel(loader, type, file) {
+    return new Promise((resolve, reject) => {
+      loader.load(`/models/roads/${file}`, (gltf) => {
+        const model = gltf.scene;
         
-        // Configurar el modelo para que reciba sombras
-        this.roadModel.traverse((child) => {
+        // Configurar el modelo para que reciba sombras (los pilares también las proyectan)
+        model.traverse((child) => {
           if (child.isMesh) {
             child.receiveShadow = true;
+            child.castShadow = type in SUPPORT_MODELS;
           }
         });
         
-        // Rotar 90 grados alrededor del eje Y
-        this.roadModel.rotation.y = Math.PI / 2;
-        
-        // Aplicar la escala configurada
-        this.roadModel.scale.set(
-          this.scaleFactor.x,
-          this.scaleFactor.y,
-          this.scaleFactor.z
-        );
-        
-        // Calcular la longitud real del segmento después de aplicar la escala
-        // Usamos una caja auxiliar para obtener las dimensiones exactas
-        const boundingBox = new THREE.Box3().setFromObject(this.roadModel);
-        const size = new THREE.Vector3();
-        boundingBox.getSize(size);
-        
-        // La longitud del segmento es la dimensión X (después de rotar 90 grados)
-        this.actualSegmentLength = size.x;
-        console.log("Longitud real del segmento:", this.actualSegmentLength);
-        
+        this.pieceModels[type] = model;
+        this.pool.register(type, model);
         resolve();
-      });
+      }, undefined, () => reject(new TrackFormatError(`no se encuentra el modelo ${file} en /models/roads`)));
     });
   }
 
+  // Escala de las piezas en su espacio local: el modelo avanza en su eje X y su ancho es el eje Z
+  getPieceScale() {
+    return new THREE.Vector3(this.scaleFactor.z, this.scaleFactor.y, this.scaleFactor.x);
+  }
+
+  // Longitud de una recta, unidad de medida de las distancias de generación
+  updateSegmentLength() {
+    this.actualSegmentLength = this.scaleFactor.z;
+  }
+
   createInitialRoad() {
     // Crear segmentos iniciales de la carretera
     if (this.actualSegmentLength === 0) {
@@ -79,141 +166,557 @@ export default class RoadManager {
       return;
     }
     
-    // Distribuir los segmentos equitativamente delante y detrás del jugador
-    // Usamos Math.floor para asegurarnos de tener más segmentos por delante que por detrás
+    // Distribuir los segmentos con más por delante que por detrás del jugador
     const segmentsForward = Math.floor(this.visibleSegments * 0.7); // 70% hacia adelante (delante del jugador)
     const segmentsBackward = this.visibleSegments - segmentsForward; // 30% hacia atrás (detrás del jugador)
     
     console.log(`Creando carretera inicial: ${segmentsForward} segmentos hacia adelante, ${segmentsBackward} segmentos hacia atrás`);
     
-    // Crear segmentos hacia adelante (valores negativos de Z, el jugador avanza en Z negativo)
-    for (let i = 0; i < segmentsForward; i++) {
-      this.addRoadSegment(-i * this.actualSegmentLength);
-    }
+    // El trazado empieza por detrás del jugador y en línea recta hacia -Z, de modo que la distancia 0
+    // (la salida) queda en el origen del mundo
+    const startDistance = -segmentsBackward * this.actualSegmentLength;
+    this.track.reset(new THREE.Vector3(0, 0, -startDistance), 0, startDistance);
+    this.trackSource.reset();
+    this.pendingPieces = [];
+    this.laneSections = [];
+    this.currentStretch = null;
+    this.currentLap = 0;
+    this.dispatchEvent({ type: 'trackreset' });
     
-    // Crear segmentos hacia atrás (valores positivos de Z, detrás del jugador)
-    for (let i = 1; i <= segmentsBackward; i++) {
-      this.addRoadSegment(i * this.actualSegmentLength);
+    // Tramo recto detrás de la salida; pertenece al primer tramo del trazado para que su configuración
+    // rija desde el principio
+    const startStretch = this.trackSource.getStartStretch();
+    for (let i = 0; i < segmentsBackward; i++) {
+      this.pendingPieces.push({ type: 'straight', reversed: false, height: 0, stretch: startStretch });
     }
+    
+    this.updateRoadSegments();
+    this.updateStretch();
   }
 
-  addRoadSegment(zPosition) {
+  // Añade la siguiente pieza al final del trazado y la coloca en la escena
+  addRoadSegment() {
     if (!this.roadModel) return;
     
-    // Clonar el modelo para cada segmento
-    const segment = this.roadModel.clone();
+    if (this.pendingPieces.length === 0) {
+      this.pendingPieces.push(...this.trackSource.nextPieces(this));
+    }
+    
+    const { type, reversed, height, scale, props = [], stretch = null, lap = 0 } = this.pendingPieces.shift();
+    const pieceScale = this.getPieceScale();
+    if (scale) {
+      pieceScale.multiply(new THREE.Vector3(scale.z, scale.y, scale.x));
+    }
+    const piece = this.track.append(type, this.roadPieces[type], pieceScale, reversed);
+    piece.stretch = stretch;
+    piece.lap = lap;
+    piece.props = props; // Obstáculos y paisaje colocados a mano sobre la pieza
+    piece.branches = this.getBranchSides(piece); // Lados del trazado por los que sale una carretera transversal
+    piece.extraLane = this.getPieceExtraLane(piece); // Carril adicional de la pieza (null si no tiene)
+    this.updateLaneSections(piece);
     
-    // Colocarlo en la posición Z apropiada
-    segment.position.z = zPosition;
+    // Reutilizar un tramo oculto o crear uno nuevo (ya añadido a la escena)
+    const segment = this.pool.acquire(type);
+    if (segment) {
+      segment.position.copy(piece.position);
+      segment.rotation.set(0, piece.yaw, 0);
+      segment.scale.copy(piece.scale);
+    }
     
-    // Añadir el segmento a la escena y al array de segmentos
-    this.scene.add(segment);
-    this.roadSegments.push({
+    // Añadir el segmento al array de segmentos
+    const roadSegment = {
       model: segment,
-      position: zPosition
-    });
+      piece: piece,
+      height: height, // Altura de la calzada sobre el suelo (unidades del modelo)
+      supports: this.addSupports(piece, height),
+      branches: this.addBranches(piece),
+      barrier: this.addBarrier(piece)
+    };
+    this.roadSegments.push(roadSegment);
+    
+    // El paisaje de cada tramo se crea y se recicla con él
+    this.dispatchEvent({ type: 'segmentadd', segment: roadSegment });
     
     return segment;
   }
 
+  // Pilares bajo una pieza elevada: van del suelo a la calzada en el centro de la pieza.
+  // height es la altura de la calzada sobre el suelo en ese punto (unidades del modelo)
+  addSupports(piece, height) {
+    const config = this.supportConfig;
+    if (height < config.minPillarHeight || this.roadPieces[piece.type].selfSupporting) return [];
+    
+    const pose = this.track.getPose((piece.startDistance + piece.endDistance) / 2, _pose);
+    const scaledHeight = height * this.scaleFactor.y;
+    const scaledRoadWidth = this.roadWidth * this.scaleFactor.x;
+    
+    // Los pilares bajo la calzada a plena altura son los anchos
+    const type = height >= SUPPORT_MODEL_HEIGHT ? 'bridge-pillar-wide' : 'bridge-pillar';
+    const supports = [];
+    
+    for (const offset of config.pillarOffsets) {
+      const pillar = this.pool.acquire(type);
+      if (!pillar) continue;
+      
+      // Desplazamiento lateral en horizontal: los pilares quedan verticales aunque la pieza sea una rampa
+      const lateral = offset * scaledRoadWidth;
+      pillar.position.set(
+        pose.position.x + Math.cos(pose.heading) * lateral,
+        pose.position.y - scaledHeight,
+        pose.position.z - Math.sin(pose.heading) * lateral
+      );
+      pillar.rotation.set(0, pose.heading, 0);
+      pillar.scale.set(this.scaleFactor.x, scaledHeight / SUPPORT_MODEL_HEIGHT, this.scaleFactor.x);
+      supports.push(pillar);
+    }
+    
+    return supports;
+  }
+
+  // Lados del trazado (1 = derecha, -1 = izquierda) por los que sale la carretera transversal de un cruce.
+  // El eje Z del modelo apunta a la derecha del trazado salvo cuando la pieza se recorre al revés
+  getBranchSides(piece) {
+    const branches = this.roadPieces[piece.type].branches ?? [];
+    return branches.map(side => piece.reversed ? -side : side);
+  }
+
+  // Carretera transversal de un cruce: rectas giradas un cuarto de vuelta a los lados de la pieza
+  addBranches(piece) {
+    if (piece.branches.length === 0) return [];
+    
+    const pose = this.track.getPose((piece.startDistance + piece.endDistance) / 2, _pose);
+    const tileSize = this.scaleFactor.x;
+    const branches = [];
+    
+    for (const side of piece.branches) {
+      for (let i = 1; i <= this.junctionConfig.branchPieces; i++) {
+        const branch = this.pool.acquire('straight');
+        if (!branch) continue;
+        
+        const lateral = side * i * tileSize;
+        branch.position.set(
+          pose.position.x + Math.cos(pose.heading) * lateral,
+          pose.position.y,
+          pose.position.z - Math.sin(pose.heading) * lateral
+        );
+        branch.rotation.set(0, pose.heading, 0);
+        branch.scale.set(tileSize, piece.scale.y, piece.scale.x); // El ancho de la transversal es el largo del cruce
+        branches.push(branch);
+      }
+    }
+    
+    return branches;
+  }
+
+  // Guardarraíles propios de la pieza: se superponen con su misma transformación
+  addBarrier(piece) {
+    if (!this.roadPieces[piece.type].barrier) return null;
+    
+    const barrier = this.pool.acquire(`${piece.type}-barrier`);
+    if (barrier) {
+      barrier.position.copy(piece.position);
+      barrier.rotation.set(0, piece.yaw, 0);
+      barrier.scale.copy(piece.scale);
+    }
+    return barrier;
+  }
+
+  // Carril adicional de una pieza en el sentido del trazado: lado en el que queda, si existe al entrar y al
+  // salir de la pieza, distancia del estrechamiento en el que aparece o termina ("taper", fracción del largo
+  // de la pieza desde el principio de su línea central) y ancho de la franja donde es mayor (unidades del modelo)
+  getPieceExtraLane(piece) {
+    const extraLane = this.roadPieces[piece.type].extraLane;
+    if (!extraLane) return null;
+    
+    const taper = extraLane.taper ?? 0.5;
+    return {
+      side: piece.reversed ? 1 : -1,
+      from: Boolean(piece.reversed ? extraLane.to : extraLane.from),
+      to: Boolean(piece.reversed ? extraLane.from : extraLane.to),
+      taperDistance: piece.startDistance + (piece.reversed ? 1 - taper : taper) * piece.length,
+      width: extraLane.width ?? this.extraLaneConfig.width
+    };
+  }
+
+  // Un cruce en T que sale por la derecha: conecta el carril adicional con su vía de servicio
+  isRampJunction(piece) {
+    return piece.branches.length === 1 && piece.branches[0] === 1;
+  }
+
+  // Lleva la cuenta de los tramos con carril adicional a la derecha según se añaden piezas. El carril de la
+  // izquierda sería del sentido contrario: solo se dibuja
+  updateLaneSections(piece) {
+    const last = this.laneSections[this.laneSections.length - 1];
+    const open = last && last.endDistance === Infinity ? last : null;
+    const extraLane = piece.extraLane && piece.extraLane.side === 1 ? piece.extraLane : null;
+    
+    if (!extraLane) {
+      if (!open) return;
+      
+      // El carril sigue a través del primer cruce en T por la derecha; cualquier otra pieza lo termina
+      if (!open.junction && this.isRampJunction(piece)) {
+        open.junction = piece;
+      } else {
+        open.endDistance = piece.startDistance;
+      }
+      return;
+    }
+    
+    if (!open) {
+      // El carril aparece en el estrechamiento de la pieza o, si ya viene entero, en el cruce en T anterior
+      // (una entrada desde la vía de servicio)
+      const previous = this.track.pieces[this.track.pieces.length - 2];
+      const junction = extraLane.from && previous && this.isRampJunction(previous) ? previous : null;
+      let startDistance = extraLane.from ? piece.startDistance : extraLane.taperDistance;
+      if (junction) {
+        startDistance = junction.startDistance;
+      }
+      this.laneSections.push({ startDistance: startDistance, endDistance: Infinity, junction: junction });
+    }
+    
+    if (!extraLane.to) {
+      this.laneSections[this.laneSections.length - 1].endDistance = extraLane.taperDistance;
+    }
+  }
+
+  // Devuelve al pool el tramo, sus pilares, su carretera transversal y sus guardarraíles
+  releaseSegment(segment) {
+    this.dispatchEvent({ type: 'segmentremove', segment: segment });
+    
+    if (segment.model) {
+      this.pool.release(segment.model);
+    }
+    if (segment.barrier) {
+      this.pool.release(segment.barrier);
+    }
+    for (const pillar of segment.supports) {
+      this.pool.release(pillar);
+    }
+    for (const branch of segment.branches) {
+      this.pool.release(branch);
+    }
+  }
+  
+  // Cruces del trazado actual entre dos distancias, en orden
+  getJunctions(fromDistance = -Infinity, toDistance = Infinity) {
+    return this.track.pieces.filter(piece =>
+      piece.branches.length > 0 && piece.endDistance >= fromDistance && piece.startDistance <= toDistance);
+  }
+  
+  // Tramos con carril adicional entre dos distancias, en orden
+  getLaneSections(fromDistance = -Infinity, toDistance = Infinity) {
+    return this.laneSections.filter(section =>
+      section.endDistance >= fromDistance && section.startDistance <= toDistance);
+  }
+  
+  // Tramo con carril adicional que pasa por una distancia del trazado (null si ahí no hay)
+  getLaneSection(distance) {
+    return this.laneSections.find(section =>
+      distance >= section.startDistance && distance < section.endDistance) ?? null;
+  }
+
   update() {
     // Ya no necesitamos avanzar la carretera
     // Las actualizaciones ahora se basan en la posición del jugador
     this.updateRoadSegments();
+    this.updateStretch();
+  }
+
+  // Avisa cuando el jugador entra en otro tramo del trazado (o en otra vuelta de un circuito)
+  updateStretch() {
+    const piece = this.track.findPiece(this.getPlayerDistance());
+    const stretch = piece ? piece.stretch : null;
+    const lap = piece ? piece.lap : 0;
+    if (stretch === this.currentStretch && lap === this.currentLap) return;
+    
+    this.currentStretch = stretch;
+    this.currentLap = lap;
+    if (stretch) {
+      this.dispatchEvent({ type: 'stretchchange', stretch: stretch, lap: lap });
+    }
+  }
+
+  // Tramo del trazado a una distancia (null en el trazado sin fin)
+  getStretchAt(distance) {
+    const piece = this.track.findPiece(distance);
+    return piece ? piece.stretch : null;
+  }
+
+  // Trazados disponibles: el sin fin y los incluidos con el juego
+  getTrackNames() {
+    const names = { endless: new EndlessTrackSource().title };
+    for (const [name, track] of Object.entries(TRACKS)) {
+      names[name] = track.name;
+    }
+    return names;
+  }
+
+  // Clave del trazado actual entre los disponibles, o null si se cargó de un archivo o del editor
+  getTrackName() {
+    if (this.trackSource instanceof EndlessTrackSource) return 'endless';
+    return Object.keys(TRACKS).find(name => TRACKS[name] === this.trackSource.data) ?? null;
+  }
+
+  // Elige uno de los trazados disponibles por su clave
+  async selectTrack(name) {
+    if (name === 'endless') {
+      this.setTrackSource(new EndlessTrackSource());
+      return;
+    }
+    if (!TRACKS[name]) {
+      throw new TrackFormatError(`trazado desconocido ${JSON.stringify(name)}; disponibles: ${Object.keys(this.getTrackNames()).join(', ')}`);
+    }
+    await this.loadTrack(TRACKS[name]);
+  }
+
+  // Carga un trazado creado a mano: un objeto ya leído del JSON o la URL de un archivo. Valida el
+  // formato, carga los modelos que falten y lo convierte en la fuente del trazado.
+  // Lanza TrackFormatError si el archivo no es válido
+  async loadTrack(input) {
+    const data = typeof input === 'string' ? await fetchTrack(input) : input;
+    const track = parseTrack(data);
+    
+    const loader = new GLTFLoader();
+    const loads = new Map();
+    for (const stretch of track.stretches) {
+      for (const piece of stretch.pieces) {
+        if (!piece.custom || this.roadPieces[piece.type] || loads.has(piece.type)) continue;
+        
+        loads.set(piece.type, this.loadPieceModel(loader, piece.type, piece.model).then(() => {
+          this.roadPieces[piece.type] = {
+            name: piece.type,
+            model: piece.model,
+            centerline: createModelCenterline(this.pieceModels[piece.type])
+          };
+        }));
+      }
+    }
+    await Promise.all(loads.values());
+    
+    this.setTrackSource(new AuthoredTrackSource(track, data));
+    return track;
+  }
+
+  // Cambia la fuente del trazado. La carretera se regenera al reiniciar la partida: GameInit escucha
+  // 'tracksourcechange' y reinicia todos los gestores
+  setTrackSource(source) {
+    this.trackSource = source;
+    this.dispatchEvent({ type: 'tracksourcechange', source: source });
   }
 
   updateRoadSegments() {
     if (this.actualSegmentLength === 0) return;
     
-    // Calcular el índice del segmento actual basado en la posición del jugador
-    const currentSegmentIndex = Math.floor(this.playerZPosition / this.actualSegmentLength);
-    
     // Distribuir los segmentos visibles con más segmentos por delante (70% adelante, 30% atrás)
     const segmentsForward = Math.floor(this.visibleSegments * 0.7);
     const segmentsBackward = this.visibleSegments - segmentsForward;
     
-    // Calcular las posiciones Z objetivo más alejadas para los segmentos delante y detrás
-    const targetForwardZ = this.playerZPosition - (segmentsForward * this.actualSegmentLength);
-    const targetBackwardZ = this.playerZPosition + (segmentsBackward * this.actualSegmentLength);
-    
-    // Eliminar segmentos que están demasiado atrás (detrás del jugador)
-    while (this.roadSegments.length > 0 && 
-           this.roadSegments[0].position > targetBackwardZ) {
-      const oldSegment = this.roadSegments.shift();
-      this.scene.remove(oldSegment.model);
-    }
+    // Distancias del trazado que deben estar cubiertas por delante y por detrás del jugador
+    const playerDistance = this.getPlayerDistance();
+    const targetForwardDistance = playerDistance + segmentsForward * this.actualSegmentLength;
+    const targetBackwardDistance = playerDistance - segmentsBackward * this.actualSegmentLength;
     
-    // Eliminar segmentos que están demasiado adelante (muy por delante del jugador)
-    while (this.roadSegments.length > 0 && 
-           this.roadSegments[this.roadSegments.length-1].position < targetForwardZ) {
-      const oldSegment = this.roadSegments.pop();
-      this.scene.remove(oldSegment.model);
+    // Eliminar segmentos que han quedado demasiado atrás
+    const removedPieces = this.track.removePiecesBefore(targetBackwardDistance);
+    for (let i = 0; i < removedPieces.length; i++) {
+      this.releaseSegment(this.roadSegments.shift());
     }
-    
-    // Ordenar los segmentos por posición Z (de mayor a menor)
-    this.roadSegments.sort((a, b) => b.position - a.position);
-    
-    // Añadir nuevos segmentos por delante (Z negativo, dirección de avance)
-    if (this.roadSegments.length > 0) {
-      let frontmostZ = this.roadSegments[this.roadSegments.length - 1].position;
-      while (frontmostZ > targetForwardZ) {
-        frontmostZ -= this.actualSegmentLength;
-        this.addRoadSegment(frontmostZ);
-      }
-    } else {
-      // Si no hay segmentos, crear desde la posición del jugador
-      let frontmostZ = this.playerZPosition;
-      for (let i = 0; i < segmentsForward; i++) {
-        frontmostZ -= this.actualSegmentLength;
-        this.addRoadSegment(frontmostZ);
-      }
+    if (removedPieces.length > 0) {
+      this.laneSections = this.getLaneSections(targetBackwardDistance);
     }
     
-    // Añadir nuevos segmentos por detrás (Z positivo, detrás del jugador)
-    if (this.roadSegments.length > 0) {
-      let backmostZ = this.roadSegments[0].position;
-      while (backmostZ < targetBackwardZ) {
-        backmostZ += this.actualSegmentLength;
-        this.addRoadSegment(backmostZ);
-      }
-    } else {
-      // Si no hay segmentos, crear desde la posición del jugador
-      let backmostZ = this.playerZPosition;
-      for (let i = 0; i < segmentsBackward; i++) {
-        backmostZ += this.actualSegmentLength;
-        this.addRoadSegment(backmostZ);
-      }
+    // Añadir nuevos segmentos por delante
+    while (this.track.endDistance < targetForwardDistance) {
+      this.addRoadSegment();
     }
   }
 
-  // Actualiza la posición Z del jugador (usado por PlayerController)
+  // Actualiza la posición Z del jugador en el trazado (usado por PlayerController)
   setPlayerZPosition(zPosition) {
     this.playerZPosition = zPosition;
   }
 
   getPlayerZPosition() {
-    // Retorna la posición Z actual del jugador en el mundo
+    // Retorna la posición Z actual del jugador en el trazado
     return this.playerZPosition;
   }
 
-  getLanePosition(laneIndex) {
+  // Distancia recorrida por el jugador a lo largo del trazado
+  getPlayerDistance() {
+    return -this.playerZPosition;
+  }
+
+  // Posición y orientación de la línea central a una distancia del inicio del trazado
+  getTrackPose(distance, target = createTrackPose()) {
+    return this.track.getPose(distance, target);
+  }
+
+  // Línea central de la carretera generada (una curva continua de principio a fin)
+  getCenterline() {
+    return this.track.getCenterline();
+  }
+
+  // Convierte una posición del trazado en una posición del mundo. En el trazado, X es el desplazamiento
+  // lateral desde la línea central, Y la altura sobre ella y Z la distancia recorrida en negativo
+  trackToWorld(trackPosition, target = new THREE.Vector3()) {
+    const pose = this.track.getPose(-trackPosition.z, _pose);
+    _offset.set(trackPosition.x, trackPosition.y, 0).applyQuaternion(pose.quaternion);
+    return target.copy(pose.position).add(_offset);
+  }
+
+  // Coloca un objeto en el mundo a partir de su posición en el trazado y su giro respecto a la carretera
+  placeOnTrack(object, trackPosition, localRotation = null) {
+    const pose = this.track.getPose(-trackPosition.z, _pose);
+    _offset.set(trackPosition.x, trackPosition.y, 0).applyQuaternion(pose.quaternion);
+    object.position.copy(pose.position).add(_offset);
+    object.quaternion.copy(pose.quaternion);
+    if (localRotation) {
+      object.quaternion.multiply(_localQuaternion.setFromEuler(localRotation));
+    }
+  }
+
+  // Posición en el mundo del centro de un carril a una distancia del trazado (por defecto, la del
+  // jugador) y dirección de la carretera en ese punto
+  getLanePosition(laneIndex, distance = this.getPlayerDistance()) {
+    const pose = this.track.getPose(distance);
+    _offset.set(this.getLaneOffset(laneIndex), 0, 0).applyQuaternion(pose.quaternion);
+    return {
+      position: pose.position.add(_offset),
+      heading: pose.heading
+    };
+  }
+
+  // Desplazamiento lateral del centro de un carril respecto a la línea central
+  getLaneOffset(laneIndex) {
     // Calcula el ancho real de la carretera considerando la escala
     const scaledRoadWidth = this.roadWidth * this.scaleFactor.x;
     
+    // El carril adicional va sobre la franja que añaden sus piezas, fuera del ancho base
+    if (laneIndex >= this.laneCount) {
+      return this.extraLaneConfig.offset * scaledRoadWidth;
+    }
+    
     // Usamos solo el 80% central para los carriles
     const usableRoadWidth = scaledRoadWidth * this.laneAreaPercentage;
-    const scaledLaneWidth = usableRoadWidth / 4;
+    const scaledLaneWidth = usableRoadWidth / this.laneCount;
     
     // Calculamos el margen disponible a cada lado (10% del ancho total)
     const sideMargin = (scaledRoadWidth - usableRoadWidth) / 2;
     
-    // Convierte un índice de carril (0-3) a una posición X en el mundo
-    // Carril 0 es el de la izquierda, carril 3 es el de la derecha
-    // Centramos los carriles en el eje X, considerando el margen
+    // Convierte un índice de carril (0 a laneCount - 1) a un desplazamiento lateral
+    // Carril 0 es el de la izquierda, el último es el de la derecha
+    // Centramos los carriles en la línea central, considerando el margen
     const laneStartX = -scaledRoadWidth / 2 + sideMargin;
     return laneStartX + scaledLaneWidth * (laneIndex + 0.5);
   }
 
+  getLaneCount() {
+    return this.laneCount;
+  }
+
+  // Carriles disponibles a una distancia del trazado (por defecto, la del jugador): los de la distribución
+  // y el adicional en los tramos que lo tienen
+  getLaneCountAt(distance = this.getPlayerDistance()) {
+    return this.laneCount + (this.getLaneSection(distance) ? 1 : 0);
+  }
+
+  // Índice del carril adicional: el siguiente al último carril de la distribución, a la derecha
+  getExtraLane() {
+    return this.laneCount;
+  }
+
+  // Borde de la calzada de una pieza a un lado (1 = derecha, -1 = izquierda), contando la franja del
+  // carril adicional donde la haya
+  getRoadEdge(piece, side) {
+    const edge = this.getRoadWidth() / 2;
+    if (!piece.extraLane || piece.extraLane.side !== side) return edge;
+    return edge + piece.extraLane.width * this.scaleFactor.x;
+  }
+
+  getLayoutNames() {
+    return Object.keys(this.roadLayouts);
+  }
+
+  applyLayout(layoutName) {
+    const layout = this.roadLayouts[layoutName];
+    this.layoutName = layoutName;
+    this.laneDirections = [...layout.lanes];
+    this.laneCount = this.laneDirections.length;
+    this.laneWidth = this.roadWidth / this.laneCount; // Ancho base de cada carril
+    this.startLane = Math.min(layout.startLane ?? 0, this.laneCount - 1);
+  }
+
+  // Cambia la distribución de carriles en caliente; los gestores que dependen de ella escuchan 'layoutchange'
+  setLayout(layoutName) {
+    if (!this.roadLayouts[layoutName] || layoutName === this.layoutName) return;
+
+    this.applyLayout(layoutName);
+    this.dispatchEvent({ type: 'layoutchange', layout: layoutName, laneCount: this.laneCount });
+  }
+
+  // Sentido de circulación de un carril: 'incoming' (hacia el jugador) u 'outgoing' (como el jugador).
+  // El carril adicional es del sentido de avance
+  getLaneDirection(laneIndex) {
+    return this.laneDirections[laneIndex] ?? 'outgoing';
+  }
+
+  getLanesByDirection(direction) {
+    const lanes = [];
+    this.laneDirections.forEach((laneDirection, index) => {
+      if (laneDirection === direction) lanes.push(index);
+    });
+    return lanes;
+  }
+
+  // Carril en el que empieza el jugador
+  getStartLane() {
+    return this.startLane;
+  }
+
+  // Ancho real de la carretera en unidades de mundo
+  getRoadWidth() {
+    return this.roadWidth * this.scaleFactor.x;
+  }
+
+  // Ancho real de un carril en unidades de mundo
+  getLaneWidth() {
+    const scaledRoadWidth = this.roadWidth * this.scaleFactor.x;
+    return (scaledRoadWidth * this.laneAreaPercentage) / this.laneCount;
+  }
+
+  getSurfaceHeight() {
+    return this.surfaceHeight;
+  }
+
+  getPoolStats() {
+    return this.pool.getStats();
+  }
+
+  // Vuelca la posición de los tramos en los lotes de dibujo; se llama justo antes de renderizar
+  updateRendering() {
+    this.pool.update();
+  }
+
+  // Origen flotante: desplaza el trazado, los tramos y sus pilares
+  rebase(offset) {
+    this.track.translate(offset);
+    
+    for (const segment of this.roadSegments) {
+      if (segment.model) {
+        segment.model.position.add(offset);
+      }
+      if (segment.barrier) {
+        segment.barrier.position.add(offset);
+      }
+      for (const pillar of segment.supports) {
+        pillar.position.add(offset);
+      }
+      for (const branch of segment.branches) {
+        branch.position.add(offset);
+      }
+    }
+  }
+
   // Método para actualizar la escala de los modelos de carretera
   updateScale(axis, value) {
     if (!this.roadModel) return;
@@ -221,38 +724,28 @@ export default class RoadManager {
     // Actualizar el factor de escala
     this.scaleFactor[axis] = value;
     
-    // Actualizar el modelo de referencia
-    this.roadModel.scale[axis] = value;
-    
     // Recalcular la longitud real del segmento después de cambiar la escala
-    if (axis === 'x' || axis === 'z') {
-      const boundingBox = new THREE.Box3().setFromObject(this.roadModel);
-      const size = new THREE.Vector3();
-      boundingBox.getSize(size);
-      this.actualSegmentLength = size.x; // La longitud es la dimensión X después de rotar
+    if (axis === 'z') {
+      this.updateSegmentLength();
       console.log("Nueva longitud del segmento:", this.actualSegmentLength);
     }
     
-    // Actualizar todos los segmentos existentes
-    for (const segment of this.roadSegments) {
-      segment.model.scale[axis] = value;
-    }
-    
-    // Siempre reiniciar la carretera cuando se cambia la escala para evitar huecos
+    // Siempre regenerar la carretera cuando se cambia la escala: las piezas cambian de tamaño
+    // y el trazado tiene que volver a encadenarlas
     this.reset();
   }
 
   reset() {
-    // Eliminar todos los segmentos existentes
+    // Devolver todos los segmentos al pool (se reutilizan al recrear la carretera)
     for (const segment of this.roadSegments) {
-      this.scene.remove(segment.model);
+      this.releaseSegment(segment);
     }
     this.roadSegments = [];
     
     // Reiniciar posición
     this.playerZPosition = 0;
     
-    // Recrear la carretera inicial
+    // Recrear la carretera inicial (con la misma semilla, el mismo trazado)
     this.createInitialRoad();
   }
 }
\ No newline at end of file
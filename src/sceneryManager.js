@@ -0,0 +1,488 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { ObjectPool } from './objectPool.js';
+import { SeededRandom } from './seededRandom.js';
+
+// Modelos del paisaje (todos del paquete de carreteras, a la misma escala que los tramos)
+export const SCENERY_MODELS = {
+  'light-curved': 'light-curved.glb',
+  'light-curved-double': 'light-curved-double.glb',
+  'light-square': 'light-square.glb',
+  'light-square-double': 'light-square-double.glb',
+  'sign-highway': 'sign-highway.glb',
+  'sign-highway-wide': 'sign-highway-wide.glb',
+  'sign-highway-detailed': 'sign-highway-detailed.glb',
+  'road-straight-barrier': 'road-straight-barrier.glb',
+  'road-straight-barrier-end': 'road-straight-barrier-end.glb',
+  'tile-low': 'tile-low.glb',
+  'tile-high': 'tile-high.glb'
+};
+
+// Farolas: peso de aparición y posición de la lámpara en el espacio del modelo (el brazo apunta a -Z)
+const LAMP_MODELS = {
+  'light-curved': { weight: 3, head: [0, 0.64, -0.18] },
+  'light-curved-double': { weight: 1, head: [0, 0.64, -0.18] },
+  'light-square': { weight: 2, head: [0, 0.57, -0.19] },
+  'light-square-double': { weight: 1, head: [0, 0.57, -0.19] }
+};
+
+// Pórticos de señalización: el panel mira hacia -X y ocupa todo el ancho en Z
+const SIGN_MODELS = ['sign-highway', 'sign-highway-wide', 'sign-highway-detailed'];
+const SIGN_BOARD = { position: [-0.045, 0.59, 0], width: 0.78, height: 0.2 };
+
+// Destinos ficticios que anuncian los carteles
+const DESTINATIONS = [
+  'Valdemora', 'Puerto Alto', 'San Telmo', 'Robledal', 'Villanueva del Río', 'Cabo Norte',
+  'Peñasca', 'Los Almendros', 'Santa Irene', 'Montefrío', 'Arenales', 'La Ribera'
+];
+
+// Paisaje completo (el del trazado sin fin y el de los tramos que no indican otro)
+const DEFAULT_SCENERY = { terrain: true, barriers: true, lamps: true, signs: true };
+
+// Paisaje a los lados de la carretera: farolas, carteles con distancias, guardarraíles y terreno.
+// Cada elemento pertenece a un tramo de RoadManager: se crea cuando se añade el tramo y vuelve al pool
+// cuando el tramo se recicla, de modo que el paisaje siempre acompaña a la carretera visible
+export default class SceneryManager {
+  constructor(scene, roadManager) {
+    this.scene = scene;
+    this.roadManager = roadManager;
+    this.random = new SeededRandom(); // GameInit asigna el flujo del paisaje del servicio de semillas
+    this.loaded = false;
+
+    // Todos los elementos se dibujan por lotes con un InstancedMesh por modelo
+    this.pool = new ObjectPool(scene, { maxIdlePerType: 60, maxInstances: 900, instanced: true });
+
+    // Elementos de cada tramo y farolas activas (para las luces reales)
+    this.segmentItems = new Map();
+    this.lamps = [];
+
+    this.config = {
+      terrainRows: 3, // Filas de terreno a cada lado de la carretera
+      terrainTiles: { 'tile-low': 4, 'tile-high': 1 }, // Pesos del terreno en las filas exteriores
+      lampSpacing: 50, // Distancia entre farolas (se alternan los lados)
+      lampStretch: 12, // Farolas seguidas del mismo modelo
+      lampMargin: 0.5, // Separación de las farolas respecto al borde de la carretera
+      signSpacing: 800, // Distancia entre pórticos de señalización
+      destinationSpacing: 2500, // Distancia entre los destinos anunciados
+      barrierChance: 0.3, // Probabilidad de empezar un guardarraíl en cada recta
+      minBarrierPieces: 3, // Rectas mínimas con guardarraíl seguido
+      maxBarrierPieces: 10, // Rectas máximas con guardarraíl seguido
+      lightPools: 'fake', // Luz de las farolas sobre la carretera: 'off', 'fake' (manchas de luz) o 'real' (focos)
+      maxRealLights: 6, // Focos reales, asignados a las farolas más cercanas por delante del jugador
+      lightPoolRadius: 0.3 // Radio de las manchas de luz (unidades del modelo)
+    };
+
+    // Estado de la generación (se reinicia con el trazado)
+    this.resetGeneration();
+
+    // Recursos compartidos de las manchas de luz y focos reales (se crean al usarlos)
+    this.lightPoolGeometry = null;
+    this.lightPoolMaterial = null;
+    this.realLights = [];
+
+    this.roadManager.addEventListener('segmentadd', (event) => this.decorateSegment(event.segment));
+    this.roadManager.addEventListener('segmentremove', (event) => this.releaseSegment(event.segment));
+    this.roadManager.addEventListener('trackreset', () => this.resetGeneration());
+
+    this.init();
+  }
+
+  async init() {
+    await this.loadSceneryModels();
+    this.loaded = true;
+
+    // Decorar los tramos que se crearon mientras se cargaban los modelos
+    for (const segment of this.roadManager.roadSegments) {
+      this.decorateSegment(segment);
+    }
+  }
+
+  async loadSceneryModels() {
+    const loader = new GLTFLoader();
+
+    const loadPromises = Object.entries(SCENERY_MODELS).map(([type, file]) => {
+      return new Promise((resolve) => {
+        loader.load(`/models/roads/${file}`, (gltf) => {
+          const model = gltf.scene;
+
+          // El terreno solo recibe sombras; farolas, carteles y guardarraíles también las proyectan
+          model.traverse((child) => {
+            if (child.isMesh) {
+              child.receiveShadow = true;
+              child.castShadow = !type.startsWith('tile-');
+            }
+          });
+
+          this.pool.register(type, model);
+          resolve();
+        });
+      });
+    });
+
+    await Promise.all(loadPromises);
+
+    console.log("Modelos de paisaje cargados:", Object.keys(SCENERY_MODELS).length);
+  }
+
+  resetGeneration() {
+    this.barrierRun = 0; // Rectas que quedan del guardarraíl actual
+    this.barrierIndex = 0; // Posición de la recta actual dentro del guardarraíl
+    this.lampStyle = null;
+    this.lampsInStyle = 0;
+    this.destinationOffset = this.random.int(0, DESTINATIONS.length - 1);
+  }
+
+  // Crea el paisaje de un tramo recién añadido a la carretera
+  decorateSegment(segment) {
+    if (!this.loaded || this.segmentItems.has(segment)) return;
+
+    // Los tramos de un trazado creado a mano pueden prescindir de parte del paisaje
+    const scenery = segment.piece.stretch ? segment.piece.stretch.scenery : DEFAULT_SCENERY;
+
+    const items = [];
+    if (scenery.terrain) this.addTerrain(segment, items);
+    if (scenery.barriers) {
+      this.addBarriers(segment, items);
+    } else {
+      this.barrierRun = 0;
+    }
+    if (scenery.lamps) this.addLamps(segment, items);
+    if (scenery.signs) this.addSigns(segment, items);
+    this.addProps(segment, items);
+    this.segmentItems.set(segment, items);
+  }
+
+  // Devuelve al pool el paisaje de un tramo que se recicla
+  releaseSegment(segment) {
+    const items = this.segmentItems.get(segment);
+    if (!items) return;
+
+    for (const item of items) {
+      this.pool.release(item);
+    }
+    this.lamps = this.lamps.filter(lamp => !items.includes(lamp.model));
+    this.segmentItems.delete(segment);
+  }
+
+  // Coloca un elemento en una posición del trazado (X lateral, Y altura, Z negativo = distancia)
+  placeItem(type, trackPosition, rotationY, items) {
+    const item = this.pool.acquire(type);
+    if (!item) return null;
+
+    const scale = this.roadManager.scaleFactor.x;
+    this.roadManager.placeOnTrack(item, trackPosition, new THREE.Euler(0, rotationY, 0));
+    item.scale.setScalar(scale);
+    items.push(item);
+    return item;
+  }
+
+  // Terreno a ambos lados del tramo, a la altura del suelo (por debajo de la calzada en los tramos elevados)
+  addTerrain(segment, items) {
+    const { piece } = segment;
+    const tileSize = this.roadManager.scaleFactor.x;
+    const groundY = -segment.height * this.roadManager.scaleFactor.y;
+    const tiles = Math.max(1, Math.round(piece.length / tileSize));
+
+    // Bajo un tramo elevado el suelo también se ve por debajo de la calzada
+    const underRoad = segment.height > 0 && !this.roadManager.roadPieces[piece.type].selfSupporting;
+
+    for (let i = 0; i < tiles; i++) {
+      const z = -(piece.startDistance + (i + 0.5) * piece.length / tiles);
+
+      if (underRoad) {
+        this.placeItem('tile-low', new THREE.Vector3(0, groundY, z), 0, items);
+      }
+
+      for (const side of [-1, 1]) {
+        // La carretera transversal de un cruce ocupa el sitio del terreno
+        if (piece.branches.includes(side)) continue;
+
+        // El terreno empieza tras la franja del carril adicional
+        const edge = this.roadManager.getRoadEdge(piece, side);
+        for (let row = 0; row < this.config.terrainRows; row++) {
+          const type = row === 0 ? 'tile-low' : this.pickWeighted(this.config.terrainTiles);
+          const x = side * (edge + tileSize * (row + 0.5));
+          this.placeItem(type, new THREE.Vector3(x, groundY, z), 0, items);
+        }
+      }
+    }
+  }
+
+  // Guardarraíles sobre las rectas: tramos seguidos que empiezan y terminan con una pieza en rampa.
+  // En los tramos elevados la barrera es obligatoria
+  addBarriers(segment, items) {
+    const { piece } = segment;
+    if (piece.type !== 'straight') {
+      this.barrierRun = 0;
+      return;
+    }
+
+    const elevated = segment.height > 0;
+    if (!elevated && this.barrierRun === 0 && this.random.chance(this.config.barrierChance)) {
+      this.barrierRun = this.random.int(this.config.minBarrierPieces, this.config.maxBarrierPieces);
+      this.barrierIndex = 0;
+    }
+    if (!elevated && this.barrierRun === 0) return;
+
+    // La pieza final baja hasta el suelo por su lado -X: al principio va tal cual y al final girada
+    let type = 'road-straight-barrier';
+    let yaw = piece.yaw;
+    if (!elevated) {
+      if (this.barrierIndex === 0) {
+        type = 'road-straight-barrier-end';
+      } else if (this.barrierRun === 1) {
+        type = 'road-straight-barrier-end';
+        yaw += Math.PI;
+      }
+      this.barrierIndex++;
+      this.barrierRun--;
+    }
+
+    // El guardarraíl se superpone a la recta con su misma transformación
+    const barrier = this.pool.acquire(type);
+    if (!barrier) return;
+    barrier.position.copy(piece.position);
+    barrier.rotation.set(0, yaw, 0);
+    barrier.scale.copy(piece.scale);
+    items.push(barrier);
+  }
+
+  // Farolas cada cierta distancia, alternando el lado, con el brazo sobre la carretera
+  addLamps(segment, items) {
+    const { piece } = segment;
+    const spacing = this.config.lampSpacing;
+
+    for (let index = Math.ceil(piece.startDistance / spacing); index * spacing < piece.endDistance; index++) {
+      if (this.lampsInStyle === 0) {
+        this.lampStyle = this.pickWeighted(Object.fromEntries(
+          Object.entries(LAMP_MODELS).map(([type, lamp]) => [type, lamp.weight])
+        ));
+        this.lampsInStyle = this.config.lampStretch;
+      }
+      this.lampsInStyle--;
+
+      const side = index % 2 === 0 ? 1 : -1;
+      if (piece.branches.includes(side)) continue; // Sin farolas en medio de la carretera transversal
+
+      const edge = this.roadManager.getRoadEdge(piece, side) + this.config.lampMargin;
+      const position = new THREE.Vector3(side * edge, 0, -index * spacing);
+      const lamp = this.placeItem(this.lampStyle, position, side * Math.PI / 2, items);
+      if (!lamp) continue;
+
+      this.setupLightPool(lamp, LAMP_MODELS[this.lampStyle]);
+      this.lamps.push({ model: lamp, distance: index * spacing, head: new THREE.Vector3(...LAMP_MODELS[this.lampStyle].head) });
+    }
+  }
+
+  // Pórticos que cruzan la carretera anunciando los próximos destinos
+  addSigns(segment, items) {
+    const { piece } = segment;
+    if (this.roadManager.roadPieces[piece.type].selfSupporting || piece.branches.length > 0) return;
+
+    const spacing = this.config.signSpacing;
+    for (let index = Math.max(1, Math.ceil(piece.startDistance / spacing)); index * spacing < piece.endDistance; index++) {
+      const distance = index * spacing;
+      const type = SIGN_MODELS[index % SIGN_MODELS.length];
+
+      // Girado un cuarto de vuelta: el panel mira al jugador y el pórtico abarca el ancho de la carretera
+      const sign = this.placeItem(type, new THREE.Vector3(0, 0, -distance), Math.PI / 2, items);
+      if (sign) {
+        this.drawSignText(sign, distance);
+      }
+    }
+  }
+
+  // Elementos colocados a mano sobre la pieza en un trazado creado a mano (los obstáculos los pone ObstacleManager)
+  addProps(segment, items) {
+    const { piece } = segment;
+    for (const prop of piece.props) {
+      if (prop.kind !== 'scenery') continue;
+
+      const distance = piece.startDistance + prop.along * piece.length;
+      const position = new THREE.Vector3(prop.x * this.roadManager.scaleFactor.x, 0, -distance);
+      const item = this.placeItem(prop.type, position, THREE.MathUtils.degToRad(prop.rotation), items);
+
+      // Las farolas iluminan igual que las generadas
+      if (item && LAMP_MODELS[prop.type]) {
+        this.setupLightPool(item, LAMP_MODELS[prop.type]);
+        this.lamps.push({ model: item, distance: distance, head: new THREE.Vector3(...LAMP_MODELS[prop.type].head) });
+      }
+    }
+  }
+
+  // Texto del cartel: los dos próximos destinos con la distancia que falta hasta ellos
+  drawSignText(sign, distance) {
+    if (!sign.userData.signText) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 512;
+      canvas.height = 132;
+      const texture = new THREE.CanvasTexture(canvas);
+      texture.colorSpace = THREE.SRGBColorSpace;
+
+      const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(SIGN_BOARD.width, SIGN_BOARD.height),
+        new THREE.MeshBasicMaterial({ map: texture })
+      );
+      mesh.position.set(...SIGN_BOARD.position);
+      mesh.rotation.y = -Math.PI / 2; // La cara del plano mira hacia -X, como el panel
+      sign.add(mesh);
+
+      sign.userData.signText = { canvas, texture };
+    }
+
+    const { canvas, texture } = sign.userData.signText;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#1f6b3a';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.strokeStyle = '#ffffff';
+    context.lineWidth = 6;
+    context.strokeRect(8, 8, canvas.width - 16, canvas.height - 16);
+
+    context.fillStyle = '#ffffff';
+    context.font = 'bold 40px sans-serif';
+    context.textBaseline = 'middle';
+
+    const spacing = this.config.destinationSpacing;
+    const firstDestination = Math.floor(distance / spacing) + 1;
+    for (let line = 0; line < 2; line++) {
+      const destination = firstDestination + line;
+      const name = DESTINATIONS[(destination + this.destinationOffset) % DESTINATIONS.length];
+      const kilometres = ((destination * spacing - distance) / 1000).toFixed(1);
+      const y = 44 + line * 46;
+
+      context.textAlign = 'left';
+      context.fillText(name, 28, y);
+      context.textAlign = 'right';
+      context.fillText(`${kilometres} km`, canvas.width - 28, y);
+    }
+
+    texture.needsUpdate = true;
+  }
+
+  // Mancha de luz bajo la lámpara: un círculo translúcido sobre la calzada, hijo de la farola
+  setupLightPool(lamp, definition) {
+    if (!lamp.userData.lightPool) {
+      if (!this.lightPoolGeometry) {
+        this.createLightPoolResources();
+      }
+
+      const pool = new THREE.Mesh(this.lightPoolGeometry, this.lightPoolMaterial);
+      pool.rotation.x = -Math.PI / 2;
+      pool.renderOrder = 1;
+      lamp.add(pool);
+      lamp.userData.lightPool = pool;
+    }
+
+    // Centrada bajo la lámpara, un poco por encima de la calzada
+    const [x, , z] = definition.head;
+    lamp.userData.lightPool.position.set(x, 0.025, z - this.config.lightPoolRadius * 0.3);
+    lamp.userData.lightPool.visible = this.config.lightPools === 'fake';
+  }
+
+  createLightPoolResources() {
+    const size = 128;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, 'rgba(255, 214, 150, 0.55)');
+    gradient.addColorStop(0.6, 'rgba(255, 200, 130, 0.2)');
+    gradient.addColorStop(1, 'rgba(255, 190, 120, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+
+    this.lightPoolGeometry = new THREE.CircleGeometry(this.config.lightPoolRadius, 32);
+    this.lightPoolMaterial = new THREE.MeshBasicMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending
+    });
+  }
+
+  // Cambia la luz de las farolas: 'off', 'fake' o 'real'
+  setLightPoolMode(mode) {
+    this.config.lightPools = mode;
+
+    for (const lamp of this.lamps) {
+      lamp.model.userData.lightPool.visible = mode === 'fake';
+    }
+
+    if (mode === 'real') {
+      this.createRealLights();
+    } else {
+      this.removeRealLights();
+    }
+  }
+
+  // Un número fijo de focos que se reparten entre las farolas cercanas (un número de luces constante
+  // evita que three.js recompile los materiales cada vez que aparece o desaparece una farola)
+  createRealLights() {
+    if (this.realLights.length > 0) return;
+
+    for (let i = 0; i < this.config.maxRealLights; i++) {
+      const light = new THREE.SpotLight(0xffd69a, 0, 22, Math.PI / 4, 0.6, 1);
+      this.scene.add(light, light.target);
+      this.realLights.push(light);
+    }
+  }
+
+  removeRealLights() {
+    for (const light of this.realLights) {
+      this.scene.remove(light, light.target);
+      light.dispose();
+    }
+    this.realLights = [];
+  }
+
+  // Vuelca el paisaje en los lotes de dibujo y coloca los focos reales; se llama justo antes de renderizar
+  updateRendering(camera) {
+    this.pool.update(camera);
+
+    if (this.realLights.length === 0) return;
+
+    // Farolas más cercanas por delante del jugador (y alguna justo detrás)
+    const playerDistance = this.roadManager.getPlayerDistance();
+    const nearest = this.lamps
+      .filter(lamp => lamp.distance > playerDistance - 20)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, this.realLights.length);
+
+    this.realLights.forEach((light, index) => {
+      const lamp = nearest[index];
+      if (!lamp) {
+        light.intensity = 0;
+        return;
+      }
+
+      lamp.model.localToWorld(light.position.copy(lamp.head));
+      lamp.model.localToWorld(light.target.position.set(lamp.head.x, 0, lamp.head.z - 0.1));
+      light.intensity = 8;
+    });
+  }
+
+  // Origen flotante: desplaza el paisaje de todos los tramos (los focos reales se recolocan al renderizar)
+  rebase(offset) {
+    for (const items of this.segmentItems.values()) {
+      for (const item of items) {
+        item.position.add(offset);
+      }
+    }
+  }
+
+  pickWeighted(weights) {
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let target = this.random.next() * total;
+    for (const [type, weight] of entries) {
+      target -= weight;
+      if (target < 0) return type;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  getPoolStats() {
+    return this.pool.getStats();
+  }
+}
@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+
+export default class ScoreManager extends THREE.EventDispatcher {
+  constructor(playerController, trafficManager) {
+    super();
+    this.playerController = playerController;
+    this.trafficManager = trafficManager;
+
+    // Configuración de la puntuación
+    this.config = {
+      pointsPerUnit: 1, // Puntos por unidad de mundo recorrida
+      overtakePoints: 100, // Puntos por adelantar a un coche en nuestro sentido
+      nearMissPoints: 250, // Puntos por pasar rozando a un coche del carril contiguo
+      nearMissDistance: 4.5, // Distancia lateral máxima (entre centros) para contar un roce
+      minLateralDistance: 1.5, // Por debajo de esta distancia es el mismo carril, no un roce
+      comboStep: 0.5, // Incremento del multiplicador por cada adelantamiento o roce
+      maxMultiplier: 5, // Multiplicador máximo
+      comboWindow: 3 // Segundos sin eventos antes de que el multiplicador empiece a bajar
+    };
+
+    // Estado de la partida
+    this.score = 0;
+    this.distance = 0;
+    this.overtakes = 0;
+    this.nearMisses = 0;
+    this.multiplier = 1;
+    this.comboTimer = 0;
+    this.duration = 0;
+    this.topSpeed = 0;
+    this.lastDistanceZ = null;
+
+    // Posición relativa de cada coche respecto al jugador en el frame anterior
+    this.relativePositions = new WeakMap();
+  }
+
+  update(deltaTime) {
+    const player = this.playerController;
+    if (!player || !player.carModel || player.crashed) return;
+
+    const playerPosition = player.position;
+
+    // Duración de la partida y velocidad máxima alcanzada
+    this.duration += deltaTime;
+    this.topSpeed = Math.max(this.topSpeed, player.getVelocity());
+
+    if (this.lastDistanceZ === null) {
+      this.lastDistanceZ = playerPosition.z;
+    }
+
+    this.updateDistance(playerPosition.z);
+    this.updatePassedCars(playerPosition);
+    this.updateCombo(deltaTime);
+  }
+
+  updateDistance(playerZ) {
+    // El jugador avanza en Z negativo
+    const travelled = this.lastDistanceZ - playerZ;
+    this.lastDistanceZ = playerZ;
+    if (travelled <= 0) return;
+
+    this.distance += travelled;
+    this.addPoints(travelled * this.config.pointsPerUnit, 'distance', false);
+  }
+
+  updatePassedCars(playerPosition) {
+    for (const car of this.trafficManager.getTrafficCars()) {
+      // Positivo = el coche está detrás del jugador, negativo = delante
+      const relativeZ = car.position.z - playerPosition.z;
+      const previousZ = this.relativePositions.get(car);
+      this.relativePositions.set(car, relativeZ);
+
+      // Solo nos interesan los coches que el jugador acaba de dejar atrás
+      if (previousZ === undefined || previousZ >= 0 || relativeZ < 0) continue;
+      if (car.crashed) continue;
+
+      if (car.direction === 'outgoing') {
+        this.registerOvertake(car);
+      }
+
+      const lateralDistance = Math.abs(car.position.x - playerPosition.x);
+      if (lateralDistance >= this.config.minLateralDistance &&
+          lateralDistance <= this.config.nearMissDistance) {
+        this.registerNearMiss(car, lateralDistance);
+      }
+    }
+  }
+
+  registerOvertake(car) {
+    this.overtakes++;
+    const points = this.addPoints(this.config.overtakePoints, 'overtake');
+    this.increaseCombo();
+
+    this.dispatchEvent({ type: 'overtake', car: car, points: points, total: this.overtakes });
+  }
+
+  registerNearMiss(car, lateralDistance) {
+    this.nearMisses++;
+    const points = this.addPoints(this.config.nearMissPoints, 'nearmiss');
+    this.increaseCombo();
+
+    this.dispatchEvent({
+      type: 'nearmiss',
+      car: car,
+      points: points,
+      distance: lateralDistance,
+      total: this.nearMisses
+    });
+  }
+
+  // Suma puntos (opcionalmente aplicando el multiplicador) y devuelve los puntos concedidos
+  addPoints(points, reason = 'bonus', applyMultiplier = true) {
+    const awarded = applyMultiplier ? points * this.multiplier : points;
+    const previousScore = Math.floor(this.score);
+    this.score = Math.max(0, this.score + awarded);
+
+    // Solo notificar cuando cambia la puntuación visible
+    if (Math.floor(this.score) !== previousScore) {
+      this.dispatchEvent({ type: 'scorechange', score: this.getScore(), points: awarded, reason: reason });
+    }
+
+    return awarded;
+  }
+
+  increaseCombo() {
+    this.comboTimer = this.config.comboWindow;
+    this.setMultiplier(Math.min(this.multiplier + this.config.comboStep, this.config.maxMultiplier));
+  }
+
+  updateCombo(deltaTime) {
+    if (this.multiplier <= 1) return;
+
+    // Cuando se agota la ventana del combo, el multiplicador baja un escalón cada vez
+    this.comboTimer -= deltaTime;
+    if (this.comboTimer <= 0) {
+      this.comboTimer = this.config.comboWindow;
+      this.setMultiplier(Math.max(1, this.multiplier - this.config.comboStep));
+    }
+  }
+
+  setMultiplier(value) {
+    if (value === this.multiplier) return;
+
+    this.multiplier = value;
+    this.dispatchEvent({ type: 'combochange', multiplier: this.multiplier });
+  }
+
+  resetCombo() {
+    this.comboTimer = 0;
+    this.setMultiplier(1);
+  }
+
+  // Se llama al chocar: se pierde el combo acumulado
+  onCollision() {
+    this.resetCombo();
+  }
+
+  getScore() {
+    return Math.floor(this.score);
+  }
+
+  getDistance() {
+    return this.distance;
+  }
+
+  getMultiplier() {
+    return this.multiplier;
+  }
+
+  getStats() {
+    return {
+      score: this.getScore(),
+      distance: this.distance,
+      overtakes: this.overtakes,
+      nearMisses: this.nearMisses,
+      multiplier: this.multiplier,
+      duration: this.duration,
+      topSpeed: this.topSpeed
+    };
+  }
+
+  reset() {
+    this.score = 0;
+    this.distance = 0;
+    this.overtakes = 0;
+    this.nearMisses = 0;
+    this.comboTimer = 0;
+    this.duration = 0;
+    this.topSpeed = 0;
+    this.lastDistanceZ = null;
+    this.relativePositions = new WeakMap();
+    this.setMultiplier(1);
+    this.dispatchEvent({ type: 'scorechange', score: 0, points: 0, reason: 'reset' });
+  }
+}
@@ -0,0 +1,55 @@
+// Convierte cualquier semilla (número o texto) en un entero de 32 bits sin signo (hash FNV-1a)
+export function hashSeed(value) {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Generador pseudoaleatorio con semilla (mulberry32): misma semilla, misma secuencia.
+// Sustituye a Math.random() en todo lo que afecta a la partida para poder reproducirla
+export class SeededRandom {
+  constructor(seed = 1) {
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    this.seed = hashSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Vuelve al principio de la secuencia
+  reset() {
+    this.state = this.seed;
+  }
+
+  // Número en [0, 1), como Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Número real en [min, max)
+  float(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Entero en [min, max], ambos incluidos
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+}
@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+
+// Luces rojas y azules intermitentes sobre el techo de un vehículo (emergencias y policía)
+export class SirenLights {
+  // bounds: caja del modelo en su espacio local (sin escala ni rotación)
+  constructor(model, bounds, options = {}) {
+    this.model = model;
+    this.flashInterval = options.flashInterval ?? 0.15; // Segundos entre cambios de color
+    this.onIntensity = options.onIntensity ?? 3;
+    this.offIntensity = options.offIntensity ?? 0.1;
+    this.flashTimer = Math.random() * this.flashInterval; // Desfase para que no parpadeen todas a la vez
+    this.redActive = true;
+
+    // Altura del techo en el espacio local del modelo
+    this.roofY = bounds.max.y;
+
+    this.geometry = new THREE.BoxGeometry(0.3, 0.12, 0.2);
+    this.redMaterial = new THREE.MeshStandardMaterial({ color: 0x550000, emissive: 0xff0000 });
+    this.blueMaterial = new THREE.MeshStandardMaterial({ color: 0x000055, emissive: 0x0044ff });
+
+    this.redLight = new THREE.Mesh(this.geometry, this.redMaterial);
+    this.redLight.position.set(-0.25, this.roofY, 0);
+    this.blueLight = new THREE.Mesh(this.geometry, this.blueMaterial);
+    this.blueLight.position.set(0.25, this.roofY, 0);
+
+    model.add(this.redLight, this.blueLight);
+    this.applyIntensity();
+  }
+
+  update(deltaTime) {
+    this.flashTimer += deltaTime;
+    if (this.flashTimer >= this.flashInterval) {
+      this.flashTimer = 0;
+      this.redActive = !this.redActive;
+      this.applyIntensity();
+    }
+  }
+
+  applyIntensity() {
+    this.redMaterial.emissiveIntensity = this.redActive ? this.onIntensity : this.offIntensity;
+    this.blueMaterial.emissiveIntensity = this.redActive ? this.offIntensity : this.onIntensity;
+  }
+
+  // Color del destello activo, para luces que acompañen a la sirena
+  getActiveColor() {
+    return this.redActive ? 0xff0000 : 0x0044ff;
+  }
+
+  dispose() {
+    this.model.remove(this.redLight, this.blueLight);
+    this.geometry.dispose();
+    this.redMaterial.dispose();
+    this.blueMaterial.dispose();
+  }
+}
@@ -0,0 +1,766 @@
+import * as THREE from 'three';
+import GUI from 'lil-gui';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { TrackPath, createTrackPose, createModelCenterline } from './trackPath.js';
+import { parseTrack, readTrackText, PROP_TYPES, TRACK_FORMAT_VERSION } from './trackFormat.js';
+import { OBSTACLE_MODELS } from './obstacleManager.js';
+import { SCENERY_MODELS } from './sceneryManager.js';
+import roadLayouts from './data/roadLayouts.json';
+import roadPieces from './data/roadPieces.json';
+import trafficMixes from './data/trafficMixes.json';
+
+// Modelos de public/models/roads que se recorren en línea recta y se ofrecen como piezas además del catálogo
+const EXTRA_PIECE_MODELS = [
+  'road-straight-half.glb',
+  'road-straight-barrier.glb',
+  'road-crossing.glb',
+  'road-driveway-single.glb',
+  'road-driveway-double.glb'
+];
+
+// Cantidad de obstáculos de cada tramo que ofrece el editor
+const OBSTACLE_PRESETS = {
+  default: { name: 'Según la dificultad', value: undefined },
+  none: { name: 'Ninguno', value: false },
+  few: { name: 'Pocos', value: { frequency: 0.2, zoneChance: 0.2 } },
+  many: { name: 'Muchos', value: { frequency: 0.6, zoneChance: 0.5 } }
+};
+
+const SCENERY_KEYS = ['terrain', 'barriers', 'lamps', 'signs'];
+const CLICK_TOLERANCE = 5; // Píxeles que puede moverse el puntero para que cuente como clic y no como giro de cámara
+
+const _pose = createTrackPose();
+const _right = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+
+// Editor de trazados: construye un trazado en el formato de trackFormat.js encadenando piezas del catálogo
+// sobre una cámara orbital. Trabaja sobre el JSON del trazado (cada pieza por separado, sin "count") y
+// lo redibuja entero con cada cambio. GameInit congela la partida mientras está abierto y escucha
+// 'testdrive' (probar el trazado) y 'close' (volver a la partida)
+export default class TrackEditor extends THREE.EventDispatcher {
+  constructor(renderer, roadManager) {
+    super();
+    this.renderer = renderer;
+    this.roadManager = roadManager;
+    this.active = false;
+
+    // Escena propia con luz de día para ver bien las piezas
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x1d2a36);
+    this.scene.add(new THREE.HemisphereLight(0xffffff, 0x334455, 2));
+    const sun = new THREE.DirectionalLight(0xffffff, 1.5);
+    sun.position.set(100, 200, 50);
+    this.scene.add(sun);
+    this.grid = new THREE.GridHelper(4000, 200, 0x3a4c5c, 0x2a3844);
+    this.grid.position.y = -0.05;
+    this.scene.add(this.grid);
+
+    this.camera = new THREE.PerspectiveCamera(55, window.innerWidth / window.innerHeight, 1, 8000);
+    this.camera.position.set(150, 200, 150);
+    this.controls = new OrbitControls(this.camera, renderer.domElement);
+    this.controls.enableDamping = true;
+    this.controls.maxPolarAngle = Math.PI / 2 - 0.05;
+    this.controls.enabled = false;
+
+    // Piezas y objetos dibujados, marcador del final del trazado y recuadro de la selección
+    this.preview = new THREE.Group();
+    this.scene.add(this.preview);
+    this.endMarker = new THREE.ArrowHelper(new THREE.Vector3(0, 0, -1), new THREE.Vector3(), 25, 0x7dff8a, 10, 8);
+    this.scene.add(this.endMarker);
+    this.selectionBox = new THREE.BoxHelper(undefined, 0xffd34d);
+    this.selectionBox.visible = false;
+    this.scene.add(this.selectionBox);
+
+    // Modelos cargados (por ruta) y líneas centrales de los modelos que no están en el catálogo
+    this.loader = new GLTFLoader();
+    this.models = new Map();
+    this.modelCenterlines = {};
+    this.modelsReady = null;
+
+    this.track = this.createEmptyTrack();
+    this.selection = { stretch: 0, piece: -1, prop: null };
+    this.path = null;
+    this.pathPieces = []; // Pieza del trazado dibujado correspondiente a cada pieza del JSON
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.pointerDown = null;
+
+    this.gui = null; // Se crea al abrir el editor por primera vez
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  open() {
+    if (this.active) return;
+    this.active = true;
+    this.controls.enabled = true;
+
+    if (!this.gui) {
+      this.setupGui();
+    }
+    this.gui.show();
+
+    const canvas = this.renderer.domElement;
+    canvas.addEventListener('pointerdown', this.onPointerDown);
+    canvas.addEventListener('pointerup', this.onPointerUp);
+    document.addEventListener('keydown', this.onKeyDown);
+
+    // La primera vez se cargan todos los modelos que ofrece el editor
+    if (!this.modelsReady) {
+      this.modelsReady = this.preloadModels().then(() => {
+        this.rebuild();
+        this.frameTrack();
+      });
+    }
+    this.rebuild();
+  }
+
+  close() {
+    if (!this.active) return;
+    this.active = false;
+    this.controls.enabled = false;
+    this.gui.hide();
+
+    const canvas = this.renderer.domElement;
+    canvas.removeEventListener('pointerdown', this.onPointerDown);
+    canvas.removeEventListener('pointerup', this.onPointerUp);
+    document.removeEventListener('keydown', this.onKeyDown);
+  }
+
+  update() {
+    this.controls.update();
+  }
+
+  onWindowResize() {
+    this.camera.aspect = window.innerWidth / window.innerHeight;
+    this.camera.updateProjectionMatrix();
+  }
+
+  setupGui() {
+    this.gui = new GUI({ title: 'Editor de trazados' });
+
+    // Trazado completo: nombre, circuito, prueba y archivo
+    const trackFolder = this.gui.addFolder('Trazado');
+    this.trackControls = {
+      name: this.track.name,
+      loop: this.track.loop,
+      testDrive: () => this.testDrive(),
+      exportFile: () => this.exportTrack(),
+      importFile: () => this.importTrack(),
+      editCurrent: () => this.editCurrentTrack(),
+      clear: () => {
+        if (confirm('¿Empezar un trazado nuevo? Se perderán los cambios no exportados.')) {
+          this.setTrack(this.createEmptyTrack());
+        }
+      },
+      exit: () => this.dispatchEvent({ type: 'close' })
+    };
+    trackFolder.add(this.trackControls, 'name').name('Nombre')
+      .onChange(value => { this.track.name = value; });
+    trackFolder.add(this.trackControls, 'loop').name('Circuito (repetir al acabar)')
+      .onChange(value => { this.track.loop = value; });
+    trackFolder.add(this.trackControls, 'testDrive').name('Probar trazado');
+    trackFolder.add(this.trackControls, 'exportFile').name('Exportar JSON');
+    trackFolder.add(this.trackControls, 'importFile').name('Importar JSON');
+    trackFolder.add(this.trackControls, 'editCurrent').name('Editar el trazado actual');
+    trackFolder.add(this.trackControls, 'clear').name('Trazado nuevo');
+    trackFolder.add(this.trackControls, 'exit').name('Volver al juego (E)');
+
+    // Piezas: se añaden detrás de la seleccionada y se encajan solas con la anterior
+    const pieceOptions = {};
+    for (const [type, definition] of Object.entries(roadPieces)) {
+      pieceOptions[definition.name] = type;
+    }
+    for (const file of EXTRA_PIECE_MODELS) {
+      pieceOptions[file] = file;
+    }
+    const pieceFolder = this.gui.addFolder('Piezas');
+    this.pieceControls = {
+      type: 'straight',
+      add: () => this.addPiece(this.pieceControls.type),
+      rotate: () => this.rotateSelection(),
+      remove: () => this.deleteSelection(),
+      height: 0
+    };
+    pieceFolder.add(this.pieceControls, 'type', pieceOptions).name('Pieza');
+    pieceFolder.add(this.pieceControls, 'add').name('Añadir tras la selección');
+    pieceFolder.add(this.pieceControls, 'rotate').name('Girar selección (R)');
+    pieceFolder.add(this.pieceControls, 'remove').name('Borrar selección (Supr)');
+    this.heightController = pieceFolder.add(this.pieceControls, 'height', 0, 1, 0.125)
+      .name('Altura sobre el suelo')
+      .onChange(value => this.setSelectedHeight(value));
+
+    // Obstáculos y paisaje: con un tipo elegido, cada clic sobre una pieza coloca uno
+    const propOptions = { 'Ninguno (clic para seleccionar)': 'none' };
+    for (const [type, kind] of Object.entries(PROP_TYPES)) {
+      propOptions[`${kind === 'obstacle' ? 'Obstáculo' : 'Paisaje'}: ${type}`] = type;
+    }
+    const propFolder = this.gui.addFolder('Objetos');
+    this.propControls = { type: 'none' };
+    propFolder.add(this.propControls, 'type', propOptions).name('Colocar con clic');
+
+    // Configuración del tramo de la pieza seleccionada
+    const layoutOptions = {};
+    for (const [name, layout] of Object.entries(roadLayouts)) {
+      layoutOptions[layout.name] = name;
+    }
+    const trafficOptions = {};
+    for (const [name, mix] of Object.entries(trafficMixes)) {
+      trafficOptions[mix.name] = name;
+    }
+    const obstacleOptions = {};
+    for (const [name, preset] of Object.entries(OBSTACLE_PRESETS)) {
+      obstacleOptions[preset.name] = name;
+    }
+    obstacleOptions['Personalizado'] = 'custom';
+
+    const stretchFolder = this.gui.addFolder('Tramo seleccionado');
+    this.stretchControls = {
+      name: '',
+      layout: 'highway',
+      traffic: 'highway',
+      checkpoint: '',
+      obstacles: 'default',
+      terrain: true,
+      barriers: true,
+      lamps: true,
+      signs: true,
+      add: () => this.addStretch()
+    };
+    this.stretchControllers = [
+      stretchFolder.add(this.stretchControls, 'name').name('Nombre')
+        .onChange(value => this.updateStretch('name', value)),
+      stretchFolder.add(this.stretchControls, 'layout', layoutOptions).name('Carriles')
+        .onChange(value => this.updateStretch('layout', value)),
+      stretchFolder.add(this.stretchControls, 'traffic', trafficOptions).name('Tráfico')
+        .onChange(value => this.updateStretch('traffic', value)),
+      stretchFolder.add(this.stretchControls, 'checkpoint').name('Punto de control')
+        .onChange(value => this.updateStretch('checkpoint', value)),
+      stretchFolder.add(this.stretchControls, 'obstacles', obstacleOptions).name('Obstáculos')
+        .onChange(value => this.updateStretch('obstacles', value)),
+      ...SCENERY_KEYS.map(key => stretchFolder.add(this.stretchControls, key)
+        .name({ terrain: 'Terreno', barriers: 'Guardarraíles', lamps: 'Farolas', signs: 'Carteles' }[key])
+        .onChange(() => this.updateStretch('scenery')))
+    ];
+    stretchFolder.add(this.stretchControls, 'add').name('Nuevo tramo tras este');
+
+    this.syncControls();
+  }
+
+  createEmptyTrack() {
+    return {
+      version: TRACK_FORMAT_VERSION,
+      name: 'Trazado nuevo',
+      loop: false,
+      stretches: [this.createStretch(1)]
+    };
+  }
+
+  createStretch(number) {
+    return { name: `Tramo ${number}`, layout: 'highway', traffic: 'highway', pieces: [] };
+  }
+
+  // Sustituye el trazado en edición por otro (ya validado); las piezas repetidas se despliegan
+  // para poder editarlas por separado
+  async setTrack(data) {
+    const track = JSON.parse(JSON.stringify(data));
+    for (const stretch of track.stretches) {
+      stretch.pieces = stretch.pieces.flatMap(({ count = 1, ...piece }) =>
+        Array.from({ length: count }, () => JSON.parse(JSON.stringify(piece))));
+    }
+    track.name = track.name ?? 'Trazado nuevo';
+    track.loop = track.loop ?? false;
+
+    // Los modelos sueltos necesitan estar cargados para conocer su línea central
+    await Promise.all(track.stretches.flatMap(stretch => stretch.pieces)
+      .filter(piece => piece.model)
+      .map(piece => this.loadPieceModel(piece.model)));
+
+    this.track = track;
+    this.selection = { stretch: 0, piece: track.stretches[0].pieces.length - 1, prop: null };
+    if (this.trackControls) {
+      this.trackControls.name = track.name;
+      this.trackControls.loop = track.loop;
+      this.gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+    }
+    this.rebuild();
+    this.frameTrack();
+  }
+
+  // JSON del trazado listo para guardar o probar (sin los tramos vacíos)
+  getTrackData() {
+    return {
+      version: TRACK_FORMAT_VERSION,
+      name: this.track.name,
+      ...(this.track.description ? { description: this.track.description } : {}),
+      loop: this.track.loop,
+      stretches: this.track.stretches.filter(stretch => stretch.pieces.length > 0)
+    };
+  }
+
+  // Carga un modelo una sola vez; al terminar queda en loaded para poder copiarlo sin esperar
+  loadModel(path) {
+    if (!this.models.has(path)) {
+      const load = new Promise((resolve, reject) => {
+        this.loader.load(path, (gltf) => {
+          load.loaded = gltf.scene;
+          resolve(gltf.scene);
+        }, undefined, () => reject(new Error(`No se encuentra el modelo ${path}`)));
+      });
+      this.models.set(path, load);
+    }
+    return this.models.get(path);
+  }
+
+  // Carga el modelo de una pieza; los que no están en el catálogo se recorren en línea recta
+  async loadPieceModel(file) {
+    const model = await this.loadModel(`/models/roads/${file}`);
+    if (!this.isCatalogueModel(file)) {
+      this.modelCenterlines[file] = createModelCenterline(model);
+    }
+    return model;
+  }
+
+  isCatalogueModel(file) {
+    return Object.values(roadPieces).some(definition => definition.model === file);
+  }
+
+  preloadModels() {
+    const loads = [
+      ...Object.values(roadPieces).map(definition => this.loadPieceModel(definition.model)),
+      ...Object.values(roadPieces).filter(definition => definition.barrier)
+        .map(definition => this.loadModel(`/models/roads/${definition.barrier}`)),
+      ...EXTRA_PIECE_MODELS.map(file => this.loadPieceModel(file)),
+      ...Object.keys(PROP_TYPES).map(type => this.loadModel(this.getPropModelPath(type)))
+    ];
+    return Promise.allSettled(loads);
+  }
+
+  getPropModelPath(type) {
+    return PROP_TYPES[type] === 'obstacle' ? OBSTACLE_MODELS[type].path : `/models/roads/${SCENERY_MODELS[type]}`;
+  }
+
+  // Tipo de pieza y definición (modelo y línea central) de una pieza del JSON
+  getPieceDefinition(entry) {
+    if (entry.piece) {
+      return { type: entry.piece, definition: roadPieces[entry.piece] };
+    }
+    const type = Object.keys(roadPieces).find(key => roadPieces[key].model === entry.model);
+    if (type) {
+      return { type: type, definition: roadPieces[type] };
+    }
+    const centerline = this.modelCenterlines[entry.model];
+    return centerline ? { type: entry.model, definition: { model: entry.model, centerline: centerline } } : null;
+  }
+
+  // Escala local de una pieza del JSON con el multiplicador que tenga (como hace RoadManager)
+  getPieceScale(entry) {
+    const scale = this.roadManager.getPieceScale();
+    if (entry.scale !== undefined) {
+      const { x = 1, y = 1, z = 1 } = typeof entry.scale === 'number' ? { y: entry.scale, z: entry.scale } : entry.scale;
+      scale.multiply(new THREE.Vector3(z, y, x));
+    }
+    return scale;
+  }
+
+  // Vuelve a encadenar todas las piezas y a dibujar el trazado
+  rebuild() {
+    this.preview.clear();
+    this.pathPieces = [];
+    this.path = new TrackPath();
+
+    this.track.stretches.forEach((stretch, stretchIndex) => {
+      stretch.pieces.forEach((entry, pieceIndex) => {
+        const resolved = this.getPieceDefinition(entry);
+        if (!resolved) return;
+
+        const piece = this.path.append(resolved.type, resolved.definition, this.getPieceScale(entry), entry.rotation === 180);
+        this.pathPieces.push({ stretch: stretchIndex, piece: pieceIndex, trackPiece: piece });
+
+        const model = this.cloneLoaded(`/models/roads/${resolved.definition.model}`);
+        if (model) {
+          model.position.copy(piece.position);
+          model.rotation.set(0, piece.yaw, 0);
+          model.scale.copy(piece.scale);
+          model.userData.editor = { stretch: stretchIndex, piece: pieceIndex, prop: null };
+          this.preview.add(model);
+        }
+
+        // Guardarraíles propios de la pieza, superpuestos como los pone RoadManager
+        const barrier = resolved.definition.barrier ? this.cloneLoaded(`/models/roads/${resolved.definition.barrier}`) : null;
+        if (barrier) {
+          barrier.position.copy(piece.position);
+          barrier.rotation.set(0, piece.yaw, 0);
+          barrier.scale.copy(piece.scale);
+          barrier.userData.editor = { stretch: stretchIndex, piece: pieceIndex, prop: null };
+          this.preview.add(barrier);
+        }
+
+        // Carretera transversal de los cruces, como la dibuja RoadManager
+        for (const side of resolved.definition.branches ?? []) {
+          this.addBranchModels(piece, entry.rotation === 180 ? -side : side, stretchIndex, pieceIndex);
+        }
+
+        for (const prop of entry.props ?? []) {
+          this.addPropModel(prop, piece, stretchIndex, pieceIndex);
+        }
+      });
+    });
+
+    // Flecha en el final del trazado: ahí se encajará la próxima pieza
+    this.endMarker.position.copy(this.path.endPosition).setY(this.path.endPosition.y + 5);
+    this.endMarker.setDirection(new THREE.Vector3(-Math.sin(this.path.endHeading), 0, -Math.cos(this.path.endHeading)));
+
+    this.updateSelectionBox();
+  }
+
+  // Copia de un modelo ya cargado (null mientras se carga: se dibuja al terminar la precarga)
+  cloneLoaded(path) {
+    return this.models.get(path)?.loaded?.clone() ?? null;
+  }
+
+  addBranchModels(piece, side, stretchIndex, pieceIndex) {
+    const tileSize = this.roadManager.scaleFactor.x;
+    this.path.getPose((piece.startDistance + piece.endDistance) / 2, _pose);
+    _right.set(Math.cos(_pose.heading), 0, -Math.sin(_pose.heading));
+
+    for (let i = 1; i <= this.roadManager.junctionConfig.branchPieces; i++) {
+      const branch = this.cloneLoaded(`/models/roads/${roadPieces.straight.model}`);
+      if (!branch) return;
+
+      branch.position.copy(_pose.position).addScaledVector(_right, side * i * tileSize);
+      branch.rotation.set(0, _pose.heading, 0);
+      branch.scale.set(tileSize, piece.scale.y, piece.scale.x);
+      branch.userData.editor = { stretch: stretchIndex, piece: pieceIndex, prop: null };
+      this.preview.add(branch);
+    }
+  }
+
+  addPropModel(prop, piece, stretchIndex, pieceIndex) {
+    const model = this.cloneLoaded(this.getPropModelPath(prop.type));
+    if (!model) return;
+
+    const obstacle = PROP_TYPES[prop.type] === 'obstacle';
+    const scale = this.roadManager.scaleFactor.x;
+    this.path.getPose(piece.startDistance + (prop.along ?? 0.5) * piece.length, _pose);
+    _offset.set((prop.x ?? 0) * scale, obstacle ? this.roadManager.getSurfaceHeight() : 0, 0).applyQuaternion(_pose.quaternion);
+
+    model.position.copy(_pose.position).add(_offset);
+    model.quaternion.copy(_pose.quaternion)
+      .multiply(new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, THREE.MathUtils.degToRad(prop.rotation ?? 0)));
+    model.scale.setScalar(obstacle ? OBSTACLE_MODELS[prop.type].scale : scale);
+    model.userData.editor = { stretch: stretchIndex, piece: pieceIndex, prop: prop };
+    this.preview.add(model);
+  }
+
+  // Centra la cámara sobre todo el trazado
+  frameTrack() {
+    const bounds = new THREE.Box3().setFromObject(this.preview);
+    if (bounds.isEmpty()) {
+      bounds.setFromCenterAndSize(new THREE.Vector3(), new THREE.Vector3(100, 0, 100));
+    }
+    const center = bounds.getCenter(new THREE.Vector3());
+    const size = Math.max(bounds.getSize(new THREE.Vector3()).length(), 100);
+
+    this.controls.target.copy(center);
+    this.camera.position.copy(center).add(new THREE.Vector3(0.4, 0.7, 0.6).multiplyScalar(size));
+    this.controls.update();
+  }
+
+  getSelectedStretch() {
+    return this.track.stretches[this.selection.stretch];
+  }
+
+  getSelectedPiece() {
+    return this.getSelectedStretch()?.pieces[this.selection.piece] ?? null;
+  }
+
+  select(stretch, piece, prop = null) {
+    this.selection = { stretch: stretch, piece: piece, prop: prop };
+    this.syncControls();
+    this.updateSelectionBox();
+  }
+
+  updateSelectionBox() {
+    const selected = this.preview.children.find(child => {
+      const data = child.userData.editor;
+      return data.stretch === this.selection.stretch && data.piece === this.selection.piece && data.prop === this.selection.prop;
+    });
+
+    this.selectionBox.visible = !!selected;
+    if (selected) {
+      this.selectionBox.setFromObject(selected);
+    }
+  }
+
+  // Lleva la pieza y el tramo seleccionados a los controles del panel
+  syncControls() {
+    if (!this.gui) return;
+
+    const piece = this.getSelectedPiece();
+    this.pieceControls.height = piece?.height ?? 0;
+    this.heightController.updateDisplay();
+
+    const stretch = this.getSelectedStretch();
+    const controls = this.stretchControls;
+    controls.name = stretch.name ?? '';
+    controls.layout = stretch.layout ?? 'highway';
+    controls.traffic = stretch.traffic ?? 'highway';
+    controls.checkpoint = typeof stretch.checkpoint === 'string' ? stretch.checkpoint : (stretch.checkpoint ? controls.name : '');
+    controls.obstacles = Object.keys(OBSTACLE_PRESETS).find(name =>
+      JSON.stringify(OBSTACLE_PRESETS[name].value) === JSON.stringify(stretch.obstacles)) ?? 'custom';
+    for (const key of SCENERY_KEYS) {
+      controls[key] = stretch.scenery?.[key] ?? true;
+    }
+    this.stretchControllers.forEach(controller => controller.updateDisplay());
+  }
+
+  // Copia un control del panel al tramo seleccionado (las propiedades por defecto no se escriben)
+  updateStretch(key, value) {
+    const stretch = this.getSelectedStretch();
+
+    if (key === 'checkpoint') {
+      if (value.trim()) {
+        stretch.checkpoint = value.trim();
+      } else {
+        delete stretch.checkpoint;
+      }
+    } else if (key === 'obstacles') {
+      if (value === 'custom') return;
+      const preset = OBSTACLE_PRESETS[value].value;
+      if (preset === undefined) {
+        delete stretch.obstacles;
+      } else {
+        stretch.obstacles = JSON.parse(JSON.stringify(preset));
+      }
+    } else if (key === 'scenery') {
+      const scenery = {};
+      for (const sceneryKey of SCENERY_KEYS) {
+        if (!this.stretchControls[sceneryKey]) scenery[sceneryKey] = false;
+      }
+      if (Object.keys(scenery).length > 0) {
+        stretch.scenery = scenery;
+      } else {
+        delete stretch.scenery;
+      }
+    } else {
+      stretch[key] = value;
+    }
+  }
+
+  async addPiece(type) {
+    const entry = roadPieces[type] ? { piece: type } : { model: type };
+    if (entry.model) {
+      try {
+        await this.loadPieceModel(entry.model);
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+    }
+
+    const stretch = this.getSelectedStretch();
+    const index = this.selection.piece + 1;
+    stretch.pieces.splice(index, 0, entry);
+    this.rebuild();
+    this.select(this.selection.stretch, index);
+  }
+
+  addStretch() {
+    const index = this.selection.stretch + 1;
+    this.track.stretches.splice(index, 0, this.createStretch(this.track.stretches.length + 1));
+    this.rebuild();
+    this.select(index, -1);
+  }
+
+  // Gira el objeto seleccionado un cuarto de vuelta o recorre la pieza seleccionada al revés
+  rotateSelection() {
+    const { prop } = this.selection;
+    const piece = this.getSelectedPiece();
+    if (prop) {
+      prop.rotation = ((prop.rotation ?? 0) + 90) % 360;
+    } else if (piece) {
+      if (piece.rotation === 180) {
+        delete piece.rotation;
+      } else {
+        piece.rotation = 180;
+      }
+    } else {
+      return;
+    }
+    this.rebuild();
+  }
+
+  deleteSelection() {
+    const { prop } = this.selection;
+    const piece = this.getSelectedPiece();
+    const stretch = this.getSelectedStretch();
+
+    if (prop && piece) {
+      piece.props = piece.props.filter(other => other !== prop);
+      if (piece.props.length === 0) delete piece.props;
+      this.select(this.selection.stretch, this.selection.piece);
+    } else if (piece) {
+      stretch.pieces.splice(this.selection.piece, 1);
+      this.select(this.selection.stretch, Math.min(this.selection.piece, stretch.pieces.length - 1));
+    } else if (this.track.stretches.length > 1) {
+      // Un tramo vacío se borra entero
+      this.track.stretches.splice(this.selection.stretch, 1);
+      const index = Math.max(0, this.selection.stretch - 1);
+      this.select(index, this.track.stretches[index].pieces.length - 1);
+    }
+    this.rebuild();
+  }
+
+  setSelectedHeight(value) {
+    const piece = this.getSelectedPiece();
+    if (!piece) return;
+
+    if (value > 0) {
+      piece.height = value;
+    } else {
+      delete piece.height;
+    }
+  }
+
+  // Coloca un objeto en el punto de la pieza donde se ha hecho clic
+  addPropAt(point, stretchIndex, pieceIndex) {
+    const entry = this.track.stretches[stretchIndex].pieces[pieceIndex];
+    const { trackPiece } = this.pathPieces.find(item => item.stretch === stretchIndex && item.piece === pieceIndex);
+
+    // Punto más cercano de la línea central de la pieza
+    let best = { along: 0, distance: Infinity };
+    for (let i = 0; i <= 40; i++) {
+      const along = i / 40;
+      this.path.getPose(trackPiece.startDistance + along * trackPiece.length, _pose);
+      const distance = Math.hypot(_pose.position.x - point.x, _pose.position.z - point.z);
+      if (distance < best.distance) {
+        best = { along: along, distance: distance };
+      }
+    }
+
+    this.path.getPose(trackPiece.startDistance + best.along * trackPiece.length, _pose);
+    _right.set(1, 0, 0).applyQuaternion(_pose.quaternion);
+    const lateral = _offset.copy(point).sub(_pose.position).dot(_right) / this.roadManager.scaleFactor.x;
+
+    const prop = {
+      type: this.propControls.type,
+      along: Math.round(best.along * 40) / 40,
+      x: Math.round(lateral * 20) / 20,
+      rotation: 0
+    };
+    entry.props = entry.props ?? [];
+    entry.props.push(prop);
+    this.rebuild();
+    this.select(stretchIndex, pieceIndex, prop);
+  }
+
+  onPointerDown(event) {
+    this.pointerDown = { x: event.clientX, y: event.clientY };
+  }
+
+  onPointerUp(event) {
+    if (!this.pointerDown || event.button !== 0) return;
+    const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+    this.pointerDown = null;
+    if (moved > CLICK_TOLERANCE) return;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    const hit = this.raycaster.intersectObjects(this.preview.children, true)[0];
+    if (!hit) return;
+
+    // Subir hasta el modelo colocado (el impacto es con una de sus mallas)
+    let object = hit.object;
+    while (object && !object.userData.editor) {
+      object = object.parent;
+    }
+    if (!object) return;
+
+    const { stretch, piece, prop } = object.userData.editor;
+    if (!prop && this.propControls.type !== 'none') {
+      this.addPropAt(hit.point, stretch, piece);
+    } else {
+      this.select(stretch, piece, prop);
+    }
+  }
+
+  onKeyDown(event) {
+    if (event.target instanceof HTMLInputElement) return;
+
+    switch (event.key) {
+      case 'Delete':
+      case 'Backspace':
+        this.deleteSelection();
+        break;
+      case 'r':
+      case 'R':
+        this.rotateSelection();
+        break;
+    }
+  }
+
+  // Valida el trazado antes de usarlo; los errores se muestran tal cual
+  validate() {
+    try {
+      parseTrack(this.getTrackData());
+      return true;
+    } catch (error) {
+      alert(`El trazado no es válido:\n${error.message}`);
+      return false;
+    }
+  }
+
+  testDrive() {
+    if (!this.validate()) return;
+    this.dispatchEvent({ type: 'testdrive', track: this.getTrackData() });
+  }
+
+  exportTrack() {
+    if (!this.validate()) return;
+
+    const json = JSON.stringify(this.getTrackData(), null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `${this.track.name.trim().toLowerCase().replace(/[^\w]+/g, '-') || 'trazado'}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  importTrack() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      try {
+        const data = readTrackText(await file.text(), file.name);
+        parseTrack(data);
+        await this.setTrack(data);
+      } catch (error) {
+        alert(`No se pudo importar el trazado:\n${error.message}`);
+      }
+    });
+    input.click();
+  }
+
+  // Abre en el editor el trazado creado a mano que se está jugando
+  editCurrentTrack() {
+    const source = this.roadManager.trackSource;
+    if (!source.data) {
+      alert('El trazado actual es el sin fin: no hay un trazado creado a mano que editar.');
+      return;
+    }
+    this.setTrack(source.data).catch(error => alert(error.message));
+  }
+}
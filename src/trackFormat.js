@@ -0,0 +1,332 @@
+import roadLayouts from './data/roadLayouts.json';
+import roadPieces from './data/roadPieces.json';
+import trafficMixes from './data/trafficMixes.json';
+import { OBSTACLE_MODELS } from './obstacleManager.js';
+import { SCENERY_MODELS } from './sceneryManager.js';
+
+// Formato de los trazados creados a mano (JSON). Un trazado es una lista ordenada de tramos y cada
+// tramo, una lista de piezas de carretera con la configuración que rige mientras el jugador lo recorre:
+//
+// {
+//   "version": 1,
+//   "name": "Carretera de la costa",
+//   "loop": false,                       // Al terminar vuelve a empezar (si no, la carretera sigue recta tras la meta)
+//   "stretches": [
+//     {
+//       "name": "Salida",
+//       "layout": "country",             // Distribución de carriles (data/roadLayouts.json)
+//       "traffic": "city",               // Mezcla de tráfico (data/trafficMixes.json)
+//       "obstacles": { "frequency": 0.2, "zoneChance": 0.5 },   // o false para un tramo sin obstáculos
+//       "scenery": { "terrain": true, "barriers": true, "lamps": true, "signs": false },
+//       "checkpoint": "Faro",            // Punto de control al entrar en el tramo
+//       "pieces": [
+//         { "piece": "straight", "count": 4 },
+//         { "piece": "curve", "rotation": 180 },                // 180 = recorrida al revés (gira al otro lado)
+//         { "model": "road-crossing.glb", "scale": { "z": 2 } },  // Cualquier modelo de public/models/roads
+//         { "piece": "crossroad" },                           // Cruce con tráfico transversal ("intersection": en T)
+//         { "piece": "side-entry", "rotation": 180 },           // Carril adicional a la derecha ("side", "side-exit")
+//         { "piece": "straight", "height": 0.5 },              // Altura sobre el suelo: lleva pilares
+//         { "piece": "straight", "props": [                     // Obstáculos y paisaje colocados a mano
+//           { "type": "cone", "along": 0.5, "x": -0.2 },
+//           { "type": "light-curved", "along": 0, "x": 0.6, "rotation": 90 }
+//         ] }
+//       ]
+//     }
+//   ]
+// }
+//
+// Los modelos que no están en el catálogo de piezas (data/roadPieces.json) se recorren en línea recta a lo
+// largo de su eje X, de un extremo al otro del modelo. La escala de cada pieza multiplica la de la carretera
+// (X = ancho, Y = alto, Z = largo; un número escala el alto y el largo). El ancho no puede cambiar porque
+// los carriles se calculan con el ancho común de la carretera.
+//
+// Las piezas del carril adicional recorridas al revés (rotation 180) añaden un carril a la derecha: aparece en
+// "side-entry", sigue por "side" y a través de un cruce en T por la derecha (la vía de servicio de una salida
+// o una entrada) y termina contra la barrera de "side-exit" o de "split", donde se une a la carretera
+// principal; el jugador tiene que dejarlo antes.
+//
+// Los objetos de una pieza (props) son obstáculos de ObstacleManager o elementos del paisaje de
+// SceneryManager. along es la posición a lo largo de la pieza (0 = entrada, 1 = salida), x el desplazamiento
+// lateral en unidades del modelo (la calzada va de -0.5 a 0.5) y rotation el giro en grados respecto a la carretera
+export const TRACK_FORMAT_VERSION = 1;
+
+// Tipos de objeto que se pueden colocar sobre las piezas
+export const PROP_TYPES = {
+  ...Object.fromEntries(Object.keys(OBSTACLE_MODELS).map(type => [type, 'obstacle'])),
+  ...Object.fromEntries(Object.keys(SCENERY_MODELS).map(type => [type, 'scenery']))
+};
+
+const SCENERY_KEYS = ['terrain', 'barriers', 'lamps', 'signs'];
+const MODEL_FILE_PATTERN = /^[\w-]+\.glb$/;
+
+// Error de un archivo de trazado; path indica dónde está el problema (p. ej. "stretches[1].pieces[3]")
+export class TrackFormatError extends Error {
+  constructor(message, path = '') {
+    super(path ? `${path}: ${message}` : message);
+    this.name = 'TrackFormatError';
+    this.path = path;
+  }
+}
+
+// Valida un trazado ya leído del JSON y lo devuelve normalizado: valores por defecto aplicados, piezas
+// repetidas desplegadas y cada pieza resuelta a un tipo del catálogo o a un modelo suelto
+export function parseTrack(data) {
+  if (!isObject(data)) {
+    throw new TrackFormatError('el trazado debe ser un objeto JSON');
+  }
+  checkKeys(data, ['version', 'name', 'description', 'loop', 'stretches'], '');
+
+  if (data.version === undefined) {
+    throw new TrackFormatError(`falta la versión del formato ("version": ${TRACK_FORMAT_VERSION})`);
+  }
+  if (data.version !== TRACK_FORMAT_VERSION) {
+    throw new TrackFormatError(`versión del formato ${JSON.stringify(data.version)} no soportada (se espera ${TRACK_FORMAT_VERSION})`, 'version');
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    throw new TrackFormatError('el trazado necesita un nombre', 'name');
+  }
+  checkType(data.description, 'string', 'description');
+  checkType(data.loop, 'boolean', 'loop');
+
+  if (!Array.isArray(data.stretches) || data.stretches.length === 0) {
+    throw new TrackFormatError('el trazado necesita una lista de tramos no vacía', 'stretches');
+  }
+
+  return {
+    version: data.version,
+    name: data.name.trim(),
+    description: data.description ?? '',
+    loop: data.loop ?? false,
+    stretches: data.stretches.map((stretch, index) => parseStretch(stretch, `stretches[${index}]`))
+  };
+}
+
+// Descarga un archivo de trazado (sin validar); los fallos de red y de sintaxis se convierten en TrackFormatError
+export async function fetchTrack(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new TrackFormatError(`no se pudo descargar ${url} (${error.message})`);
+  }
+  if (!response.ok) {
+    throw new TrackFormatError(`no se pudo descargar ${url} (HTTP ${response.status})`);
+  }
+  return readTrackText(await response.text(), url);
+}
+
+// Lee el JSON de un archivo de trazado (sin validar)
+export function readTrackText(text, source = 'el archivo') {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new TrackFormatError(`${source} no es un JSON válido (${error.message})`);
+  }
+}
+
+// Trazado pedido en la URL (?track=...): el nombre de un trazado incluido o la URL de un archivo
+export function getTrackFromUrl() {
+  const track = new URLSearchParams(window.location.search).get('track');
+  return track && track.trim() ? track.trim() : null;
+}
+
+function parseStretch(stretch, path) {
+  if (!isObject(stretch)) {
+    throw new TrackFormatError('cada tramo debe ser un objeto', path);
+  }
+  checkKeys(stretch, ['name', 'layout', 'traffic', 'obstacles', 'scenery', 'checkpoint', 'pieces'], path);
+  checkType(stretch.name, 'string', `${path}.name`);
+
+  if (stretch.layout !== undefined && !roadLayouts[stretch.layout]) {
+    throw new TrackFormatError(`distribución de carriles desconocida ${JSON.stringify(stretch.layout)}; disponibles: ${Object.keys(roadLayouts).join(', ')}`, `${path}.layout`);
+  }
+  if (stretch.traffic !== undefined && !trafficMixes[stretch.traffic]) {
+    throw new TrackFormatError(`mezcla de tráfico desconocida ${JSON.stringify(stretch.traffic)}; disponibles: ${Object.keys(trafficMixes).join(', ')}`, `${path}.traffic`);
+  }
+  if (stretch.checkpoint !== undefined && typeof stretch.checkpoint !== 'string' && stretch.checkpoint !== true) {
+    throw new TrackFormatError('el punto de control debe ser un nombre o true', `${path}.checkpoint`);
+  }
+
+  if (!Array.isArray(stretch.pieces) || stretch.pieces.length === 0) {
+    throw new TrackFormatError('el tramo necesita una lista de piezas no vacía', `${path}.pieces`);
+  }
+  const pieces = [];
+  stretch.pieces.forEach((piece, index) => pieces.push(...parsePiece(piece, `${path}.pieces[${index}]`)));
+
+  const name = stretch.name ?? '';
+  return {
+    name: name,
+    layout: stretch.layout ?? null,
+    traffic: stretch.traffic ?? null,
+    obstacles: parseObstacles(stretch.obstacles, `${path}.obstacles`),
+    scenery: parseScenery(stretch.scenery, `${path}.scenery`),
+    checkpoint: stretch.checkpoint === true ? (name || 'Punto de control') : (stretch.checkpoint ?? null),
+    finish: false,
+    pieces: pieces
+  };
+}
+
+// Devuelve la pieza repetida tantas veces como indique count
+function parsePiece(piece, path) {
+  if (!isObject(piece)) {
+    throw new TrackFormatError('cada pieza debe ser un objeto', path);
+  }
+  checkKeys(piece, ['piece', 'model', 'rotation', 'scale', 'height', 'count', 'props'], path);
+
+  if ((piece.piece === undefined) === (piece.model === undefined)) {
+    throw new TrackFormatError('la pieza debe indicar "piece" (del catálogo) o "model" (un .glb), pero no ambos', path);
+  }
+
+  let type;
+  let model;
+  if (piece.piece !== undefined) {
+    if (!roadPieces[piece.piece]) {
+      throw new TrackFormatError(`pieza desconocida ${JSON.stringify(piece.piece)}; disponibles: ${Object.keys(roadPieces).join(', ')}`, `${path}.piece`);
+    }
+    type = piece.piece;
+    model = roadPieces[type].model;
+  } else {
+    if (typeof piece.model !== 'string' || !MODEL_FILE_PATTERN.test(piece.model)) {
+      throw new TrackFormatError(`el modelo debe ser el nombre de un .glb de public/models/roads (por ejemplo "road-straight.glb"), no ${JSON.stringify(piece.model)}`, `${path}.model`);
+    }
+    // Un modelo del catálogo se usa con su línea central; el resto se recorren en línea recta
+    model = piece.model;
+    type = Object.keys(roadPieces).find(key => roadPieces[key].model === model) ?? model.replace(/\.glb$/, '');
+  }
+
+  const rotation = piece.rotation ?? 0;
+  if (rotation !== 0 && rotation !== 180) {
+    throw new TrackFormatError(`giro ${JSON.stringify(rotation)} no válido: las piezas se encadenan, solo pueden ir a 0 o 180 grados`, `${path}.rotation`);
+  }
+
+  const height = piece.height ?? 0;
+  if (typeof height !== 'number' || !Number.isFinite(height) || height < 0) {
+    throw new TrackFormatError('la altura debe ser un número mayor o igual que 0', `${path}.height`);
+  }
+
+  const count = piece.count ?? 1;
+  if (!Number.isInteger(count) || count < 1) {
+    throw new TrackFormatError('count debe ser un entero mayor que 0', `${path}.count`);
+  }
+
+  const parsed = {
+    type: type,
+    model: model,
+    custom: !roadPieces[type],
+    reversed: rotation === 180,
+    height: height,
+    scale: parseScale(piece.scale, `${path}.scale`),
+    props: parseProps(piece.props, `${path}.props`)
+  };
+  return Array.from({ length: count }, () => ({ ...parsed }));
+}
+
+function parseScale(scale, path) {
+  if (scale === undefined) return null;
+
+  const values = typeof scale === 'number' ? { x: 1, y: scale, z: scale } : scale;
+  if (!isObject(values)) {
+    throw new TrackFormatError('la escala debe ser un número o un objeto { "x", "y", "z" }', path);
+  }
+  checkKeys(values, ['x', 'y', 'z'], path);
+
+  const result = { x: values.x ?? 1, y: values.y ?? 1, z: values.z ?? 1 };
+  for (const axis of ['x', 'y', 'z']) {
+    if (typeof result[axis] !== 'number' || !Number.isFinite(result[axis]) || result[axis] <= 0) {
+      throw new TrackFormatError(`la escala ${axis} debe ser un número mayor que 0`, `${path}.${axis}`);
+    }
+  }
+  if (result.x !== 1) {
+    throw new TrackFormatError('el ancho de las piezas (x) no puede cambiar: los carriles dependen del ancho de la carretera', `${path}.x`);
+  }
+  return result;
+}
+
+function parseProps(props, path) {
+  if (props === undefined) return [];
+  if (!Array.isArray(props)) {
+    throw new TrackFormatError('los objetos de la pieza deben ser una lista', path);
+  }
+
+  return props.map((prop, index) => {
+    const propPath = `${path}[${index}]`;
+    if (!isObject(prop)) {
+      throw new TrackFormatError('cada objeto debe ser un objeto { "type", "along", "x", "rotation" }', propPath);
+    }
+    checkKeys(prop, ['type', 'along', 'x', 'rotation'], propPath);
+
+    if (!PROP_TYPES[prop.type]) {
+      throw new TrackFormatError(`tipo de objeto desconocido ${JSON.stringify(prop.type)}; disponibles: ${Object.keys(PROP_TYPES).join(', ')}`, `${propPath}.type`);
+    }
+    checkFraction(prop.along, `${propPath}.along`);
+    checkNumber(prop.x, `${propPath}.x`);
+    checkNumber(prop.rotation, `${propPath}.rotation`);
+
+    return {
+      type: prop.type,
+      kind: PROP_TYPES[prop.type],
+      along: prop.along ?? 0.5,
+      x: prop.x ?? 0,
+      rotation: prop.rotation ?? 0
+    };
+  });
+}
+
+function parseObstacles(obstacles, path) {
+  if (obstacles === undefined || obstacles === true) return null;
+  if (obstacles === false) return { frequency: 0, zoneChance: 0 };
+
+  if (!isObject(obstacles)) {
+    throw new TrackFormatError('los obstáculos deben ser false o un objeto { "frequency", "zoneChance" }', path);
+  }
+  checkKeys(obstacles, ['frequency', 'zoneChance'], path);
+  checkFraction(obstacles.frequency, `${path}.frequency`);
+  checkFraction(obstacles.zoneChance, `${path}.zoneChance`);
+  return { frequency: obstacles.frequency, zoneChance: obstacles.zoneChance };
+}
+
+function parseScenery(scenery, path) {
+  const result = Object.fromEntries(SCENERY_KEYS.map(key => [key, true]));
+  if (scenery === undefined) return result;
+
+  if (!isObject(scenery)) {
+    throw new TrackFormatError(`el paisaje debe ser un objeto con ${SCENERY_KEYS.join(', ')}`, path);
+  }
+  checkKeys(scenery, SCENERY_KEYS, path);
+  for (const key of SCENERY_KEYS) {
+    checkType(scenery[key], 'boolean', `${path}.${key}`);
+    result[key] = scenery[key] ?? true;
+  }
+  return result;
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Las propiedades desconocidas suelen ser erratas: mejor avisar que ignorarlas
+function checkKeys(object, allowed, path) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      throw new TrackFormatError(`propiedad desconocida ${JSON.stringify(key)}; se admiten: ${allowed.join(', ')}`, path);
+    }
+  }
+}
+
+function checkType(value, type, path) {
+  if (value !== undefined && typeof value !== type) {
+    throw new TrackFormatError(`debe ser de tipo ${type}, no ${JSON.stringify(value)}`, path);
+  }
+}
+
+function checkNumber(value, path) {
+  if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value))) {
+    throw new TrackFormatError('debe ser un número', path);
+  }
+}
+
+function checkFraction(value, path) {
+  if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+    throw new TrackFormatError('debe ser un número entre 0 y 1', path);
+  }
+}
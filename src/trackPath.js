@@ -0,0 +1,215 @@
+import * as THREE from 'three';
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+// Arco horizontal de circunferencia en el espacio local de una pieza.
+// El ángulo 0 apunta hacia -Z desde el centro y crece hacia +X
+class ArcCurve3 extends THREE.Curve {
+  constructor(center, radius, fromAngle, toAngle) {
+    super();
+    this.center = center;
+    this.radius = radius;
+    this.fromAngle = fromAngle;
+    this.toAngle = toAngle;
+  }
+
+  getPoint(t, optionalTarget = new THREE.Vector3()) {
+    const angle = THREE.MathUtils.lerp(this.fromAngle, this.toAngle, t);
+    return optionalTarget.set(
+      this.center.x + this.radius * Math.sin(angle),
+      this.center.y,
+      this.center.z - this.radius * Math.cos(angle)
+    );
+  }
+}
+
+// Línea central de una pieza ya colocada: la curva local transformada por la matriz de la pieza,
+// recorrida en sentido inverso si la pieza se atraviesa desde su otro extremo
+class PlacedCurve extends THREE.Curve {
+  constructor(localCurve, matrix, reversed) {
+    super();
+    this.localCurve = localCurve;
+    this.matrix = matrix;
+    this.reversed = reversed;
+    this.arcLengthDivisions = 32;
+  }
+
+  getPoint(t, optionalTarget = new THREE.Vector3()) {
+    return this.localCurve.getPoint(this.reversed ? 1 - t : t, optionalTarget).applyMatrix4(this.matrix);
+  }
+}
+
+// Curva local de una pieza a partir de su definición (unidades del modelo, antes de escalar)
+export function createLocalCurve(centerline) {
+  const toVector = (point) => new THREE.Vector3(...point);
+
+  switch (centerline.type) {
+    case 'line':
+      return new THREE.LineCurve3(toVector(centerline.from), toVector(centerline.to));
+    case 'arc':
+      return new ArcCurve3(
+        toVector(centerline.center),
+        centerline.radius,
+        THREE.MathUtils.degToRad(centerline.fromAngle),
+        THREE.MathUtils.degToRad(centerline.toAngle)
+      );
+    case 'bezier':
+      return new THREE.CubicBezierCurve3(...centerline.points.map(toVector));
+    default:
+      throw new Error(`Tipo de línea central desconocido: ${centerline.type}`);
+  }
+}
+
+// Línea central de un modelo que no está en el catálogo de piezas: se recorre en línea recta
+// de un extremo al otro de su eje X
+export function createModelCenterline(model) {
+  const bounds = new THREE.Box3().setFromObject(model);
+  return { type: 'line', from: [bounds.min.x, 0, 0], to: [bounds.max.x, 0, 0] };
+}
+
+export function createTrackPose() {
+  return {
+    position: new THREE.Vector3(),
+    tangent: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    heading: 0, // Giro respecto a la dirección inicial (-Z); positivo hacia la izquierda
+    pitch: 0 // Pendiente; positiva en subida
+  };
+}
+
+// Trazado de la carretera: cadena de piezas cuyas líneas centrales forman una curva continua.
+// Las posiciones a lo largo del trazado se expresan como distancia recorrida desde el inicio.
+export class TrackPath {
+  constructor() {
+    this.pieces = [];
+    this.reset(new THREE.Vector3(), 0, 0);
+  }
+
+  // Vacía el trazado; la siguiente pieza empezará en la posición y dirección indicadas
+  reset(position, heading, distance = 0) {
+    this.pieces = [];
+    this.startDistance = distance;
+    this.endDistance = distance;
+    this.endPosition = position.clone();
+    this.endHeading = heading;
+  }
+
+  // Coloca una pieza a continuación del final del trazado. Con reversed la pieza se recorre
+  // desde el extremo final de su línea central (curvas a la izquierda, bajadas...)
+  append(type, definition, scale, reversed = false) {
+    const localCurve = createLocalCurve(definition.centerline);
+
+    // Dirección de entrada de la pieza en su espacio local, ya escalada
+    const entry = localCurve.getPoint(reversed ? 1 : 0);
+    const entryDirection = localCurve.getTangent(reversed ? 1 : 0).multiply(scale);
+    if (reversed) entryDirection.negate();
+
+    // Girar la pieza para que su entrada siga la dirección del final del trazado (-Z con heading 0)
+    const localHeading = Math.atan2(entryDirection.x, entryDirection.z);
+    const yaw = this.endHeading + Math.PI - localHeading;
+    const quaternion = new THREE.Quaternion().setFromAxisAngle(_up, yaw);
+
+    // Y desplazarla para que su entrada coincida con el final del trazado
+    const position = this.endPosition.clone()
+      .sub(entry.multiply(scale).applyQuaternion(quaternion));
+
+    const matrix = new THREE.Matrix4().compose(position, quaternion, scale);
+    const curve = new PlacedCurve(localCurve, matrix, reversed);
+    const length = curve.getLength();
+
+    const piece = {
+      type: type,
+      reversed: reversed,
+      position: position,
+      yaw: yaw,
+      scale: scale.clone(),
+      curve: curve,
+      length: length,
+      startDistance: this.endDistance,
+      endDistance: this.endDistance + length
+    };
+    this.pieces.push(piece);
+
+    // Nuevo final del trazado
+    const tangent = curve.getTangent(1);
+    this.endPosition.copy(curve.getPoint(1));
+    this.endHeading = Math.atan2(-tangent.x, -tangent.z);
+    this.endDistance = piece.endDistance;
+
+    return piece;
+  }
+
+  // Desplaza todo el trazado en el mundo (origen flotante); las distancias no cambian
+  translate(offset) {
+    const translation = new THREE.Matrix4().makeTranslation(offset.x, offset.y, offset.z);
+    for (const piece of this.pieces) {
+      piece.position.add(offset);
+      piece.curve.matrix.premultiply(translation);
+    }
+    this.endPosition.add(offset);
+  }
+
+  // Elimina las piezas que terminan antes de la distancia indicada y las devuelve
+  removePiecesBefore(distance) {
+    const removed = [];
+    while (this.pieces.length > 1 && this.pieces[0].endDistance < distance) {
+      removed.push(this.pieces.shift());
+    }
+    if (this.pieces.length > 0) {
+      this.startDistance = this.pieces[0].startDistance;
+    }
+    return removed;
+  }
+
+  // Pieza que contiene una distancia (la primera o la última si queda fuera del trazado)
+  findPiece(distance) {
+    let low = 0;
+    let high = this.pieces.length - 1;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.pieces[middle].endDistance < distance) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return this.pieces[low] ?? null;
+  }
+
+  // Posición y orientación de la línea central a una distancia del inicio.
+  // Fuera de las piezas generadas el trazado se prolonga en línea recta
+  getPose(distance, target = createTrackPose()) {
+    const piece = this.findPiece(distance);
+
+    if (!piece) {
+      // Sin piezas: recta desde el final del trazado
+      target.tangent.set(-Math.sin(this.endHeading), 0, -Math.cos(this.endHeading));
+      target.position.copy(this.endPosition).addScaledVector(target.tangent, distance - this.endDistance);
+    } else {
+      const u = (distance - piece.startDistance) / piece.length;
+      const clamped = THREE.MathUtils.clamp(u, 0, 1);
+      piece.curve.getPointAt(clamped, target.position);
+      piece.curve.getTangentAt(clamped, target.tangent);
+      if (u !== clamped) {
+        target.position.addScaledVector(target.tangent, (u - clamped) * piece.length);
+      }
+    }
+
+    target.heading = Math.atan2(-target.tangent.x, -target.tangent.z);
+    target.pitch = Math.asin(THREE.MathUtils.clamp(target.tangent.y, -1, 1));
+    target.quaternion.setFromEuler(_euler.set(target.pitch, target.heading, 0));
+    return target;
+  }
+
+  // Línea central completa de las piezas actuales como una única curva
+  getCenterline() {
+    const centerline = new THREE.CurvePath();
+    for (const piece of this.pieces) {
+      centerline.add(piece.curve);
+    }
+    return centerline;
+  }
+}
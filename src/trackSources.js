@@ -0,0 +1,264 @@
+// Fuentes de trazado: deciden qué piezas añade RoadManager al final de la carretera. nextPieces devuelve
+// las siguientes piezas como { type, reversed, height, scale, props, stretch, lap }; stretch es el tramo del
+// trazado al que pertenecen (su configuración rige mientras el jugador lo recorre) o null si no hay tramos
+
+const straightPiece = (height = 0) => ({ type: 'straight', reversed: false, height: height });
+
+// Trazado sin fin generado al azar con el flujo de la carretera: series de rectas separadas por curvas,
+// cambios de rasante y tramos elevados
+export class EndlessTrackSource {
+  constructor() {
+    this.name = 'endless';
+    this.title = 'Sin fin (procedural)';
+
+    this.generator = {
+      startStraightPieces: 12, // Rectas iniciales por delante del jugador
+      minStraightPieces: 3, // Rectas mínimas entre dos curvas o cambios de rasante
+      maxStraightPieces: 8, // Rectas máximas seguidas
+      maxTurns: 1, // Giros de 90° acumulados permitidos a cada lado (evita que el trazado vuelva sobre sí mismo)
+      maxLevel: 2, // Cambios de rasante acumulados permitidos hacia arriba
+      weights: {
+        curve: 2, // Curva amplia de 90°
+        hill: 1, // Subida o bajada suave
+        bend: 0, // Curva cerrada de 90° en una sola pieza: solo para trazados lentos
+        bridge: 0.6, // Tramo elevado sobre pilares con un puente en el centro
+        junction: 0.8, // Cruce a nivel con tráfico transversal
+        ramp: 0.7 // Entrada o salida de una vía de servicio con carril adicional
+      },
+      junction: {
+        crossroadChance: 0.7, // Probabilidad de un cruce completo frente a un cruce en T
+        approachPieces: 2 // Rectas mínimas antes y después del cruce para verlo venir
+      },
+      ramp: {
+        minLanePieces: 2, // Piezas mínimas con carril adicional antes de la salida y después de la entrada
+        maxLanePieces: 4,
+        splitChance: 0.4 // Probabilidad de que el carril termine en una bifurcación en lugar de estrecharse
+      },
+      bridge: {
+        rampPiece: 'slant', // Pieza de las rampas de subida y bajada
+        rampPieces: 2, // Rampas seguidas a cada lado (la altura final coincide con la de los pilares)
+        minSpanPieces: 2, // Rectas elevadas mínimas a cada lado del puente
+        maxSpanPieces: 5 // Rectas elevadas máximas a cada lado del puente
+      }
+    };
+
+    this.reset();
+  }
+
+  reset() {
+    this.started = false;
+    this.turnBalance = 0; // Giros acumulados (positivo a la derecha)
+    this.level = 0; // Altura acumulada en cambios de rasante
+  }
+
+  getStartStretch() {
+    return null;
+  }
+
+  nextPieces(roadManager) {
+    // Tramo recto inicial por delante del jugador
+    if (!this.started) {
+      this.started = true;
+      return Array.from({ length: this.generator.startStraightPieces }, () => straightPiece());
+    }
+    return this.planNextPieces(roadManager);
+  }
+
+  // Decide el siguiente tramo del trazado: una serie de rectas seguida de una curva o un cambio de rasante
+  planNextPieces(roadManager) {
+    const random = roadManager.random;
+    const pieces = [];
+    const straightCount = random.int(this.generator.minStraightPieces, this.generator.maxStraightPieces);
+    for (let i = 0; i < straightCount; i++) {
+      pieces.push(straightPiece());
+    }
+
+    // Elementos posibles según los giros y la altura acumulados
+    const options = [];
+    const weights = this.generator.weights;
+    for (const side of [1, -1]) {
+      if (Math.abs(this.turnBalance + side) <= this.generator.maxTurns) {
+        options.push({ type: 'curve', side: side, weight: weights.curve / 2 });
+        options.push({ type: 'bend', side: side, weight: weights.bend / 2 });
+      }
+      if (this.level + side >= 0 && this.level + side <= this.generator.maxLevel) {
+        options.push({ type: 'slant-curve', side: side, weight: weights.hill / 2 });
+      }
+    }
+    options.push({ type: 'bridge', side: 0, weight: weights.bridge });
+    options.push({ type: 'junction', side: 0, weight: weights.junction });
+    options.push({ type: 'ramp', side: 0, weight: weights.ramp });
+
+    const totalWeight = options.reduce((total, option) => total + option.weight, 0);
+    if (totalWeight <= 0) return pieces;
+
+    let target = random.next() * totalWeight;
+    const choice = options.find(option => (target -= option.weight) < 0) ?? options[options.length - 1];
+
+    if (choice.type === 'bridge') {
+      return pieces.concat(this.planBridge(roadManager));
+    }
+    if (choice.type === 'junction') {
+      return pieces.concat(this.planJunction(roadManager));
+    }
+    if (choice.type === 'ramp') {
+      return pieces.concat(this.planRamp(roadManager));
+    }
+
+    // Las curvas giran a la derecha en su sentido original y a la izquierda recorridas al revés;
+    // los cambios de rasante suben en su sentido original y bajan recorridos al revés
+    if (choice.type === 'slant-curve') {
+      this.level += choice.side;
+    } else {
+      this.turnBalance += choice.side;
+    }
+    pieces.push({ type: choice.type, reversed: choice.side < 0, height: 0 });
+    return pieces;
+  }
+
+  // Tramo elevado: rampas de subida, rectas sobre pilares, una pieza de puente, más rectas sobre pilares
+  // y rampas de bajada hasta el nivel de partida. Por debajo no pasa ninguna carretera
+  planBridge(roadManager) {
+    const random = roadManager.random;
+    const config = this.generator.bridge;
+    const ramp = roadManager.roadPieces[config.rampPiece].centerline;
+    const rampRise = ramp.to[1] - ramp.from[1];
+    const deckHeight = rampRise * config.rampPieces;
+    const pieces = [];
+
+    // Rampas de subida (la altura de cada pieza se mide en su punto medio)
+    for (let i = 0; i < config.rampPieces; i++) {
+      pieces.push({ type: config.rampPiece, reversed: false, height: rampRise * (i + 0.5) });
+    }
+
+    const spanBefore = random.int(config.minSpanPieces, config.maxSpanPieces);
+    for (let i = 0; i < spanBefore; i++) {
+      pieces.push(straightPiece(deckHeight));
+    }
+
+    // El puente apoya en sus propios estribos: no necesita pilares
+    pieces.push({ type: 'bridge', reversed: false, height: deckHeight });
+
+    const spanAfter = random.int(config.minSpanPieces, config.maxSpanPieces);
+    for (let i = 0; i < spanAfter; i++) {
+      pieces.push(straightPiece(deckHeight));
+    }
+
+    // Rampas de bajada: la misma pieza recorrida al revés
+    for (let i = config.rampPieces - 1; i >= 0; i--) {
+      pieces.push({ type: config.rampPiece, reversed: true, height: rampRise * (i + 0.5) });
+    }
+    return pieces;
+  }
+
+  // Cruce a nivel entre rectas; el cruce en T puede abrirse a cualquiera de los dos lados
+  planJunction(roadManager) {
+    const random = roadManager.random;
+    const config = this.generator.junction;
+    const pieces = [];
+
+    for (let i = 0; i < config.approachPieces; i++) {
+      pieces.push(straightPiece());
+    }
+    if (random.chance(config.crossroadChance)) {
+      pieces.push({ type: 'crossroad', reversed: false, height: 0 });
+    } else {
+      pieces.push({ type: 'intersection', reversed: random.chance(0.5), height: 0 });
+    }
+    for (let i = 0; i < config.approachPieces; i++) {
+      pieces.push(straightPiece());
+    }
+    return pieces;
+  }
+
+  // Enlace con una vía de servicio que sale por la derecha en un cruce en T: el carril adicional se abre
+  // antes del cruce para la salida, termina contra la barrera después de él para la entrada, o ambas cosas.
+  // El carril se cierra estrechándose o en una bifurcación recorrida al revés, donde su franja se une a la
+  // carretera principal. Las piezas del carril adicional van al revés para que quede a la derecha
+  planRamp(roadManager) {
+    const random = roadManager.random;
+    const config = this.generator.ramp;
+    const kind = random.pick(['exit', 'entry', 'both']);
+    const lanePiece = (type) => ({ type: type, reversed: true, height: 0 });
+    const pieces = [];
+
+    for (let i = 0; i < this.generator.junction.approachPieces; i++) {
+      pieces.push(straightPiece());
+    }
+    if (kind !== 'entry') {
+      pieces.push(lanePiece('side-entry'));
+      const count = random.int(config.minLanePieces, config.maxLanePieces);
+      for (let i = 0; i < count; i++) {
+        pieces.push(lanePiece('side'));
+      }
+    }
+    pieces.push({ type: 'intersection', reversed: false, height: 0 });
+    if (kind !== 'exit') {
+      const count = random.int(config.minLanePieces, config.maxLanePieces);
+      for (let i = 0; i < count; i++) {
+        pieces.push(lanePiece('side'));
+      }
+    }
+    pieces.push(lanePiece(random.chance(config.splitChance) ? 'split' : 'side-exit'));
+    for (let i = 0; i < this.generator.junction.approachPieces; i++) {
+      pieces.push(straightPiece());
+    }
+    return pieces;
+  }
+}
+
+// Trazado creado a mano (ya validado con parseTrack): sus tramos en orden. Al terminar vuelve a empezar
+// si es un circuito; si no, la carretera sigue en línea recta por un tramo de meta
+export class AuthoredTrackSource {
+  constructor(track, data = null) {
+    this.track = track;
+    this.data = data; // JSON original del trazado, para abrirlo en el editor
+    this.name = track.name;
+    this.title = track.name;
+
+    // Tramo tras la meta: conserva el paisaje del último tramo y no tiene obstáculos
+    const lastStretch = track.stretches[track.stretches.length - 1];
+    this.finishStretch = {
+      name: 'Meta',
+      layout: null,
+      traffic: null,
+      obstacles: { frequency: 0, zoneChance: 0 },
+      scenery: lastStretch.scenery,
+      checkpoint: null,
+      finish: true,
+      pieces: []
+    };
+
+    this.reset();
+  }
+
+  reset() {
+    this.stretchIndex = 0;
+    this.lap = 0;
+  }
+
+  getStartStretch() {
+    return this.track.stretches[0];
+  }
+
+  nextPieces() {
+    if (this.stretchIndex >= this.track.stretches.length) {
+      if (!this.track.loop) {
+        return [{ ...straightPiece(), stretch: this.finishStretch, lap: this.lap }];
+      }
+      this.stretchIndex = 0;
+      this.lap++;
+    }
+
+    const stretch = this.track.stretches[this.stretchIndex++];
+    return stretch.pieces.map(piece => ({
+      type: piece.type,
+      reversed: piece.reversed,
+      height: piece.height,
+      scale: piece.scale,
+      props: piece.props,
+      stretch: stretch,
+      lap: this.lap
+    }));
+  }
+}
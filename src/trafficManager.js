@@ -1,38 +1,51 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { BrakeLights } from './brakeLights.js';
+import { ObjectPool } from './objectPool.js';
+import { getLaneChangeSteering, getLaneChangeTilt } from './laneChange.js';
+import { SeededRandom } from './seededRandom.js';
+import vehicleCatalogue from './data/vehicleCatalogue.json';
+import trafficMixes from './data/trafficMixes.json';
 
 export default class TrafficManager {
   constructor(scene, roadManager) {
     this.scene = scene;
     this.roadManager = roadManager;
+    this.obstacleManager = null; // Se asigna desde GameInit para esquivar las zonas de obras
+    this.playerController = null; // Se asigna desde GameInit para no embestir al jugador por detrás
+    this.random = new SeededRandom(); // GameInit asigna el flujo del tráfico del servicio de semillas
     this.trafficCars = [];
     this.carModels = {};
+    this.carBounds = {}; // Caja local de cada modelo (posición de los pilotos de freno)
     
-    // Lista de modelos de coches disponibles
-    this.carTypes = [
-      'delivery.glb',
-      'firetruck.glb',
-      'garbage-truck.glb',
-      'hatchback-sports.glb',
-      'police.glb',
-      'race-future.glb',
-      'race.glb',
-      'sedan-sports.glb',
-      'sedan.glb',
-      'suv-luxury.glb',
-      'suv.glb',
-      'taxi.glb',
-      'tractor-police.glb',
-      'tractor-shovel.glb',
-      'tractor.glb',
-      'truck-flat.glb',
-      'truck.glb',
-      'van.glb'
-    ];
-    
-    // Configuración de carriles (cambiada según requisitos)
-    this.incomingLanes = [0, 1]; // Carriles 1 y 2 (índices 0 y 1) para tráfico en sentido contrario
-    this.outgoingLanes = [2, 3]; // Carriles 3 y 4 (índices 2 y 3) para tráfico en sentido avance
+    // Instancias reutilizables de cada modelo: los coches eliminados se ocultan y se reciclan.
+    // Todas las instancias de un modelo se dibujan juntas (InstancedMesh) y las lejanas como una caja
+    this.lodDistance = 150; // Distancia a la cámara a partir de la que los coches se dibujan simplificados
+    this.pool = new ObjectPool(scene, { maxIdlePerType: 6, maxInstances: 160, instanced: true, lodDistance: this.lodDistance });
+    this.resetIdlePerType = 2; // Instancias ocultas que se conservan de cada modelo al reiniciar
+    
+    // Catálogo de vehículos: perfil de cada modelo (velocidad, aceleración, medidas, peso de aparición,
+    // carriles y sentidos permitidos y rango de escala)
+    this.vehicleProfiles = vehicleCatalogue;
+    this.carTypes = Object.keys(this.vehicleProfiles);
+    
+    // Vehículos pesados (camiones, tractores y vehículos de servicio grandes)
+    this.heavyVehicleTypes = this.carTypes.filter(type => this.vehicleProfiles[type].heavy);
+    
+    // Vehículos de emergencia: no circulan como tráfico normal, los genera EmergencyVehicleManager
+    this.emergencyVehicleTypes = this.carTypes.filter(type => this.vehicleProfiles[type].emergency);
+    
+    // Mezclas de tráfico: multiplican el peso de aparición de cada modelo (autopista, ciudad, rural...)
+    this.trafficMixes = trafficMixes;
+    this.mixName = 'highway';
+    
+    // Proporción de vehículos pesados (null = según los pesos de la mezcla de tráfico)
+    this.heavyVehicleShare = null;
+    
+    // Carriles de cada sentido, según la distribución de la carretera
+    this.incomingLanes = roadManager.getLanesByDirection('incoming'); // Tráfico en sentido contrario
+    this.outgoingLanes = roadManager.getLanesByDirection('outgoing'); // Tráfico en sentido avance
+    this.extraLane = roadManager.getExtraLane(); // Carril adicional de las entradas y salidas (sentido avance)
     
     // Configuraciones de tráfico separadas por tipo
     // Incoming (tráfico en sentido contrario)
@@ -40,7 +53,7 @@ export default class TrafficManager {
       spawnDistance: 400,
       despawnDistance: 500,
       speed: 1.2, // Valor base para ambas direcciones
-      speedVariation: 0, // Sin variación
+      speedVariation: 0.1, // Variación máxima (±10%) de cada conductor sobre la velocidad de su modelo
       density: 0.6,
       minSpawnInterval: 0.3,
       maxSpawnInterval: 2.0,
@@ -51,12 +64,77 @@ export default class TrafficManager {
       spawnDistance: 400,
       despawnDistance: 500,
       speed: 1.2, // Mismo valor que incoming
-      speedVariation: 0, // Sin variación
+      speedVariation: 0.1, // Variación máxima (±10%) de cada conductor sobre la velocidad de su modelo
       density: 0.6,
       minSpawnInterval: 0.5,
       maxSpawnInterval: 2.5,
     };
     
+    // Factor de escala común para convertir la velocidad de configuración en unidades de mundo
+    this.speedScaleFactor = 0.3;
+    
+    // Parámetros de incorporación cuando un carril se cierra por delante
+    this.mergeDistance = 80; // Distancia al cierre a la que se busca otro carril
+    this.laneChangeDuration = 1.2; // Segundos que dura un cambio de carril
+    this.laneChangeGap = 12; // Hueco libre necesario en el carril de destino
+    this.laneChangeSteeringAngle = Math.PI / 12; // Giro máximo del coche durante el cambio de carril
+    
+    // Modelo de seguimiento (Intelligent Driver Model): cada coche ajusta su velocidad
+    // a la del vehículo de delante en su carril. Distancias en unidades de mundo y tiempos en segundos
+    this.carFollowing = {
+      maxAcceleration: 4, // Aceleración máxima (unidades/s²)
+      comfortableDeceleration: 6, // Frenada cómoda (unidades/s²)
+      maxDeceleration: 40, // Frenada de emergencia, límite físico (unidades/s²)
+      minGap: 3, // Hueco mínimo con el vehículo de delante estando parado
+      timeHeadway: 1.0, // Tiempo de separación deseado con el vehículo de delante
+      accelerationExponent: 4,
+      brakeThreshold: 1.5 // Desaceleración a partir de la que se encienden las luces de freno
+    };
+    
+    // Decisión de adelantar (modelo MOBIL simplificado): se cambia de carril si la aceleración
+    // que se ganaría compensa y el coche que quedaría detrás no tiene que frenar en exceso
+    this.overtaking = {
+      checkInterval: 0.5, // Segundos entre evaluaciones de cada coche
+      cooldown: 4, // Segundos sin volver a cambiar de carril tras una maniobra
+      lookahead: 40, // Solo se plantea adelantar si el vehículo de delante está a menos de esta distancia
+      minAdvantage: 0.8, // Ganancia mínima de aceleración para compensar el cambio (unidades/s²)
+      safeDeceleration: 4 // Frenada máxima que se puede imponer al coche que queda detrás (unidades/s²)
+    };
+    
+    // Tráfico transversal de los cruces: cada cruce tiene su propio ritmo de oleadas de coches que
+    // atraviesan la carretera a lo largo de X, separadas por ventanas en las que la calzada queda libre
+    // el tiempo suficiente para que el jugador pueda cruzar
+    this.crossTraffic = {
+      activeAhead: 400, // Distancia por delante del jugador a la que un cruce empieza a tener tráfico
+      activeBehind: 150, // Distancia por detrás del jugador a la que deja de tenerlo
+      speedRange: [10, 16], // Velocidad de los coches de cada cruce (unidades/s)
+      laneOffset: 0.2, // Separación de cada sentido respecto al eje de la transversal (fracción del largo del cruce)
+      carsPerWave: [1, 4], // Coches de cada oleada
+      carGap: 9, // Separación entre coches seguidos del mismo sentido (unidades)
+      minClearTime: 2.5, // Segundos mínimos con la calzada libre entre dos oleadas
+      maxClearTime: 5,
+      yieldTime: 1.5, // El tráfico de la carretera se detiene si un coche transversal va a entrar en este tiempo
+      stopLookahead: 60 // Distancia a la que el tráfico de la carretera empieza a mirar el cruce
+    };
+    this.junctions = new Map(); // Estado de cada cruce con tráfico, por su pieza del trazado
+    
+    // Entradas y salidas: un tramo con carril adicional que pasa por un cruce en T es un enlace con una vía
+    // de servicio. Por la entrada llegan coches que giran al carril adicional y buscan hueco en la carretera
+    // antes de que se acabe; por la salida se van coches del carril lento
+    this.rampTraffic = {
+      activeAhead: 400, // Distancia por delante del jugador a la que un enlace empieza a tener tráfico
+      activeBehind: 100, // Distancia por detrás del jugador a la que deja de tenerlo
+      speed: 12, // Velocidad en la vía de servicio y en el giro (unidades/s)
+      turnRadius: 6, // Radio del giro entre la vía de servicio y el carril adicional
+      spawnInterval: [2, 6], // Segundos entre los coches que llegan por cada entrada
+      minLaneLength: 40, // Carril adicional mínimo tras el cruce (entrada) o antes de él (salida)
+      yieldDistance: 30, // Distancia al giro a la que los coches de la entrada miran si el carril está libre
+      exitChance: 0.35, // Probabilidad de que un coche del carril lento tome la salida
+      exitLookahead: 150, // Distancia al giro a la que los coches deciden si salen
+      minExitDistance: 20 // Si no se han pasado al carril adicional a esta distancia del giro, siguen de largo
+    };
+    this.ramps = new Map(); // Estado de cada enlace con tráfico, por su tramo con carril adicional
+    
     // Control de tiempo para generar coches
     this.lastIncomingSpawnTime = 0;
     this.lastOutgoingSpawnTime = 0;
@@ -97,6 +175,8 @@ export default class TrafficManager {
           
           // Guardar el modelo en nuestro objeto
           this.carModels[carType] = model;
+          this.carBounds[carType] = new THREE.Box3().setFromObject(model);
+          this.pool.register(carType, model);
           resolve();
         });
       });
@@ -129,6 +209,12 @@ export default class TrafficManager {
       this.nextOutgoingSpawnInterval = this.getRandomOutgoingSpawnInterval();
     }
     
+    // Oleadas de tráfico transversal en los cruces cercanos
+    this.updateCrossTraffic(deltaTime, playerZPosition);
+    
+    // Coches que llegan por las entradas y se van por las salidas de los enlaces cercanos
+    this.updateRamps(deltaTime, playerZPosition);
+    
     // Actualizar posición de todos los coches de tráfico
     this.updateTrafficCars(deltaTime, playerZPosition);
     
@@ -156,7 +242,7 @@ export default class TrafficManager {
           const car = this.trafficCars[i];
           if (car.direction === direction) {
             // Para incoming, el más lejano es el que tiene Z más negativo
-            const distance = playerZPosition - car.model.position.z;
+            const distance = playerZPosition - car.position.z;
             if (distance > farthestDistance) {
               farthestDistance = distance;
               farthestCarIndex = i;
@@ -166,8 +252,7 @@ export default class TrafficManager {
         
         // Si encontramos un coche para eliminar
         if (farthestCarIndex >= 0) {
-          const carToRemove = this.trafficCars[farthestCarIndex];
-          this.scene.remove(carToRemove.model);
+          this.recycleCar(this.trafficCars[farthestCarIndex]);
           this.trafficCars.splice(farthestCarIndex, 1);
         }
       } else {
@@ -177,9 +262,10 @@ export default class TrafficManager {
         
         for (let i = 0; i < this.trafficCars.length; i++) {
           const car = this.trafficCars[i];
-          if (car.direction === direction) {
+          // Los vehículos con sirena los gestiona su propio gestor
+          if (car.direction === direction && !car.emergency && !car.police) {
             // Para outgoing, el más lejano detrás es el que tiene Z más positivo
-            const distance = car.model.position.z - playerZPosition;
+            const distance = car.position.z - playerZPosition;
             if (distance > farthestDistance) {
               farthestDistance = distance;
               farthestCarIndex = i;
@@ -189,8 +275,7 @@ export default class TrafficManager {
         
         // Si encontramos un coche para eliminar
         if (farthestCarIndex >= 0) {
-          const carToRemove = this.trafficCars[farthestCarIndex];
-          this.scene.remove(carToRemove.model);
+          this.recycleCar(this.trafficCars[farthestCarIndex]);
           this.trafficCars.splice(farthestCarIndex, 1);
         }
       }
@@ -213,7 +298,7 @@ export default class TrafficManager {
           ? playerZPosition - config.spawnDistance // Spawn delante del jugador para incoming
           : playerZPosition - config.spawnDistance; // Spawn delante del jugador para outgoing
         
-        const carIsNearSpawn = Math.abs(car.model.position.z - spawnPoint) < safeDistance;
+        const carIsNearSpawn = Math.abs(car.position.z - spawnPoint) < safeDistance;
         
         if (carIsNearSpawn) {
           // Eliminar el carril del coche cercano de los disponibles
@@ -222,101 +307,998 @@ export default class TrafficManager {
       }
     }
     
+    // Descartar los carriles cerrados por obras u obstáculos en el punto de spawn
+    if (this.obstacleManager) {
+      const spawnPoint = playerZPosition - config.spawnDistance;
+      availableLanes = availableLanes.filter(lane => !this.obstacleManager.isLaneClosed(lane, spawnPoint));
+    }
+    
     if (availableLanes.length === 0) return; // No hay carriles seguros disponibles
     
-    // Seleccionar un carril aleatorio para el tráfico
-    const laneIndex = availableLanes[Math.floor(Math.random() * availableLanes.length)];
+    // Seleccionar un modelo según los pesos de la mezcla de tráfico y un carril libre de los que admite
+    const modelType = this.selectCarType(direction, availableLanes);
+    if (!modelType) return;
+    
+    const profile = this.vehicleProfiles[modelType];
+    const allowedLanes = this.getAllowedLanes(modelType, direction).filter(lane => availableLanes.includes(lane));
+    const laneIndex = this.random.pick(allowedLanes);
     
-    // Seleccionar un modelo aleatorio
-    const modelType = this.carTypes[Math.floor(Math.random() * this.carTypes.length)];
-    const originalModel = this.carModels[modelType];
+    // Cada coche quiere circular a su propia velocidad: la de su modelo con algo de variación del conductor
+    const modelFactor = this.random.float(profile.speedRange[0], profile.speedRange[1]);
+    const speedFactor = modelFactor * (1 + this.random.float(-1, 1) * config.speedVariation);
+    
+    // Añadir el coche a la distancia configurada delante del jugador, ya circulando a su velocidad deseada
+    const car = this.addCar(
+      modelType,
+      laneIndex,
+      playerZPosition - config.spawnDistance,
+      direction,
+      config.speed * speedFactor,
+      { speedFactor: speedFactor }
+    );
+    if (!car) return;
+    
+    // Aplicar una escala aleatoria para variedad visual, dentro del rango del modelo
+    const scale = this.random.float(profile.scaleRange[0], profile.scaleRange[1]);
+    car.model.scale.set(scale, scale, scale);
+  }
+
+  // Añade un coche concreto al tráfico (también lo usan los vehículos especiales como los de emergencia).
+  // speed es la velocidad inicial; la velocidad deseada sale de speedFactor o de la propiedad desiredSpeed
+  addCar(modelType, laneIndex, zPosition, direction, speed, properties = {}) {
+    // Reutilizar una instancia oculta del modelo o crear una nueva si no queda ninguna
+    const carModel = this.pool.acquire(modelType);
+    if (!carModel) return null;
+    
+    // Una instancia reciclada conserva la escala de su uso anterior
+    carModel.scale.setScalar(1);
+    
+    // Los pilotos de freno se crean una vez por instancia y se reutilizan con ella
+    if (!carModel.userData.brakeLights) {
+      carModel.userData.brakeLights = new BrakeLights(carModel, this.carBounds[modelType]);
+    }
+    carModel.userData.brakeLights.setBraking(false);
+    
+    // Posicionar el coche en el carril seleccionado. La posición y el giro se expresan en el espacio
+    // del trazado (X lateral, Z negativo = distancia recorrida); el modelo se coloca a partir de ellos
+    const position = new THREE.Vector3(
+      this.roadManager.getLaneOffset(laneIndex),
+      this.roadManager.getSurfaceHeight(), // Altura sobre la calzada (el trazado añade la de la carretera)
+      zPosition
+    );
+    
+    // 0 grados para ir en sentido contrario (hacia el jugador), 180 para ir en el mismo sentido que el jugador
+    const rotation = new THREE.Euler(0, direction === 'incoming' ? 0 : Math.PI, 0);
+    this.roadManager.placeOnTrack(carModel, position, rotation);
+    
+    const car = {
+      model: carModel,
+      position: position,
+      rotation: rotation,
+      modelType: modelType,
+      lane: laneIndex,
+      speed: speed,
+      direction: direction,
+      acceleration: 0,
+      maxAcceleration: this.vehicleProfiles[modelType].acceleration,
+      brakeLights: carModel.userData.brakeLights,
+      ...properties
+    };
+    
+    // Añadir el coche a nuestro array (la instancia ya está en la escena)
+    this.trafficCars.push(car);
+    
+    return car;
+  }
+
+  getMixNames() {
+    return Object.keys(this.trafficMixes);
+  }
+
+  setMix(mixName) {
+    if (!this.trafficMixes[mixName]) {
+      console.warn(`Mezcla de tráfico desconocida: ${mixName}`);
+      return;
+    }
+    this.mixName = mixName;
+  }
+
+  // Peso de aparición de un modelo en la mezcla de tráfico actual
+  getSpawnWeight(modelType) {
+    const mixWeights = this.trafficMixes[this.mixName].weights;
+    return this.vehicleProfiles[modelType].spawnWeight * (mixWeights[modelType] ?? 1);
+  }
+
+  // Carriles de una dirección ordenados desde su borde exterior de la carretera hacia el centro.
+  // El sentido contrario circula por la izquierda y el de avance por la derecha
+  getLanesFromEdge(direction) {
+    const lanes = direction === 'incoming' ? this.incomingLanes : this.outgoingLanes;
+    return [...lanes].sort((a, b) => direction === 'incoming' ? a - b : b - a);
+  }
+
+  // Carriles por los que puede circular un modelo en una dirección. En el perfil, "lanes" indica
+  // posiciones contadas desde el borde exterior (0 = carril lento); null permite todos los carriles
+  getAllowedLanes(modelType, direction) {
+    const profile = this.vehicleProfiles[modelType];
+    const lanes = this.getLanesFromEdge(direction);
+    if (!profile.lanes) return lanes;
     
-    if (!originalModel) return;
+    return lanes.filter((lane, position) => profile.lanes.includes(position));
+  }
+
+  // Elección ponderada de un modelo que pueda circular en la dirección y en alguno de los carriles dados
+  selectCarType(direction, availableLanes) {
+    // Los vehículos de emergencia tienen su propio comportamiento y no aparecen como tráfico normal
+    const candidates = this.carTypes.filter(type =>
+      !this.emergencyVehicleTypes.includes(type) &&
+      this.vehicleProfiles[type].directions.includes(direction) &&
+      this.getAllowedLanes(type, direction).some(lane => availableLanes.includes(lane)) &&
+      this.getSpawnWeight(type) > 0
+    );
     
-    // Clonar el modelo para este coche específico
-    const carModel = originalModel.clone();
+    return this.pickCarType(candidates);
+  }
+  
+  // Elección ponderada entre unos modelos según la mezcla de tráfico y la proporción de pesados
+  pickCarType(candidates) {
+    let pool = candidates;
+    if (this.heavyVehicleShare !== null) {
+      // Elegir primero entre vehículo pesado o ligero según la proporción configurada
+      const useHeavy = this.random.chance(this.heavyVehicleShare);
+      const group = candidates.filter(type => this.heavyVehicleTypes.includes(type) === useHeavy);
+      if (group.length > 0) pool = group;
+    }
     
-    // Posicionar el coche en el carril seleccionado
-    const xPos = this.roadManager.getLanePosition(laneIndex);
-    carModel.position.x = xPos;
-    carModel.position.y = 0.2; // Altura sobre la carretera
+    const totalWeight = pool.reduce((total, type) => total + this.getSpawnWeight(type), 0);
+    let target = this.random.next() * totalWeight;
+    for (const type of pool) {
+      target -= this.getSpawnWeight(type);
+      if (target < 0) return type;
+    }
     
-    // Configurar según dirección
-    if (direction === 'incoming') {
-      // Tráfico en sentido contrario (hacia el jugador)
-      carModel.rotation.y = 0; // 0 grados para ir en dirección contraria correctamente
+    return pool[pool.length - 1] ?? null;
+  }
+
+  updateTrafficCars(deltaTime, playerZPosition) {
+    for (const car of this.trafficCars) {
+      // Los coches de los cruces y de las vías de servicio siguen su propia carretera
+      if (car.direction === 'cross' || car.direction === 'ramp') continue;
       
-      // Posicionar a la distancia configurada desde el jugador
-      carModel.position.z = playerZPosition - config.spawnDistance;
+      // Pasarse al carril adicional y girar en la salida de un enlace
+      this.updateRampExit(car);
+      if (car.direction === 'ramp') continue;
       
-      // Velocidad fija para coches entrantes (sin variación)
-      const speed = config.speed;
+      // Incorporarse a otro carril si el actual se cierra por delante; si no es posible, frenar antes del cierre
+      const closureDistance = this.updateLaneClosure(car);
       
-      // Añadir el coche a nuestro array
-      this.trafficCars.push({
-        model: carModel,
-        lane: laneIndex,
-        speed: speed,
-        direction: 'incoming'
-      });
-    } else {
-      // Tráfico en sentido de avance (igual que el jugador)
-      carModel.rotation.y = Math.PI; // 180 grados para ir en la misma dirección que el jugador
+      // Adelantar a los vehículos más lentos cambiando a un carril contiguo de su sentido
+      this.updateOvertaking(car, deltaTime);
       
-      // Posicionar a la distancia configurada sin multiplicar por un factor adicional
-      carModel.position.z = playerZPosition - config.spawnDistance;
+      // Ajustar la velocidad al vehículo de delante y avanzar
+      this.updateCarSpeed(car, closureDistance, deltaTime);
+      const moveAmount = car.speed * this.speedScaleFactor * deltaTime * 60;
       
-      // Velocidad fija para coches salientes (sin variación)
-      const speed = config.speed;
+      if (car.direction === 'incoming') {
+        // Tráfico en sentido contrario avanza en Z positivo (hacia el jugador)
+        car.position.z += moveAmount;
+      } else {
+        // Tráfico en sentido de avance se mueve en Z negativo (igual que el jugador)
+        car.position.z -= moveAmount;
+      }
+      
+      if (car.laneChange) {
+        // Desplazamiento lateral hacia el nuevo carril
+        this.updateLaneChange(car, deltaTime);
+      } else if (this.random.chance(0.05)) { // Solo ocasionalmente
+        // Añadir pequeña variación aleatoria en la dirección para naturalidad
+        const baseRotation = car.direction === 'incoming' ? 0 : Math.PI;
+        car.rotation.y = baseRotation + this.random.float(-0.02, 0.02);
+      }
+    }
+    
+    // Mostrar información de depuración ocasionalmente. Con Math.random para no consumir el flujo con semilla
+    if (Math.random() < 0.01) { // Aproximadamente cada 100 frames
+      const incomingCount = this.trafficCars.filter(car => car.direction === 'incoming').length;
+      const outgoingCount = this.trafficCars.filter(car => car.direction === 'outgoing').length;
+      console.log(`Estado del tráfico: ${incomingCount} coches entrantes, ${outgoingCount} coches salientes`);
+    }
+  }
+
+  // Devuelve la distancia al cierre del carril ante el que el coche debe detenerse por no poder
+  // incorporarse a otro (Infinity si no hay ninguno)
+  updateLaneClosure(car) {
+    if (car.laneChange || car.crashed) return Infinity;
+    
+    const zDirection = car.direction === 'incoming' ? 1 : -1;
+    const z = car.position.z;
+    let closureDistance = this.obstacleManager ? this.obstacleManager.getClosureDistance(car.lane, z, zDirection) : Infinity;
+    let mergeDistance = this.mergeDistance;
+    
+    // El carril adicional se acaba al final de su tramo: quien llega por la entrada busca hueco desde el
+    // principio y quien va a la salida gira antes
+    if (car.lane === this.extraLane) {
+      if (car.rampExit) return Infinity;
+      closureDistance = Math.min(closureDistance, this.getLaneEndDistance(car));
+      mergeDistance = Infinity;
+    }
+    if (closureDistance > mergeDistance) return Infinity;
+    
+    // Buscar un carril contiguo del mismo sentido que siga abierto y tenga hueco
+    if (this.moveAside(car, closureDistance)) return Infinity;
+    
+    return closureDistance;
+  }
+
+  // Velocidad deseada del coche en la escala de configuración: la fija su gestor (desiredSpeed)
+  // o sale de la velocidad base de su dirección y su factor propio
+  getDesiredSpeed(car) {
+    if (car.desiredSpeed !== undefined) return car.desiredSpeed;
+    
+    const config = car.direction === 'incoming' ? this.incomingConfig : this.outgoingConfig;
+    return config.speed * (car.speedFactor ?? 1);
+  }
+
+  // Medidas del vehículo según su perfil, escaladas como el modelo
+  getCarLength(car) {
+    return this.vehicleProfiles[car.modelType].length * car.model.scale.z;
+  }
+
+  getCarWidth(car) {
+    return this.vehicleProfiles[car.modelType].width * car.model.scale.x;
+  }
+
+  // Un coche ocupa su carril y, mientras cambia de carril, también aquel por el que todavía pasa su carrocería
+  occupiesLane(car, lane) {
+    if (car.lane === lane) return true;
+    if (!car.laneChange) return false;
+    
+    const lateralDistance = Math.abs(car.position.x - this.roadManager.getLaneOffset(lane));
+    return lateralDistance < (this.roadManager.getLaneWidth() + this.getCarWidth(car)) / 2;
+  }
+
+  // Vehículo más cercano por delante en un carril (por defecto el del coche) y en su mismo sentido,
+  // el jugador incluido. Devuelve el hueco entre ambos y la velocidad del de delante en el sentido
+  // de la marcha, en unidades de mundo
+  findLeader(car, lane = car.lane) {
+    const zDirection = car.direction === 'incoming' ? 1 : -1;
+    const z = car.position.z;
+    const halfLength = this.getCarLength(car) / 2;
+    let leader = null;
+    
+    for (const other of this.trafficCars) {
+      if (other === car || other.lane !== lane || other.direction !== car.direction) continue;
+      
+      const distance = (other.position.z - z) * zDirection;
+      if (distance <= 0 || (leader && distance >= leader.distance)) continue;
+      
+      leader = {
+        distance: distance,
+        gap: distance - halfLength - this.getCarLength(other) / 2,
+        speed: other.speed * this.speedScaleFactor * 60
+      };
+    }
+    
+    // El jugador circula en el mismo sentido que el tráfico de avance
+    const player = this.playerController;
+    if (car.direction === 'outgoing' && this.isPlayerInLane(lane)) {
+      const distance = z - player.position.z;
+      
+      if (distance > 0 && (!leader || distance < leader.distance)) {
+        leader = {
+          distance: distance,
+          gap: distance - halfLength - this.getPlayerLength() / 2,
+          speed: player.getWorldVelocity().length()
+        };
+      }
+    }
+    
+    return leader;
+  }
+
+  // Coche de tráfico más cercano por detrás en un carril y en el mismo sentido que el coche dado
+  findFollower(car, lane) {
+    const zDirection = car.direction === 'incoming' ? 1 : -1;
+    const z = car.position.z;
+    let follower = null;
+    let followerDistance = Infinity;
+    
+    for (const other of this.trafficCars) {
+      if (other === car || other.lane !== lane || other.direction !== car.direction) continue;
+      
+      const distance = (z - other.position.z) * zDirection;
+      if (distance > 0 && distance < followerDistance) {
+        follower = other;
+        followerDistance = distance;
+      }
+    }
+    
+    return follower ? { car: follower, distance: followerDistance } : null;
+  }
+
+  isPlayerInLane(lane) {
+    const player = this.playerController;
+    if (!player || !player.carModel) return false;
+    return player.currentLane === lane || (player.movingLane && player.targetLane === lane);
+  }
+
+  getPlayerLength() {
+    if (!this.playerLength) {
+      const size = this.playerController.bounds.getSize(new THREE.Vector3());
+      this.playerLength = size.z;
+    }
+    return this.playerLength;
+  }
+
+  // Intelligent Driver Model: aceleración hacia la velocidad deseada menos la frenada necesaria para mantener
+  // un hueco seguro con cada obstáculo por delante ({ gap, speed } en unidades de mundo)
+  computeAcceleration(car, obstacles) {
+    const params = this.carFollowing;
+    const speed = car.speed * this.speedScaleFactor * 60;
+    const desiredSpeed = Math.max(this.getDesiredSpeed(car) * this.speedScaleFactor * 60, 0.1);
+    
+    // Los vehículos especiales pueden usar una aceleración y un tiempo de separación propios
+    const maxAcceleration = car.maxAcceleration ?? params.maxAcceleration;
+    const timeHeadway = car.timeHeadway ?? params.timeHeadway;
+    
+    // Término libre: acercarse a la velocidad deseada
+    let acceleration = maxAcceleration * (1 - Math.pow(speed / desiredSpeed, params.accelerationExponent));
+    
+    // Término de interacción con el obstáculo más restrictivo
+    let interaction = 0;
+    for (const obstacle of obstacles) {
+      if (!obstacle) continue;
+      
+      const gap = Math.max(obstacle.gap, 0.01);
+      const approachRate = speed - obstacle.speed;
+      const desiredGap = params.minGap + Math.max(0,
+        speed * timeHeadway +
+        (speed * approachRate) / (2 * Math.sqrt(maxAcceleration * params.comfortableDeceleration))
+      );
+      interaction = Math.max(interaction, maxAcceleration * Math.pow(desiredGap / gap, 2));
+    }
+    acceleration -= interaction;
+    
+    return THREE.MathUtils.clamp(acceleration, -params.maxDeceleration, maxAcceleration);
+  }
+
+  // Ajusta la velocidad al vehículo de delante y a un posible cierre de carril (como si fuera un vehículo parado)
+  updateCarSpeed(car, closureDistance, deltaTime) {
+    if (car.crashed) {
+      car.speed = 0;
+      car.brakeLights.setBraking(true);
+      return;
+    }
+    
+    const toWorld = this.speedScaleFactor * 60;
+    const obstacles = [this.findLeader(car)];
+    if (closureDistance !== Infinity) {
+      obstacles.push({ gap: closureDistance - this.getCarLength(car) / 2, speed: 0 });
+    }
+    
+    // Detenerse antes de un cruce por el que está pasando el tráfico transversal
+    const stopDistance = this.getJunctionStopDistance(car);
+    if (stopDistance !== Infinity) {
+      obstacles.push({ gap: stopDistance - this.getCarLength(car) / 2, speed: 0 });
+    }
+    
+    const acceleration = this.computeAcceleration(car, obstacles);
+    car.acceleration = acceleration;
+    car.speed = Math.max(0, car.speed * toWorld + acceleration * deltaTime) / toWorld;
+    
+    // Pilotos de freno encendidos al desacelerar con fuerza o al quedarse parado
+    car.brakeLights.setBraking(acceleration < -this.carFollowing.brakeThreshold || car.speed * toWorld < 0.5);
+  }
+
+  // Cambia de carril para adelantar cuando el vehículo de delante le obliga a ir más despacio de lo que quiere
+  updateOvertaking(car, deltaTime) {
+    // Los vehículos con sirena deciden sus propios cambios de carril; los que van a una salida no se apartan de ella
+    if (car.laneChange || car.crashed || car.emergency || car.police || car.rampExit) return;
+    
+    const config = this.overtaking;
+    car.laneChangeTimer = (car.laneChangeTimer ?? this.random.next() * config.checkInterval) - deltaTime;
+    if (car.laneChangeTimer > 0) return;
+    car.laneChangeTimer = config.checkInterval;
+    
+    const leader = this.findLeader(car);
+    if (!leader || leader.gap > config.lookahead) return;
+    
+    const zDirection = car.direction === 'incoming' ? 1 : -1;
+    const z = car.position.z;
+    const lanes = this.getAllowedLanes(car.modelType, car.direction);
+    const currentAcceleration = this.computeAcceleration(car, [leader]);
+    
+    let bestLane = null;
+    let bestAdvantage = config.minAdvantage;
+    
+    for (const lane of lanes.filter(candidate => Math.abs(candidate - car.lane) === 1)) {
+      // No meterse en un carril que se cierra por delante
+      if (this.obstacleManager && this.obstacleManager.getClosureDistance(lane, z, zDirection) <= this.mergeDistance) {
+        continue;
+      }
+      if (!this.isLaneGapFree(lane, z, car) || !this.isLaneChangeSafe(car, lane)) continue;
+      
+      const advantage = this.computeAcceleration(car, [this.findLeader(car, lane)]) - currentAcceleration;
+      if (advantage > bestAdvantage) {
+        bestLane = lane;
+        bestAdvantage = advantage;
+      }
+    }
+    
+    if (bestLane !== null) {
+      this.startLaneChange(car, bestLane);
+      car.laneChangeTimer = config.cooldown;
+    }
+  }
+
+  // El coche que quedaría detrás en el carril de destino no debe verse obligado a frenar en exceso
+  isLaneChangeSafe(car, lane) {
+    const follower = this.findFollower(car, lane);
+    if (!follower) return true;
+    
+    const gap = follower.distance - (this.getCarLength(car) + this.getCarLength(follower.car)) / 2;
+    const speed = car.speed * this.speedScaleFactor * 60;
+    const followerAcceleration = this.computeAcceleration(follower.car, [{ gap: gap, speed: speed }]);
+    return followerAcceleration >= -this.overtaking.safeDeceleration;
+  }
+
+  // Intenta cambiar el coche a un carril contiguo de su mismo sentido que esté libre.
+  // Si se indica una distancia, el carril de destino no puede cerrarse antes de ella.
+  moveAside(car, minOpenDistance = 0) {
+    if (car.laneChange) return false;
+    
+    const zDirection = car.direction === 'incoming' ? 1 : -1;
+    const z = car.position.z;
+    const lanes = car.direction === 'incoming' ? this.incomingLanes : this.outgoingLanes;
+    const candidates = lanes.filter(lane => Math.abs(lane - car.lane) === 1);
+    
+    for (const lane of candidates) {
+      const closedAhead = this.obstacleManager &&
+        this.obstacleManager.getClosureDistance(lane, z, zDirection) <= minOpenDistance;
+      if (!closedAhead && this.isLaneGapFree(lane, z, car)) {
+        this.startLaneChange(car, lane);
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  // Comprueba que no haya ningún vehículo (el jugador incluido) cerca de una posición de un carril
+  isLaneGapFree(lane, z, ignoreCar = null) {
+    if (this.isPlayerInLane(lane) && Math.abs(this.playerController.position.z - z) < this.laneChangeGap) {
+      return false;
+    }
+    
+    return !this.trafficCars.some(other =>
+      other !== ignoreCar &&
+      this.occupiesLane(other, lane) &&
+      Math.abs(other.position.z - z) < this.laneChangeGap + this.getCarLength(other) / 2
+    );
+  }
+
+  startLaneChange(car, targetLane) {
+    car.laneChange = {
+      fromX: car.position.x,
+      toX: this.roadManager.getLaneOffset(targetLane),
+      progress: 0
+    };
+    // El carril de destino queda reservado desde el inicio de la maniobra
+    car.lane = targetLane;
+  }
+
+  // Animación del cambio de carril igual que la del jugador: giro del volante e inclinación de la carrocería
+  updateLaneChange(car, deltaTime) {
+    const change = car.laneChange;
+    change.progress = Math.min(change.progress + deltaTime / this.laneChangeDuration, 1);
+    
+    car.position.x = THREE.MathUtils.lerp(change.fromX, change.toX, change.progress);
+    
+    const baseRotation = car.direction === 'incoming' ? 0 : Math.PI;
+    const lateralDirection = Math.sign(change.toX - change.fromX);
+    const zDirection = car.direction === 'incoming' ? 1 : -1;
+    
+    // Rotación en Y (volante) hacia el carril de destino según el sentido de la marcha
+    const steeringFactor = getLaneChangeSteering(change.progress);
+    car.rotation.y = baseRotation + lateralDirection * zDirection * this.laneChangeSteeringAngle * steeringFactor;
+    
+    // Inclinación lateral (rotación en Z), con el signo corregido para los coches que vienen de frente
+    car.rotation.z = -zDirection * lateralDirection * getLaneChangeTilt(change.progress);
+    
+    if (change.progress >= 1) {
+      car.position.x = change.toX;
+      car.rotation.y = baseRotation;
+      car.rotation.z = 0;
+      car.laneChange = null;
+    }
+  }
+
+  // Activa los cruces cercanos al jugador, lanza sus oleadas y mueve sus coches a lo largo de la transversal.
+  // Solo los cruces completos tienen tráfico transversal: en los cruces en T no hay por dónde seguir
+  updateCrossTraffic(deltaTime, playerZPosition) {
+    const config = this.crossTraffic;
+    const playerDistance = -playerZPosition;
+    const active = this.roadManager.getJunctions(playerDistance - config.activeBehind, playerDistance + config.activeAhead)
+      .filter(piece => piece.branches.length === 2);
+    
+    for (const piece of active) {
+      if (this.junctions.has(piece)) continue;
       
-      // Añadir el coche a nuestro array
-      this.trafficCars.push({
-        model: carModel,
-        lane: laneIndex,
-        speed: speed,
-        direction: 'outgoing'
+      // Cada cruce con su propia velocidad y su propio desfase
+      this.junctions.set(piece, {
+        piece: piece,
+        speed: this.random.float(config.speedRange[0], config.speedRange[1]),
+        waveTimer: this.random.float(0, config.maxClearTime),
+        pending: [], // Coches de la oleada en curso que aún no han salido
+        held: false // Algún coche espera a que los de la carretera dejen libre el cruce
       });
     }
     
-    // Aplicar una escala aleatoria para variedad visual
-    const scale = 0.9 + Math.random() * 0.2; // Entre 0.9 y 1.1
-    carModel.scale.set(scale, scale, scale);
+    for (const [piece, junction] of this.junctions) {
+      if (!active.includes(piece)) {
+        this.junctions.delete(piece);
+        continue;
+      }
+      
+      // Mientras un coche espera a que se vacíe el cruce, la siguiente oleada también espera: así se
+      // conserva la ventana libre tras la oleada en curso
+      if (!junction.held) {
+        junction.waveTimer -= deltaTime;
+      }
+      junction.held = false;
+      if (junction.waveTimer <= 0) {
+        this.startCrossWave(junction);
+      }
+      
+      for (const entry of junction.pending) {
+        entry.delay -= deltaTime;
+        if (entry.delay <= 0) {
+          this.addCrossCar(junction, entry.side);
+        }
+      }
+      junction.pending = junction.pending.filter(entry => entry.delay > 0);
+    }
+    
+    for (const car of this.trafficCars) {
+      if (car.direction === 'cross') {
+        this.updateCrossCar(car, deltaTime);
+      }
+    }
+  }
+  
+  // Mueve un coche a lo largo de la transversal siguiendo al de delante. Antes de entrar en la calzada
+  // se detiene si algún coche de la carretera está dentro del cruce
+  updateCrossCar(car, deltaTime) {
+    if (car.crashed) {
+      car.speed = 0;
+      car.brakeLights.setBraking(true);
+      return;
+    }
+    
+    const toWorld = this.speedScaleFactor * 60;
+    const obstacles = [this.findCrossLeader(car)];
+    
+    const stopLine = -this.roadManager.getRoadWidth() / 2;
+    const front = car.position.x * car.crossDirection + this.getCarLength(car) / 2;
+    if (front <= stopLine && this.isJunctionOccupied(car.junction)) {
+      obstacles.push({ gap: stopLine - front, speed: 0 });
+      car.junction.held = true;
+    }
+    
+    const acceleration = this.computeAcceleration(car, obstacles);
+    car.acceleration = acceleration;
+    car.speed = Math.max(0, car.speed * toWorld + acceleration * deltaTime) / toWorld;
+    car.brakeLights.setBraking(acceleration < -this.carFollowing.brakeThreshold || car.speed * toWorld < 0.5);
+    
+    car.position.x += car.crossDirection * car.speed * toWorld * deltaTime;
+  }
+  
+  // Coche transversal más cercano por delante en el mismo sentido del mismo cruce
+  findCrossLeader(car) {
+    const halfLength = this.getCarLength(car) / 2;
+    let leader = null;
+    
+    for (const other of this.trafficCars) {
+      if (other === car || other.junction !== car.junction || other.crossDirection !== car.crossDirection) continue;
+      
+      const distance = (other.position.x - car.position.x) * car.crossDirection;
+      if (distance <= 0 || (leader && distance >= leader.distance)) continue;
+      
+      leader = {
+        distance: distance,
+        gap: distance - halfLength - this.getCarLength(other) / 2,
+        speed: other.speed * this.speedScaleFactor * 60
+      };
+    }
+    
+    return leader;
+  }
+  
+  // Un cruce está ocupado si algún coche de la carretera tiene parte de la carrocería dentro
+  isJunctionOccupied(junction) {
+    const { piece } = junction;
+    
+    return this.trafficCars.some(car => {
+      if (car.lane === null) return false;
+      
+      const distance = -car.position.z;
+      const halfLength = this.getCarLength(car) / 2;
+      return distance + halfLength > piece.startDistance && distance - halfLength < piece.endDistance;
+    });
+  }
+  
+  // Programa una oleada de coches en sentidos al azar y la espera hasta la siguiente: lo que tarda en
+  // salir la oleada, lo que tarda su último coche en dejar libre la calzada y una ventana libre
+  startCrossWave(junction) {
+    const config = this.crossTraffic;
+    const count = this.random.int(config.carsPerWave[0], config.carsPerWave[1]);
+    const spacing = config.carGap / junction.speed;
+    const nextDelay = { '-1': 0, '1': 0 };
+    let duration = 0;
+    
+    for (let i = 0; i < count; i++) {
+      const side = this.random.pick([-1, 1]);
+      junction.pending.push({ side: side, delay: nextDelay[side] });
+      duration = Math.max(duration, nextDelay[side]);
+      nextDelay[side] += spacing;
+    }
+    
+    const crossingTime = (this.roadManager.getRoadWidth() + config.carGap) / junction.speed;
+    junction.waveTimer = duration + crossingTime + this.random.float(config.minClearTime, config.maxClearTime);
+  }
+  
+  // Añade un coche al principio de la transversal; side es su sentido de avance en X
+  addCrossCar(junction, side) {
+    if (Object.keys(this.carModels).length === 0) return null;
+    
+    const modelType = this.pickCarType(this.carTypes.filter(type =>
+      !this.emergencyVehicleTypes.includes(type) && this.getSpawnWeight(type) > 0));
+    if (!modelType) return null;
+    
+    // Cada sentido circula por su derecha: el que avanza hacia +X, por el lado más cercano al jugador
+    const { piece } = junction;
+    const z = -(piece.startDistance + piece.endDistance) / 2 + side * this.crossTraffic.laneOffset * piece.length;
+    const car = this.addCar(modelType, 0, z, 'cross', this.toConfigSpeed(junction.speed), {
+      lane: null,
+      desiredSpeed: this.toConfigSpeed(junction.speed),
+      junction: junction,
+      crossDirection: side
+    });
+    if (!car) return null;
+    
+    car.position.x = -side * this.getJunctionBranchEnd();
+    car.rotation.y = side * Math.PI / 2;
+    this.roadManager.placeOnTrack(car.model, car.position, car.rotation);
+    
+    const profile = this.vehicleProfiles[modelType];
+    car.model.scale.setScalar(this.random.float(profile.scaleRange[0], profile.scaleRange[1]));
+    return car;
+  }
+  
+  // Distancia lateral del final de la transversal de un cruce
+  getJunctionBranchEnd() {
+    return (this.roadManager.junctionConfig.branchPieces + 0.5) * this.roadManager.scaleFactor.x;
+  }
+  
+  hasLeftJunction(car) {
+    return car.position.x * car.crossDirection > this.getJunctionBranchEnd();
+  }
+  
+  // Un cruce está ocupado si algún coche transversal está en la calzada o va a entrar enseguida
+  isJunctionBusy(junction) {
+    const halfRoad = this.roadManager.getRoadWidth() / 2;
+    const entryDistance = junction.speed * this.crossTraffic.yieldTime;
+    
+    return this.trafficCars.some(car => {
+      if (car.junction !== junction) return false;
+      
+      // Posición de su frontal y de su trasera en su sentido de avance
+      const halfLength = this.getCarLength(car) / 2;
+      const front = car.position.x * car.crossDirection + halfLength;
+      if (front - 2 * halfLength > halfRoad) return false;
+      return -halfRoad - front < entryDistance;
+    });
+  }
+  
+  // Distancia del coche a la entrada del próximo cruce ocupado en su sentido (Infinity si no hay ninguno).
+  // Los vehículos con sirena no se detienen y los que ya han pasado la entrada terminan de cruzar
+  getJunctionStopDistance(car) {
+    if (car.emergency || car.police || this.junctions.size === 0) return Infinity;
     
-    // Añadir el coche a la escena
-    this.scene.add(carModel);
+    const distance = -car.position.z;
+    const forward = car.direction === 'incoming' ? -1 : 1;
+    const halfLength = this.getCarLength(car) / 2;
+    let stopDistance = Infinity;
+    
+    for (const junction of this.junctions.values()) {
+      const entry = forward > 0 ? junction.piece.startDistance : junction.piece.endDistance;
+      const ahead = (entry - distance) * forward;
+      if (ahead < halfLength || ahead > this.crossTraffic.stopLookahead || ahead >= stopDistance) continue;
+      
+      if (this.isJunctionBusy(junction)) {
+        stopDistance = ahead;
+      }
+    }
+    
+    return stopDistance;
   }
 
-  updateTrafficCars(deltaTime, playerZPosition) {
-    // Factor de escala común para todos los coches
-    const speedScaleFactor = 0.3;
+  // Distancia de un coche del carril adicional hasta el final de su tramo
+  getLaneEndDistance(car) {
+    const distance = -car.position.z;
+    const section = this.roadManager.getLaneSection(distance);
+    return section ? section.endDistance - distance : 0;
+  }
+  
+  // Un enlace tiene entrada si el carril adicional sigue lo bastante tras el cruce y salida si empieza
+  // lo bastante antes
+  hasRampEntry(section) {
+    return section.endDistance - section.junction.endDistance >= this.rampTraffic.minLaneLength;
+  }
+  
+  hasRampExit(section) {
+    return section.junction.startDistance - section.startDistance >= this.rampTraffic.minLaneLength;
+  }
+  
+  // Posición en Z de un sentido de la vía de servicio, repartidos como en la transversal de los cruces:
+  // side 1 se aleja de la carretera (salida) y -1 se acerca a ella (entrada)
+  getRampLaneZ(section, side) {
+    const piece = section.junction;
+    return -(piece.startDistance + piece.endDistance) / 2 + side * this.crossTraffic.laneOffset * piece.length;
+  }
+  
+  // Distancia del trazado a la que los coches de la salida empiezan a girar
+  getRampExitDistance(section) {
+    return -(this.getRampLaneZ(section, 1) + this.rampTraffic.turnRadius);
+  }
+  
+  // Activa los enlaces cercanos al jugador, hace llegar coches por sus entradas y mueve los que
+  // circulan por sus vías de servicio
+  updateRamps(deltaTime, playerZPosition) {
+    const config = this.rampTraffic;
+    const playerDistance = -playerZPosition;
+    const active = this.roadManager.getLaneSections(playerDistance - config.activeBehind, playerDistance + config.activeAhead)
+      .filter(section => section.junction);
+    
+    for (const section of active) {
+      if (this.ramps.has(section)) continue;
+      this.ramps.set(section, {
+        section: section,
+        spawnTimer: this.random.float(0, config.spawnInterval[1])
+      });
+    }
+    
+    for (const [section, ramp] of this.ramps) {
+      if (!active.includes(section)) {
+        this.ramps.delete(section);
+        continue;
+      }
+      if (!this.hasRampEntry(section)) continue;
+      
+      ramp.spawnTimer -= deltaTime;
+      if (ramp.spawnTimer <= 0) {
+        this.addRampCar(section);
+        ramp.spawnTimer = this.random.float(config.spawnInterval[0], config.spawnInterval[1]);
+      }
+    }
     
-    // Ahora los coches de tráfico avanzan por sí mismos con la misma velocidad base
     for (const car of this.trafficCars) {
-      if (car.direction === 'incoming') {
-        // Tráfico en sentido contrario avanza en Z positivo (hacia el jugador)
-        car.model.position.z += car.speed * speedScaleFactor * deltaTime * 60;
-        
-        // Añadir pequeña variación aleatoria en la dirección para naturalidad
-        if (Math.random() < 0.05) { // Solo ocasionalmente
-          car.model.rotation.y = 0 + (Math.random() * 0.04 - 0.02);
+      if (car.direction === 'ramp') {
+        this.updateRampCar(car, deltaTime);
+      }
+    }
+  }
+  
+  // Añade un coche al principio de la vía de servicio de una entrada, camino del carril adicional
+  addRampCar(section) {
+    if (Object.keys(this.carModels).length === 0) return null;
+    
+    // Sin sitio al principio de la vía de servicio: el coche llegará más tarde
+    const start = this.getJunctionBranchEnd();
+    const blocked = this.trafficCars.some(other => other.ramp && other.ramp.section === section &&
+      other.ramp.joining && Math.abs(other.position.x - start) < this.crossTraffic.carGap);
+    if (blocked) return null;
+    
+    // Los coches que se incorporan acaban en el carril lento: solo los modelos que pueden circular por él
+    const slowLane = this.getLanesFromEdge('outgoing')[0];
+    if (slowLane === undefined) return null;
+    const modelType = this.selectCarType('outgoing', [slowLane]);
+    if (!modelType) return null;
+    
+    const profile = this.vehicleProfiles[modelType];
+    const modelFactor = this.random.float(profile.speedRange[0], profile.speedRange[1]);
+    const speedFactor = modelFactor * (1 + this.random.float(-1, 1) * this.outgoingConfig.speedVariation);
+    const rampSpeed = this.toConfigSpeed(this.rampTraffic.speed);
+    
+    const car = this.addCar(modelType, 0, this.getRampLaneZ(section, -1), 'ramp', rampSpeed, {
+      lane: null,
+      speedFactor: speedFactor,
+      desiredSpeed: rampSpeed,
+      ramp: { section: section, joining: true, turn: null }
+    });
+    if (!car) return null;
+    
+    car.position.x = start;
+    car.rotation.y = -Math.PI / 2;
+    this.roadManager.placeOnTrack(car.model, car.position, car.rotation);
+    car.model.scale.setScalar(this.random.float(profile.scaleRange[0], profile.scaleRange[1]));
+    return car;
+  }
+  
+  // Mueve un coche por la vía de servicio: hacia la carretera si se incorpora (antes de girar cede el paso
+  // al carril adicional) o alejándose de ella si ha tomado la salida
+  updateRampCar(car, deltaTime) {
+    if (car.crashed) {
+      car.speed = 0;
+      car.brakeLights.setBraking(true);
+      return;
+    }
+    
+    const ramp = car.ramp;
+    const toWorld = this.speedScaleFactor * 60;
+    const obstacles = [];
+    
+    if (!ramp.turn) {
+      obstacles.push(this.findRampLeader(car));
+      
+      if (ramp.joining) {
+        const turnX = this.roadManager.getLaneOffset(this.extraLane) + this.rampTraffic.turnRadius;
+        const toTurn = car.position.x - turnX;
+        if (toTurn <= this.rampTraffic.yieldDistance) {
+          if (!this.isRampEntryFree(car)) {
+            obstacles.push({ gap: toTurn, speed: 0 });
+          } else if (toTurn <= 0) {
+            this.startRampTurn(car, ramp.section, true);
+          }
         }
-      } else {
-        // Tráfico en sentido de avance se mueve en Z negativo (igual que el jugador)
-        car.model.position.z -= car.speed * speedScaleFactor * deltaTime * 60;
+      }
+    }
+    
+    const acceleration = this.computeAcceleration(car, obstacles);
+    car.acceleration = acceleration;
+    car.speed = Math.max(0, car.speed * toWorld + acceleration * deltaTime) / toWorld;
+    car.brakeLights.setBraking(acceleration < -this.carFollowing.brakeThreshold || car.speed * toWorld < 0.5);
+    
+    const moveAmount = car.speed * toWorld * deltaTime;
+    if (ramp.turn) {
+      this.advanceRampTurn(car, moveAmount);
+    } else {
+      car.position.x += (ramp.joining ? -1 : 1) * moveAmount;
+    }
+  }
+  
+  // Coche más cercano por delante en el mismo sentido de la misma vía de servicio (sin contar los que giran)
+  findRampLeader(car) {
+    const forward = car.ramp.joining ? -1 : 1;
+    const halfLength = this.getCarLength(car) / 2;
+    let leader = null;
+    
+    for (const other of this.trafficCars) {
+      if (other === car || !other.ramp || other.ramp.section !== car.ramp.section ||
+        other.ramp.joining !== car.ramp.joining || other.ramp.turn) continue;
+      
+      const distance = (other.position.x - car.position.x) * forward;
+      if (distance <= 0 || (leader && distance >= leader.distance)) continue;
+      
+      leader = {
+        distance: distance,
+        gap: distance - halfLength - this.getCarLength(other) / 2,
+        speed: other.speed * this.speedScaleFactor * 60
+      };
+    }
+    
+    return leader;
+  }
+  
+  // El carril adicional tiene que estar libre donde termina el giro de la entrada, y el jugador que se
+  // acerca por él no debe llegar antes de que el coche haya terminado de girar
+  isRampEntryFree(car) {
+    const config = this.rampTraffic;
+    const z = this.getRampLaneZ(car.ramp.section, -1) - config.turnRadius;
+    if (!this.isLaneGapFree(this.extraLane, z, car)) return false;
+    if (!this.isPlayerInLane(this.extraLane)) return true;
+    
+    const player = this.playerController;
+    const behind = player.position.z - z;
+    const turnTime = (config.turnRadius * Math.PI / 2) / config.speed;
+    return behind < 0 || behind > player.getWorldVelocity().length() * turnTime + this.laneChangeGap;
+  }
+  
+  // Giro a la derecha de un cuarto de vuelta entre la vía de servicio y el carril adicional: el coche
+  // recorre un arco alrededor de un centro, con los ángulos medidos en el plano X-Z del trazado
+  startRampTurn(car, section, joining) {
+    const radius = this.rampTraffic.turnRadius;
+    const laneX = this.roadManager.getLaneOffset(this.extraLane);
+    
+    if (joining) {
+      // Llega hacia -X por el lado lejano de la vía de servicio y sale hacia -Z por el carril adicional
+      const z = this.getRampLaneZ(section, -1);
+      car.position.x = laneX + radius;
+      car.position.z = z;
+      car.ramp.turn = { centerX: laneX + radius, centerZ: z - radius, startAngle: Math.PI / 2, angle: 0 };
+    } else {
+      // Deja el carril adicional hacia -Z y sale hacia +X por el lado cercano de la vía de servicio
+      const z = this.getRampLaneZ(section, 1) + radius;
+      car.position.x = laneX;
+      car.position.z = z;
+      car.ramp.turn = { centerX: laneX + radius, centerZ: z, startAngle: Math.PI, angle: 0 };
+    }
+  }
+  
+  advanceRampTurn(car, moveAmount) {
+    const turn = car.ramp.turn;
+    const radius = this.rampTraffic.turnRadius;
+    turn.angle = Math.min(turn.angle + moveAmount / radius, Math.PI / 2);
+    
+    // El coche mira en la dirección del arco
+    const angle = turn.startAngle + turn.angle;
+    car.position.x = turn.centerX + radius * Math.cos(angle);
+    car.position.z = turn.centerZ + radius * Math.sin(angle);
+    car.rotation.y = Math.atan2(-Math.sin(angle), Math.cos(angle));
+    car.rotation.z = 0;
+    if (turn.angle < Math.PI / 2) return;
+    
+    car.ramp.turn = null;
+    if (car.ramp.joining) {
+      // Ya en el carril adicional: desde aquí es tráfico de avance que busca hueco para incorporarse
+      car.direction = 'outgoing';
+      car.lane = this.extraLane;
+      car.rotation.y = Math.PI;
+      car.ramp = null;
+      delete car.desiredSpeed;
+    }
+  }
+  
+  // Los coches del carril lento pueden tomar la salida de un enlace cercano (cada uno lo decide una vez):
+  // se pasan al carril adicional en cuanto empieza, frenan a la velocidad de la vía de servicio y giran en el cruce
+  updateRampExit(car) {
+    if (car.direction !== 'outgoing' || car.emergency || car.police || car.crashed) return;
+    
+    // El enlace ha quedado fuera de la zona activa: el coche sigue por la carretera
+    if (car.rampExit && !this.ramps.has(car.rampExit)) {
+      car.rampExit = null;
+    }
+    
+    const config = this.rampTraffic;
+    const distance = -car.position.z;
+    
+    if (!car.rampExit) {
+      if (car.lane !== this.getLanesFromEdge('outgoing')[0]) return;
+      
+      for (const { section } of this.ramps.values()) {
+        if (car.rampDecision === section || !this.hasRampExit(section)) continue;
         
-        // Añadir pequeña variación aleatoria en la dirección para naturalidad
-        if (Math.random() < 0.05) { // Solo ocasionalmente
-          car.model.rotation.y = Math.PI + (Math.random() * 0.04 - 0.02);
+        const ahead = this.getRampExitDistance(section) - distance;
+        if (ahead > config.exitLookahead || ahead < config.exitLookahead / 2) continue;
+        
+        car.rampDecision = section;
+        if (this.random.chance(config.exitChance)) {
+          car.rampExit = section;
         }
       }
+      return;
     }
     
-    // Mostrar información de depuración ocasionalmente
-    if (Math.random() < 0.01) { // Aproximadamente cada 100 frames
-      const incomingCount = this.trafficCars.filter(car => car.direction === 'incoming').length;
-      const outgoingCount = this.trafficCars.filter(car => car.direction === 'outgoing').length;
-      console.log(`Estado del tráfico: ${incomingCount} coches entrantes, ${outgoingCount} coches salientes`);
+    const section = car.rampExit;
+    const exitDistance = this.getRampExitDistance(section);
+    if (car.lane !== this.extraLane) {
+      // Sin hueco para pasarse a tiempo, sigue por la carretera
+      if (exitDistance - distance < config.minExitDistance) {
+        car.rampExit = null;
+      } else if (!car.laneChange && this.roadManager.getLaneSection(distance) === section &&
+        this.isLaneGapFree(this.extraLane, car.position.z, car) && this.isLaneChangeSafe(car, this.extraLane)) {
+        this.startLaneChange(car, this.extraLane);
+      }
+      return;
     }
+    
+    car.desiredSpeed = this.toConfigSpeed(config.speed);
+    if (car.laneChange || distance < exitDistance) return;
+    
+    car.direction = 'ramp';
+    car.lane = null;
+    car.rampExit = null;
+    car.ramp = { section: section, joining: false, turn: null };
+    this.startRampTurn(car, section, false);
   }
 
   cleanupTrafficCars(playerZPosition) {
@@ -327,10 +1309,25 @@ export default class TrafficManager {
       const car = this.trafficCars[i];
       const config = car.direction === 'incoming' ? this.incomingConfig : this.outgoingConfig;
       
-      if (car.direction === 'incoming') {
+      if (car.direction === 'cross') {
+        // Los coches de los cruces desaparecen al final de la transversal o cuando su cruce deja de estar activo
+        if (this.junctions.get(car.junction.piece) !== car.junction || this.hasLeftJunction(car)) {
+          this.recycleCar(car);
+          this.trafficCars.splice(i, 1);
+          removedCars++;
+        }
+      } else if (car.direction === 'ramp') {
+        // Los de las vías de servicio desaparecen con su enlace o al final de la vía de salida
+        const leftRamp = !car.ramp.joining && !car.ramp.turn && car.position.x > this.getJunctionBranchEnd();
+        if (!this.ramps.has(car.ramp.section) || leftRamp) {
+          this.recycleCar(car);
+          this.trafficCars.splice(i, 1);
+          removedCars++;
+        }
+      } else if (car.direction === 'incoming') {
         // Si el coche en sentido contrario ha sobrepasado al jugador (detrás)
-        if (car.model.position.z > playerZPosition + config.despawnDistance) {
-          this.scene.remove(car.model);
+        if (car.position.z > playerZPosition + config.despawnDistance) {
+          this.recycleCar(car);
           this.trafficCars.splice(i, 1);
           removedCars++;
         }
@@ -340,14 +1337,14 @@ export default class TrafficManager {
         // 2. Han avanzado demasiado adelante del jugador (Z muy negativo)
         
         // Verificar si está muy atrás
-        if (car.model.position.z > playerZPosition + config.despawnDistance) {
-          this.scene.remove(car.model);
+        if (car.position.z > playerZPosition + config.despawnDistance) {
+          this.recycleCar(car);
           this.trafficCars.splice(i, 1);
           removedCars++;
         }
         // Verificar si está muy adelante
-        else if (car.model.position.z < playerZPosition - config.despawnDistance * 2) {
-          this.scene.remove(car.model);
+        else if (car.position.z < playerZPosition - config.despawnDistance * 2) {
+          this.recycleCar(car);
           this.trafficCars.splice(i, 1);
           removedCars++;
         }
@@ -367,7 +1364,7 @@ export default class TrafficManager {
                    ((config.maxSpawnInterval - config.minSpawnInterval) * config.density);
     
     // Añadir algo de aleatoriedad al intervalo (reducido para más frecuencia)
-    return interval * (0.5 + Math.random() * 0.3); // ±30% de variación, base reducida
+    return interval * this.random.float(0.5, 0.8); // ±30% de variación, base reducida
   }
 
   getRandomOutgoingSpawnInterval() {
@@ -378,7 +1375,7 @@ export default class TrafficManager {
                    ((config.maxSpawnInterval - config.minSpawnInterval) * config.density);
     
     // Añadir algo de aleatoriedad al intervalo
-    return interval * (0.8 + Math.random() * 0.4); // ±20% de variación
+    return interval * this.random.float(0.8, 1.2); // ±20% de variación
   }
 
   // Métodos actualizados para cambiar configuraciones a través de la GUI
@@ -402,6 +1399,10 @@ export default class TrafficManager {
     this.outgoingConfig.speed = value;
   }
 
+  updateHeavyVehicleShare(value) {
+    this.heavyVehicleShare = value;
+  }
+
   updateIncomingSpeedVariation(value) {
     this.incomingConfig.speedVariation = value;
   }
@@ -414,12 +1415,133 @@ export default class TrafficManager {
     return this.trafficCars;
   }
 
+  removeCar(car) {
+    const index = this.trafficCars.indexOf(car);
+    if (index >= 0) {
+      this.recycleCar(car);
+      this.trafficCars.splice(index, 1);
+    }
+  }
+
+  // Retira los coches que ocupan un cierre recién creado (carriles y tramo de Z): aparece lejos por delante
+  // del jugador, así que desaparecen sin que se note en vez de quedarse encima de los conos. Los vehículos
+  // con sirena los controlan sus propios gestores y se quedan
+  removeCarsInSpan(lanes, minZ, maxZ) {
+    const laneWidth = this.roadManager.getLaneWidth();
+    this.trafficCars = this.trafficCars.filter(car => {
+      if (car.lane === null || car.emergency || car.police) return true;
+      
+      const halfLength = this.getCarLength(car) / 2;
+      if (car.position.z + halfLength < minZ || car.position.z - halfLength > maxZ) return true;
+      
+      // Por su posición lateral, para contar también los que están cambiando de carril
+      const inLane = lanes.some(lane => Math.abs(car.position.x - this.roadManager.getLaneOffset(lane)) < laneWidth);
+      if (!inLane) return true;
+      
+      this.recycleCar(car);
+      return false;
+    });
+  }
+
+  // Aplica una nueva distribución de carriles: los coches cuyo carril ya no existe o ha cambiado de sentido
+  // desaparecen y el resto se recoloca en la nueva posición de su carril
+  updateLaneLayout() {
+    const previousExtraLane = this.extraLane;
+    this.incomingLanes = this.roadManager.getLanesByDirection('incoming');
+    this.outgoingLanes = this.roadManager.getLanesByDirection('outgoing');
+    this.extraLane = this.roadManager.getExtraLane();
+    
+    const laneCount = this.roadManager.getLaneCount();
+    this.trafficCars = this.trafficCars.filter(car => {
+      // Los coches de los cruces y de las vías de servicio no circulan por los carriles de la carretera
+      if (car.direction === 'cross' || car.direction === 'ramp') return true;
+      
+      // El carril adicional sigue siendo el siguiente al último
+      if (car.lane === previousExtraLane) {
+        car.lane = this.extraLane;
+      }
+      
+      // Los vehículos con sirena pueden usar cualquier carril
+      const lanes = car.direction === 'incoming' ? this.incomingLanes : this.outgoingLanes;
+      const valid = car.lane === this.extraLane ||
+        (car.lane < laneCount && (car.emergency || car.police || lanes.includes(car.lane)));
+      if (!valid) {
+        this.recycleCar(car);
+        return false;
+      }
+      
+      car.laneChange = null;
+      car.position.x = this.roadManager.getLaneOffset(car.lane);
+      car.rotation.y = car.direction === 'incoming' ? 0 : Math.PI;
+      car.rotation.z = 0;
+      return true;
+    });
+  }
+
+  // Devuelve el modelo del coche al pool para reutilizarlo en otro coche
+  recycleCar(car) {
+    this.pool.release(car.model);
+  }
+
+  getPoolStats() {
+    return this.pool.getStats();
+  }
+
+  // Coloca los coches sobre la carretera y vuelca su posición en los lotes de dibujo; se llama justo
+  // antes de renderizar, cuando el tráfico, las persecuciones y los vehículos de emergencia ya se han movido
+  updateRendering(camera) {
+    this.placeCars();
+    this.pool.update(camera);
+  }
+
+  placeCars() {
+    for (const car of this.trafficCars) {
+      this.roadManager.placeOnTrack(car.model, car.position, car.rotation);
+    }
+  }
+
+  // Origen flotante: los coches se guardan en el espacio del trazado; basta con recolocarlos
+  rebase() {
+    this.placeCars();
+  }
+
+  setLodDistance(distance) {
+    this.lodDistance = distance;
+    this.pool.setLodDistance(distance);
+  }
+
+  // Convierte una velocidad en unidades de mundo por segundo a la escala de configuración del tráfico
+  toConfigSpeed(worldSpeed) {
+    return worldSpeed / (this.speedScaleFactor * 60);
+  }
+
+  // Velocidad de un coche de tráfico en unidades de mundo por segundo (en la dirección de la carretera,
+  // o hacia donde mira en los cruces y las vías de servicio)
+  getCarVelocity(car) {
+    const worldSpeed = car.speed * this.speedScaleFactor * 60;
+    if (car.direction === 'cross' || car.direction === 'ramp') {
+      const pose = this.roadManager.getTrackPose(-car.position.z);
+      return new THREE.Vector3(Math.sin(car.rotation.y), 0, Math.cos(car.rotation.y))
+        .applyQuaternion(pose.quaternion).multiplyScalar(worldSpeed);
+    }
+    
+    const zDirection = car.direction === 'incoming' ? 1 : -1;
+    const pose = this.roadManager.getTrackPose(-car.position.z);
+    return pose.tangent.multiplyScalar(-worldSpeed * zDirection);
+  }
+
   reset() {
-    // Eliminar todos los coches de tráfico
+    // Devolver todos los coches al pool
     for (const car of this.trafficCars) {
-      this.scene.remove(car.model);
+      this.recycleCar(car);
     }
     this.trafficCars = [];
+    this.junctions.clear();
+    this.ramps.clear();
+    
+    // Conservar unas pocas instancias de cada modelo para la siguiente partida;
+    // los modelos que se queden sin instancias liberan su memoria en la GPU
+    this.pool.trim(this.resetIdlePerType);
     
     // Reiniciar contadores de tiempo
     this.lastIncomingSpawnTime = 0;